@@ -54,7 +54,27 @@ class SystemSetup {
         },
         email: {
           provider: 'mailchimp',
-          apiKey: process.env.MAILCHIMP_API_KEY
+          apiKey: process.env.MAILCHIMP_API_KEY,
+          transactionalKey: process.env.MAILCHIMP_TRANSACTIONAL_KEY,
+          smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: process.env.SMTP_PORT || 1025
+          }
+        }
+      },
+      // Sales and social data come from downloaded reports; a source is
+      // synced once its reportsDir is set
+      analytics: {
+        baseCurrency: 'USD',
+        exchangeRates: {},
+        salesReports: {
+          kdp: { reportsDir: process.env.KDP_REPORTS_DIR },
+          draft2digital: { reportsDir: process.env.D2D_REPORTS_DIR },
+          ingramspark: { reportsDir: process.env.INGRAMSPARK_REPORTS_DIR }
+        },
+        socialExports: {
+          linkedin: { reportsDir: process.env.LINKEDIN_EXPORTS_DIR },
+          x: { reportsDir: process.env.X_EXPORTS_DIR }
         }
       }
     };
@@ -124,6 +144,15 @@ class SystemSetup {
     await fs.mkdir('config', { recursive: true });
     await fs.writeFile(configPath, JSON.stringify(this.configTemplate, null, 2));
     console.log('   Created: config/app.json');
+
+    // Import profiles are edited by hand, so never overwrite an existing file
+    const profilesPath = 'config/import-profiles.json';
+    try {
+      await fs.writeFile(profilesPath, JSON.stringify(DEFAULT_IMPORT_PROFILES, null, 2), { flag: 'wx' });
+      console.log('   Created: config/import-profiles.json');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
   }
 
   async initializeDatabase() {
@@ -132,403 +161,6118 @@ class SystemSetup {
     console.log('   Database initialization prepared');
   }
 
-  async setupCronJobs() {
-    console.log('⏰ Setting up scheduled tasks...');
-    
-    const cronJobs = {
-      '0 */6 * * *': 'analytics:sync',      // Every 6 hours
-      '0 9 * * *': 'campaigns:daily',       // Daily at 9 AM
-      '0 0 * * 0': 'reports:weekly',        // Weekly on Sunday
-      '0 2 * * *': 'cleanup:temp-files'     // Daily at 2 AM
-    };
+  async setupCronJobs() {
+    console.log('⏰ Setting up scheduled tasks...');
+    
+    const cronJobs = {
+      '0 */6 * * *': 'analytics:sync',      // Every 6 hours
+      '0 9 * * *': 'campaigns:daily',       // Daily at 9 AM
+      '0 0 * * 0': 'reports:weekly',        // Weekly on Sunday
+      '0 2 * * *': 'cleanup:temp-files'     // Daily at 2 AM
+    };
+
+    const cronPath = 'config/cron.json';
+    await fs.writeFile(cronPath, JSON.stringify(cronJobs, null, 2));
+    console.log('   Cron jobs configured');
+  }
+}
+
+// ===== scripts/async-utils.js =====
+// Concurrency and retry helpers shared by the generators and sync jobs
+
+async function runWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function retryWithBackoff(task, { retries = 3, baseDelay = 1000, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt > retries) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = baseDelay * 2 ** (attempt - 1);
+      if (onRetry) onRetry(error, attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// ===== scripts/launch-database.js =====
+// Service layer over the MongoDB database shared by generators, trackers and jobs
+//
+// Books, campaigns, ledger entries and sync snapshots go through the methods
+// below. Modules that own their collections (metric points, reader rosters,
+// email queues, job locks, ...) reach them through collection().
+
+class LaunchDatabase {
+  constructor(db) {
+    this.db = db;
+  }
+
+  collection(name) {
+    return this.db.collection(name);
+  }
+
+  // Ids arrive as strings from the CLI and job config, while documents inserted
+  // by the driver carry ObjectIds, so a 24-hex id matches either form
+  idQuery(id) {
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/i.test(id)) return { _id: id };
+
+    try {
+      const { ObjectId } = require('mongodb');
+      return { _id: { $in: [id, new ObjectId(id)] } };
+    } catch (error) {
+      return { _id: id };
+    }
+  }
+
+  // Deliveries, sends and milestone completions keep the campaignId they were
+  // given, usually the CLI's string, even when the campaign's _id is an ObjectId
+  campaignIdQuery(campaignId) {
+    return { campaignId: { $in: [String(campaignId), campaignId] } };
+  }
+
+  async getBook(bookId) {
+    return await this.collection('books').findOne(this.idQuery(bookId));
+  }
+
+  async getAllActiveBooks() {
+    return await this.collection('books').find({ status: { $ne: 'archived' } }).toArray();
+  }
+
+  async getBooksByUser(userId) {
+    return await this.collection('books').find({ userId }).toArray();
+  }
+
+  async getBooksByAuthors(authors) {
+    return await this.collection('books').find({ author: { $in: authors } }).toArray();
+  }
+
+  async getCampaign(campaignId) {
+    return await this.collection('campaigns').findOne(this.idQuery(campaignId));
+  }
+
+  async getCampaignsByBook(bookId) {
+    return await this.collection('campaigns').find({ bookId }).sort({ createdAt: 1 }).toArray();
+  }
+
+  async saveCampaign(campaign) {
+    const { insertedId } = await this.collection('campaigns').insertOne({ ...campaign });
+    return { ...campaign, _id: insertedId };
+  }
+
+  async updateCampaign(campaignId, update) {
+    const query = this.idQuery(campaignId);
+    await this.collection('campaigns').updateOne(query, { $set: update });
+    return await this.collection('campaigns').findOne(query);
+  }
+
+  async getLedgerEntries(query) {
+    return await this.collection('ledger_entries').find(query).sort({ date: 1 }).toArray();
+  }
+
+  async saveLedgerEntry(entry) {
+    const { insertedId } = await this.collection('ledger_entries').insertOne({ ...entry });
+    return { ...entry, _id: insertedId };
+  }
+
+  async saveMetrics(metrics) {
+    const { insertedId } = await this.collection('metrics').insertOne({ ...metrics });
+    return { ...metrics, _id: insertedId };
+  }
+
+  // Low-star cluster alerts raised by the review sync, oldest first
+  async getReviewAlerts(bookId, { since, until } = {}) {
+    const query = { bookId };
+    if (since || until) {
+      query.detectedAt = {};
+      if (since) query.detectedAt.$gte = new Date(since);
+      if (until) query.detectedAt.$lte = new Date(until);
+    }
+    return await this.collection('review_alerts').find(query).sort({ detectedAt: 1 }).toArray();
+  }
+
+  async saveReviewAlert(alert) {
+    const { insertedId } = await this.collection('review_alerts').insertOne({ ...alert });
+    return { ...alert, _id: insertedId };
+  }
+}
+
+// ===== scripts/book-schema.js =====
+// Book metadata schema shared by the importer and campaign generator
+
+// KDP list price limits per marketplace currency
+const PRICE_RANGES = {
+  USD: { min: 0.99, max: 200 },
+  GBP: { min: 0.77, max: 150 },
+  EUR: { min: 0.99, max: 200 },
+  CAD: { min: 0.99, max: 200 },
+  AUD: { min: 0.99, max: 200 },
+  INR: { min: 49, max: 15000 },
+  JPY: { min: 99, max: 20000 }
+};
+
+const BOOK_FORMATS = ['ebook', 'print', 'paperback', 'hardcover', 'audiobook'];
+
+const BOOK_SCHEMA = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  author: { type: 'string', required: true, maxLength: 200 },
+  isbn: { type: 'isbn' },
+  price: { type: 'price', required: true, currencyField: 'currency' },
+  currency: { type: 'enum', values: Object.keys(PRICE_RANGES) },
+  format: { type: 'enum', values: BOOK_FORMATS },
+  launchDate: { type: 'date', required: true, future: true },
+  keywords: { type: 'list', maxItems: 7, maxItemLength: 50 },
+  categories: { type: 'list', maxItems: 3 },
+  'kdpSettings.keywords': { type: 'list', maxItems: 7, maxItemLength: 50 },
+  'kdpSettings.categories': { type: 'list', maxItems: 3 }
+};
+
+class BookValidator {
+  constructor(schema = BOOK_SCHEMA) {
+    this.schema = schema;
+  }
+
+  validate(book, { now = new Date(), allowPastLaunch = false } = {}) {
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(this.schema)) {
+      const value = this.getField(book, field);
+      const isEmpty = value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+
+      if (isEmpty) {
+        if (rule.required) errors.push({ field, reason: 'is required' });
+        continue;
+      }
+
+      const reason = this.checkValue(value, rule, book, { now, allowPastLaunch });
+      if (reason) errors.push({ field, reason });
+    }
+
+    return errors;
+  }
+
+  getField(book, field) {
+    return field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), book);
+  }
+
+  checkValue(value, rule, book, { now, allowPastLaunch }) {
+    switch (rule.type) {
+      case 'string':
+        if (String(value).trim().length === 0) return 'is required';
+        if (rule.maxLength && String(value).length > rule.maxLength) {
+          return `must be at most ${rule.maxLength} characters (got ${String(value).length})`;
+        }
+        return null;
+
+      case 'isbn':
+        return this.checkISBN(String(value));
+
+      case 'price': {
+        const price = Number(value);
+        if (Number.isNaN(price)) return `is not a number (got "${value}")`;
+        const currency = book[rule.currencyField] || 'USD';
+        const range = PRICE_RANGES[currency];
+        if (!range) return null; // Reported against the currency field
+        if (price < range.min || price > range.max) {
+          return `must be between ${range.min} and ${range.max} ${currency} (got ${price})`;
+        }
+        return null;
+      }
+
+      case 'enum':
+        return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')} (got "${value}")`;
+
+      case 'date': {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) return `is not a valid date (got "${value}")`;
+        if (rule.future && !allowPastLaunch && date <= now) return `must be in the future (got ${date.toISOString().slice(0, 10)})`;
+        return null;
+      }
+
+      case 'list': {
+        if (!Array.isArray(value)) return 'must be a list';
+        if (rule.maxItems && value.length > rule.maxItems) {
+          return `must have at most ${rule.maxItems} entries (got ${value.length})`;
+        }
+        const tooLong = rule.maxItemLength && value.find(item => String(item).length > rule.maxItemLength);
+        if (tooLong) return `entry "${tooLong}" exceeds ${rule.maxItemLength} characters`;
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  checkISBN(isbn) {
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+      const sum = isbn.split('').reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+      return sum % 11 === 0 ? null : 'ISBN-10 checksum does not match';
+    }
+
+    if (/^\d{13}$/.test(isbn)) {
+      const sum = isbn.slice(0, 12).split('').reduce((total, char, i) => total + Number(char) * (i % 2 ? 3 : 1), 0);
+      const expected = (10 - (sum % 10)) % 10;
+      return expected === Number(isbn[12]) ? null : `ISBN-13 checksum does not match (expected check digit ${expected})`;
+    }
+
+    return `must be 10 or 13 digits (got "${isbn}")`;
+  }
+}
+
+// ===== scripts/book-importer.js =====
+// Bulk book import utility
+
+// ONIX 3.0 code list values used when reading and writing reference-tag messages
+const ONIX_CODES = {
+  productIdType: { isbn10: '02', isbn13: '15', gtin13: '03' },
+  productForm: { unspecified: '00', print: 'BA', hardcover: 'BB', paperback: 'BC', ebook: 'ED', audiobook: 'AJ' },
+  titleType: { distinctive: '01' },
+  contributorRole: { author: 'A01' },
+  subjectScheme: { bisac: '10', bic: '12', keywords: '20' },
+  textType: { description: '03' },
+  publishingDateRole: { publication: '01' },
+  priceType: { rrpIncludingTax: '02', rrpExcludingTax: '01' }
+};
+
+// Column mapping profiles: each book field maps to one or more source columns,
+// optionally with a transform (split, date, currency). Custom profiles live in
+// config/import-profiles.json and are selected with --profile <name>.
+const DEFAULT_IMPORT_PROFILES = {
+  default: {
+    currency: 'USD',
+    columns: {
+      title: ['title', 'Title'],
+      author: ['author', 'Author'],
+      isbn: ['isbn', 'ISBN'],
+      asin: ['asin', 'ASIN'],
+      genre: ['genre', 'Genre'],
+      description: ['description', 'Description'],
+      price: ['price', 'Price'],
+      currency: ['currency', 'Currency'],
+      format: ['format', 'Format'],
+      targetAudience: ['targetAudience', 'Target Audience'],
+      keywords: { columns: ['keywords', 'Keywords'], transform: 'split', separator: ',' },
+      categories: { columns: ['categories', 'Categories'], transform: 'split', separator: ',' },
+      launchDate: ['launchDate', 'Launch Date']
+    }
+  }
+};
+
+class BookImporter {
+  constructor(database) {
+    this.db = database;
+    this.supportedFormats = ['csv', 'json', 'xlsx', 'xml', 'onix'];
+    this.validator = new BookValidator();
+    this.profilesPath = 'config/import-profiles.json';
+  }
+
+  async loadProfile(name = 'default') {
+    let profiles = DEFAULT_IMPORT_PROFILES;
+
+    try {
+      profiles = { ...profiles, ...JSON.parse(await fs.readFile(this.profilesPath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read import profiles from ${this.profilesPath}: ${error.message}`);
+      }
+    }
+
+    if (!profiles[name]) {
+      throw new Error(`Unknown import profile: ${name} (available: ${Object.keys(profiles).join(', ')})`);
+    }
+
+    return { name, ...profiles[name] };
+  }
+
+  async import(filePath, userId, options = {}) {
+    const format = path.extname(filePath).slice(1).toLowerCase();
+
+    switch (format) {
+      case 'csv':
+        return this.importFromCSV(filePath, userId, options);
+      case 'json':
+        return this.importFromJSON(filePath, userId, options);
+      case 'xlsx':
+        return this.importFromXLSX(filePath, userId, options);
+      case 'xml':
+      case 'onix':
+        return this.importFromONIX(filePath, userId, options);
+      default:
+        throw new Error(`Unsupported import format: ${format || 'none'} (supported: ${this.supportedFormats.join(', ')})`);
+    }
+  }
+
+  async importFromCSV(filePath, userId, options = {}) {
+    console.log(`📚 Importing books from CSV: ${filePath}`);
+    
+    const Papa = require('papaparse');
+    const csvData = await fs.readFile(filePath, 'utf8');
+
+    // ISBN-10s can start with a zero, so ISBN columns stay text
+    const isbnColumns = this.getMappedColumns(await this.loadProfile(options.profile), 'isbn');
+    const parsed = Papa.parse(csvData, {
+      header: true,
+      dynamicTyping: column => !isbnColumns.includes(column),
+      skipEmptyLines: true
+    });
+
+    // Row 1 is the header, so data starts on spreadsheet row 2
+    return this.importRows(parsed.data, userId, { source: filePath, format: 'csv', firstRow: 2, ...options });
+  }
+
+  async importFromJSON(filePath, userId, options = {}) {
+    console.log(`📚 Importing books from JSON: ${filePath}`);
+
+    const jsonData = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const rows = Array.isArray(jsonData) ? jsonData : jsonData.books;
+
+    if (!Array.isArray(rows)) {
+      throw new Error(`JSON import must be an array of books or { "books": [...] }: ${filePath}`);
+    }
+
+    // JSON entries are reported by their array index
+    return this.importRows(rows, userId, { source: filePath, format: 'json', firstRow: 0, ...options });
+  }
+
+  async importFromXLSX(filePath, userId, options = {}) {
+    console.log(`📚 Importing books from XLSX: ${filePath}`);
+
+    const XLSX = require('xlsx');
+    const workbook = XLSX.read(await fs.readFile(filePath), { type: 'buffer', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+
+    // ISBN columns are read as the text the cell shows, as in CSV files
+    const isbnColumns = this.getMappedColumns(await this.loadProfile(options.profile), 'isbn');
+    const textRows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+    rows.forEach((row, i) => {
+      for (const column of isbnColumns) {
+        if (column in row) row[column] = this.toIsbnText(row[column], textRows[i][column]);
+      }
+    });
+
+    return this.importRows(rows, userId, { source: filePath, format: 'xlsx', firstRow: 2, ...options });
+  }
+
+  // A number cell keeps its digits only when its format pads them (0000000000).
+  // General-format cells show long numbers in exponent form and drop leading
+  // zeros, so those are rebuilt from the value; an ISBN-10 always has 10 digits.
+  toIsbnText(value, text) {
+    if (typeof value !== 'number' || /^\d{10}(\d{3})?$/.test(text)) return text;
+    if (!Number.isInteger(value) || value < 0) return text;
+
+    const digits = String(value);
+    return digits.length === 9 ? digits.padStart(10, '0') : digits;
+  }
+
+  async importFromONIX(filePath, userId, options = {}) {
+    console.log(`📚 Importing books from ONIX: ${filePath}`);
+
+    const message = this.parseONIX(await fs.readFile(filePath, 'utf8'));
+    const rows = message.Product.map(product => this.mapONIXProductToRow(product));
+
+    // ONIX fields are already named after book fields, so column profiles do not apply
+    return this.importRows(rows, userId, { source: filePath, format: 'onix', firstRow: 1, ...options, profile: 'default' });
+  }
+
+  parseONIX(xml) {
+    const { XMLParser } = require('fast-xml-parser');
+    const repeatable = ['Product', 'ProductIdentifier', 'TitleDetail', 'TitleElement', 'Contributor',
+      'Subject', 'TextContent', 'PublishingDate', 'SupplyDetail', 'Price'];
+
+    const parser = new XMLParser({
+      ignoreAttributes: true,
+      parseTagValue: false,
+      removeNSPrefix: true,
+      isArray: name => repeatable.includes(name)
+    });
+    const document = parser.parse(xml);
+
+    if (document.ONIXmessage) {
+      throw new Error('Short-tag ONIX is not supported; export the feed with reference tag names');
+    }
+    if (!document.ONIXMessage) {
+      throw new Error('Not an ONIX 3.0 message: missing <ONIXMessage> root');
+    }
+
+    return { ...document.ONIXMessage, Product: document.ONIXMessage.Product || [] };
+  }
+
+  mapONIXProductToRow(product) {
+    const codes = ONIX_CODES;
+    const descriptive = product.DescriptiveDetail || {};
+    const publishing = product.PublishingDetail || {};
+
+    const identifiers = product.ProductIdentifier || [];
+    const identifier = [codes.productIdType.isbn13, codes.productIdType.gtin13, codes.productIdType.isbn10]
+      .map(type => identifiers.find(id => id.ProductIDType === type))
+      .find(Boolean);
+
+    const titleDetail = (descriptive.TitleDetail || []).find(t => t.TitleType === codes.titleType.distinctive) ||
+      (descriptive.TitleDetail || [])[0];
+    const titleElement = titleDetail && (titleDetail.TitleElement || [])[0];
+    const title = titleElement && (titleElement.TitleText ||
+      [titleElement.TitlePrefix, titleElement.TitleWithoutPrefix].filter(Boolean).join(' '));
+
+    const authors = (descriptive.Contributor || [])
+      .filter(c => [].concat(c.ContributorRole).includes(codes.contributorRole.author))
+      .sort((a, b) => Number(a.SequenceNumber || 0) - Number(b.SequenceNumber || 0))
+      .map(c => c.PersonName || [c.NamesBeforeKey, c.KeyNames].filter(Boolean).join(' ') || c.CorporateName);
+
+    const subjects = descriptive.Subject || [];
+    const classified = subjects
+      .filter(s => [codes.subjectScheme.bisac, codes.subjectScheme.bic].includes(s.SubjectSchemeIdentifier))
+      .sort((a, b) => (b.MainSubject !== undefined) - (a.MainSubject !== undefined));
+    const keywords = subjects
+      .filter(s => s.SubjectSchemeIdentifier === codes.subjectScheme.keywords)
+      .flatMap(s => String(s.SubjectHeadingText || '').split(';'));
+
+    const description = ((product.CollateralDetail || {}).TextContent || [])
+      .find(t => t.TextType === codes.textType.description);
+
+    const publicationDate = (publishing.PublishingDate || [])
+      .find(d => d.PublishingDateRole === codes.publishingDateRole.publication);
+
+    const prices = [].concat(...((product.ProductSupply || {}).SupplyDetail || []).map(d => d.Price || []));
+    const price = prices.find(p => [codes.priceType.rrpExcludingTax, codes.priceType.rrpIncludingTax].includes(p.PriceType)) ||
+      prices[0];
+
+    return {
+      title,
+      author: authors.join(', '),
+      isbn: identifier && identifier.IDValue,
+      format: this.formatFromProductForm(descriptive.ProductForm),
+      genre: classified.length > 0 ? (classified[0].SubjectHeadingText || classified[0].SubjectCode) : undefined,
+      categories: classified.map(s => s.SubjectCode).filter(Boolean),
+      keywords,
+      description: description && description.Text,
+      price: price && price.PriceAmount,
+      currency: price && price.CurrencyCode,
+      launchDate: publicationDate ? this.parseDateWithFormat(String(publicationDate.Date).slice(0, 8), 'YYYYMMDD') : undefined
+    };
+  }
+
+  formatFromProductForm(productForm) {
+    const exact = Object.keys(ONIX_CODES.productForm).find(format => ONIX_CODES.productForm[format] === productForm);
+    if (exact && exact !== 'unspecified') return exact;
+
+    // Other forms by their ONIX group: B* books, E* digital, A* audio
+    return { B: 'print', E: 'ebook', A: 'audiobook' }[String(productForm || '')[0]];
+  }
+
+  async exportToONIX(filePath, userId, { sender = 'Book Launch Automation' } = {}) {
+    console.log(`📤 Exporting books to ONIX: ${filePath}`);
+
+    const books = await this.db.collection('books').find({ userId }).toArray();
+    await fs.writeFile(filePath, this.buildONIXMessage(books, { sender }));
+
+    console.log(`✅ Exported ${books.length} books`);
+    return { filePath, exported: books.length };
+  }
+
+  buildONIXMessage(books, { sender = 'Book Launch Automation', sentAt = new Date() } = {}) {
+    const { XMLBuilder } = require('fast-xml-parser');
+    const builder = new XMLBuilder({ ignoreAttributes: false, format: true, suppressEmptyNode: true });
+
+    const message = {
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      ONIXMessage: {
+        '@_release': '3.0',
+        '@_xmlns': 'http://ns.editeur.org/onix/3.0/reference',
+        Header: {
+          Sender: { SenderName: sender },
+          SentDateTime: sentAt.toISOString().slice(0, 10).replace(/-/g, '')
+        },
+        Product: books.map(book => this.mapBookToONIXProduct(book))
+      }
+    };
+
+    return builder.build(message);
+  }
+
+  mapBookToONIXProduct(book) {
+    const codes = ONIX_CODES;
+    const launchDate = book.launchDate ? new Date(book.launchDate) : null;
+    const categories = book.categories || [];
+
+    const subjects = categories.map((code, i) => ({
+      ...(i === 0 ? { MainSubject: '' } : {}),
+      SubjectSchemeIdentifier: codes.subjectScheme.bisac,
+      SubjectCode: code,
+      ...(i === 0 && book.genre ? { SubjectHeadingText: book.genre } : {})
+    }));
+    if (book.keywords && book.keywords.length > 0) {
+      subjects.push({ SubjectSchemeIdentifier: codes.subjectScheme.keywords, SubjectHeadingText: book.keywords.join('; ') });
+    }
+
+    return {
+      RecordReference: book.isbn || String(book._id),
+      NotificationType: '03',
+      ...(book.isbn ? {
+        ProductIdentifier: {
+          ProductIDType: book.isbn.length === 10 ? codes.productIdType.isbn10 : codes.productIdType.isbn13,
+          IDValue: book.isbn
+        }
+      } : {}),
+      DescriptiveDetail: {
+        ProductComposition: '00',
+        ProductForm: codes.productForm[book.format] || codes.productForm.unspecified,
+        TitleDetail: {
+          TitleType: codes.titleType.distinctive,
+          TitleElement: { TitleElementLevel: '01', TitleText: book.title }
+        },
+        Contributor: {
+          SequenceNumber: 1,
+          ContributorRole: codes.contributorRole.author,
+          PersonName: book.author
+        },
+        Subject: subjects
+      },
+      ...(book.description ? {
+        CollateralDetail: {
+          TextContent: { TextType: codes.textType.description, ContentAudience: '00', Text: book.description }
+        }
+      } : {}),
+      PublishingDetail: {
+        // 02 = forthcoming, 04 = active
+        PublishingStatus: launchDate && launchDate > new Date() ? '02' : '04',
+        ...(launchDate ? {
+          PublishingDate: {
+            PublishingDateRole: codes.publishingDateRole.publication,
+            Date: launchDate.toISOString().slice(0, 10).replace(/-/g, '')
+          }
+        } : {})
+      },
+      ...(book.price ? {
+        ProductSupply: {
+          SupplyDetail: {
+            Supplier: { SupplierRole: '01', SupplierName: 'Publisher' },
+            ProductAvailability: '20',
+            Price: {
+              PriceType: codes.priceType.rrpExcludingTax,
+              PriceAmount: Number(book.price).toFixed(2),
+              CurrencyCode: book.currency || 'USD'
+            }
+          }
+        }
+      } : {})
+    };
+  }
+
+  // allowPastLaunch lets backlist re-imports through the future-launch-date rule
+  async importRows(rows, userId, { source, format, firstRow, profile = 'default', dryRun = false, allowPastLaunch = false }) {
+    const mapping = await this.loadProfile(profile);
+    const report = {
+      source,
+      format,
+      profile,
+      dryRun,
+      total: rows.length,
+      accepted: 0,
+      rejected: [],
+      created: [],
+      updated: [],
+      unchanged: []
+    };
+
+    const books = [];
+    const seenKeys = new Map();
+    rows.forEach((row, index) => {
+      const rowNumber = firstRow + index;
+      const book = this.mapCSVRowToBook(row, userId, mapping);
+      const errors = this.validator.validate(book, { allowPastLaunch });
+
+      // The same book twice in one file would otherwise be created and then updated in the same run
+      const key = errors.length === 0 ? this.getDedupeKey(book) : null;
+      if (key && seenKeys.has(key)) {
+        errors.push({ field: key.startsWith('isbn:') ? 'isbn' : 'title', reason: `duplicates row ${seenKeys.get(key)}` });
+      }
+
+      if (errors.length === 0) {
+        seenKeys.set(key, rowNumber);
+        books.push(book);
+      } else {
+        report.rejected.push({ row: rowNumber, title: book.title || null, errors });
+        console.warn(`⚠️ Rejected row ${rowNumber} (${book.title || 'Unknown'}): ${errors.map(e => `${e.field} ${e.reason}`).join('; ')}`);
+      }
+    });
+
+    report.accepted = books.length;
+
+    if (books.length > 0) {
+      const diff = await this.upsertBooks(books, { dryRun });
+      report.created = diff.created;
+      report.updated = diff.updated;
+      report.unchanged = diff.unchanged;
+    }
+
+    const prefix = dryRun ? '🔎 Dry run:' : '✅ Import complete:';
+    console.log(`${prefix} ${report.created.length} created, ${report.updated.length} updated, ${report.unchanged.length} unchanged, ${report.rejected.length} rejected`);
+    
+    return report;
+  }
+
+  mapCSVRowToBook(row, userId, profile = DEFAULT_IMPORT_PROFILES.default) {
+    const fields = {};
+    for (const [field, spec] of Object.entries(profile.columns)) {
+      fields[field] = this.readMappedColumn(row, spec, profile);
+    }
+
+    return {
+      userId,
+      title: fields.title,
+      author: fields.author || '',
+      isbn: String(fields.isbn || '').replace(/[\s-]/g, '').toUpperCase(),
+      ...(fields.asin ? { kdpSettings: { asin: String(fields.asin).trim().toUpperCase() } } : {}),
+      genre: fields.genre || 'General',
+      description: fields.description || '',
+      price: this.parseOptionalNumber(fields.price),
+      currency: String(fields.currency || profile.currency || 'USD').toUpperCase(),
+      ...(fields.format ? { format: String(fields.format).trim().toLowerCase() } : {}),
+      targetAudience: fields.targetAudience || '',
+      keywords: this.splitList(fields.keywords),
+      categories: this.splitList(fields.categories),
+      launchDate: this.parseOptionalDate(fields.launchDate),
+      status: 'draft',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+  }
+
+  getMappedColumns(profile, field) {
+    const spec = profile.columns[field];
+    if (!spec) return [];
+    if (typeof spec === 'string' || Array.isArray(spec)) return [].concat(spec);
+    return [].concat(spec.columns || spec.column || []);
+  }
+
+  readMappedColumn(row, spec, profile) {
+    // Shorthand: "Column" or ["Column", "Alternative"]
+    if (typeof spec === 'string' || Array.isArray(spec)) {
+      spec = { columns: [].concat(spec) };
+    }
+
+    const columns = [].concat(spec.columns || spec.column || []);
+    const column = columns.find(name => row[name] !== undefined && row[name] !== null && row[name] !== '');
+    if (column === undefined) return spec.default;
+
+    const value = row[column];
+    switch (spec.transform) {
+      case undefined:
+        return value;
+      case 'split':
+        return this.splitList(value, spec.separator);
+      case 'date':
+        return this.parseDateWithFormat(value, spec.format);
+      case 'currency':
+        return this.convertCurrency(value, spec.from, profile);
+      default:
+        throw new Error(`Unknown transform "${spec.transform}" for column ${column} in profile ${profile.name}`);
+    }
+  }
+
+  parseDateWithFormat(value, format) {
+    if (value instanceof Date || !format) return value;
+
+    // Supports YYYY, YY, MM, M, DD and D tokens with any separators, e.g. "DD/MM/YYYY"
+    const tokens = [];
+    const pattern = format.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/YYYY|YY|MM|M|DD|D/g, token => {
+      tokens.push(token);
+      return token.length === 4 ? '(\\d{4})' : token.length === 2 ? '(\\d{2})' : '(\\d{1,2})';
+    });
+
+    const match = String(value).trim().match(new RegExp(`^${pattern}$`));
+    if (!match) return new Date(NaN);
+
+    const parts = {};
+    tokens.forEach((token, i) => { parts[token[0]] = Number(match[i + 1]); });
+    const year = parts.Y < 100 ? 2000 + parts.Y : parts.Y;
+
+    return new Date(Date.UTC(year, parts.M - 1, parts.D));
+  }
+
+  convertCurrency(value, from, profile) {
+    const amount = this.parseOptionalNumber(value);
+    const target = profile.currency || 'USD';
+    if (amount === null || Number.isNaN(amount) || !from || from === target) return amount;
+
+    const rate = profile.rates && profile.rates[from];
+    if (!rate) {
+      throw new Error(`Profile ${profile.name} has no exchange rate for ${from} -> ${target}`);
+    }
+
+    return Math.round(amount * rate * 100) / 100;
+  }
+
+  splitList(value, separator = ',') {
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    return String(value || '').split(separator).map(v => v.trim()).filter(Boolean);
+  }
+
+  // Accepts "1,299.00", "1.299,00" and "12,99". A single comma before exactly
+  // three digits ("1,299") could be either separator, so it is not guessed.
+  parseOptionalNumber(value) {
+    // Invalid numbers stay NaN so validation can report them instead of defaulting
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    const text = String(value).replace(/[^0-9.,\-]/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    let decimal = null;
+    let grouping = null;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      decimal = lastComma > lastDot ? ',' : '.';
+      grouping = decimal === ',' ? '.' : ',';
+    } else if (lastComma !== -1 || lastDot !== -1) {
+      const separator = lastComma !== -1 ? ',' : '.';
+      if (text.split(separator).length > 2) {
+        grouping = separator;
+      } else if (separator === ',' && text.length - lastComma - 1 === 3) {
+        return NaN;
+      } else {
+        decimal = separator;
+      }
+    }
+
+    const [integer, fraction = ''] = decimal ? text.split(decimal) : [text];
+    const groups = grouping ? integer.split(grouping) : [integer];
+    const wellFormed = /^-?\d*$/.test(groups[0]) && groups.slice(1).every(group => /^\d{3}$/.test(group)) &&
+      (groups.length === 1 || groups[0].replace('-', '').length <= 3) && /^\d*$/.test(fraction) &&
+      /\d/.test(integer + fraction);
+
+    return wellFormed ? parseFloat(`${groups.join('')}.${fraction || '0'}`) : NaN;
+  }
+
+  parseOptionalDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return value instanceof Date ? value : new Date(value);
+  }
+
+  getDedupeKey(book) {
+    if (book.isbn) return `isbn:${book.isbn}`;
+    if (book.kdpSettings?.asin) return `asin:${book.kdpSettings.asin}`;
+    return this.getTitleKey(book);
+  }
+
+  getTitleKey(book) {
+    const normalize = value => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+    return `title:${normalize(book.title)}|author:${normalize(book.author)}`;
+  }
+
+  // Tried in order: ISBN, ASIN, then title and author. A book stored without
+  // an identifier is still found once a later file adds one, but a stored
+  // book with a different ISBN or ASIN is another edition, not a match.
+  // Books imported before titleKey was stored are found by their dedupeKey
+  // or their exact title and author.
+  getDedupeQueries(book) {
+    const asin = book.kdpSettings?.asin;
+    const sameOrNone = value => ({ $in: [value, '', null] });
+    const queries = [];
+
+    if (book.isbn) {
+      queries.push({ userId: book.userId, isbn: book.isbn });
+    }
+    if (asin) {
+      queries.push({ userId: book.userId, 'kdpSettings.asin': asin, ...(book.isbn ? { isbn: sameOrNone(book.isbn) } : {}) });
+    }
+
+    const titleKey = this.getTitleKey(book);
+    queries.push({
+      userId: book.userId,
+      $or: [{ titleKey }, { dedupeKey: titleKey }, { title: book.title, author: book.author }],
+      ...(book.isbn ? { isbn: sameOrNone(book.isbn) } : {}),
+      ...(asin ? { 'kdpSettings.asin': sameOrNone(asin) } : {})
+    });
+
+    return queries;
+  }
+
+  async findExisting(collection, book) {
+    for (const query of this.getDedupeQueries(book)) {
+      const existing = await collection.findOne(query);
+      if (existing) return existing;
+    }
+    return null;
+  }
+
+  diffBook(existing, book) {
+    // Workflow fields belong to the system, not the catalogue file
+    const ignoredFields = ['userId', 'status', 'createdAt', 'updatedAt'];
+    const changes = {};
+
+    for (let [field, value] of Object.entries(book)) {
+      if (ignoredFields.includes(field)) continue;
+      // An imported ASIN joins the KDP settings already stored rather than replacing them
+      if (field === 'kdpSettings') value = { ...existing.kdpSettings, ...value };
+      if (JSON.stringify(existing[field]) !== JSON.stringify(value)) {
+        changes[field] = { from: existing[field], to: value };
+      }
+    }
+
+    return changes;
+  }
+
+  async upsertBooks(books, { dryRun = false } = {}) {
+    const collection = this.db.collection('books');
+    const diff = { created: [], updated: [], unchanged: [] };
+    const operations = [];
+
+    for (const book of books) {
+      const key = this.getDedupeKey(book);
+      const titleKey = this.getTitleKey(book);
+      const existing = await this.findExisting(collection, book);
+
+      if (!existing) {
+        diff.created.push({ key, title: book.title });
+        operations.push({ insertOne: { document: { ...book, dedupeKey: key, titleKey } } });
+        continue;
+      }
+
+      const changes = this.diffBook(existing, book);
+      if (Object.keys(changes).length === 0) {
+        diff.unchanged.push({ key, title: book.title, bookId: existing._id });
+        continue;
+      }
+
+      diff.updated.push({ key, title: book.title, bookId: existing._id, changes });
+      const update = { dedupeKey: key, titleKey, updatedAt: new Date() };
+      for (const [field, change] of Object.entries(changes)) {
+        update[field] = change.to;
+      }
+      operations.push({ updateOne: { filter: { _id: existing._id }, update: { $set: update } } });
+    }
+
+    if (!dryRun && operations.length > 0) {
+      await collection.bulkWrite(operations, { ordered: false });
+    }
+
+    return diff;
+  }
+}
+
+// ===== scripts/content-types.js =====
+// Registry of campaign content types the generator can produce
+
+// Output schemas are nested nodes: text (maxLength), list (maxItems, items)
+// and object (properties). Limits live on the node they constrain.
+const DEFAULT_CONTENT_TYPES = [
+  {
+    name: 'amazon_description',
+    fields: ['title', 'author', 'genre', 'targetAudience', 'description', 'keywords'],
+    output: { type: 'text', maxLength: 4000 },
+    channels: ['amazon']
+  },
+  {
+    name: 'social_media_posts',
+    fields: ['title', 'author', 'genre', 'targetAudience'],
+    output: { type: 'list', maxItems: 14, items: { type: 'text', maxLength: 280 } },
+    channels: ['twitter', 'linkedin', 'facebook', 'instagram']
+  },
+  {
+    name: 'email_sequences',
+    fields: ['title', 'author', 'genre', 'targetAudience', 'launchDate'],
+    output: {
+      type: 'list',
+      maxItems: 7,
+      items: {
+        type: 'object',
+        properties: {
+          subject: { type: 'text', maxLength: 150 },
+          body: { type: 'text', maxLength: 5000 }
+        }
+      }
+    },
+    channels: ['email']
+  },
+  {
+    name: 'press_release',
+    fields: ['title', 'author', 'genre', 'targetAudience', 'description', 'launchDate'],
+    output: { type: 'text', maxLength: 5000 },
+    channels: ['media']
+  },
+  {
+    name: 'blog_posts',
+    fields: ['title', 'author', 'genre', 'targetAudience', 'keywords'],
+    output: {
+      type: 'list',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'text', maxLength: 120 },
+          body: { type: 'text', maxLength: 10000 }
+        }
+      }
+    },
+    channels: ['blog']
+  },
+  {
+    name: 'speaker_bio',
+    fields: ['author', 'title', 'genre'],
+    output: { type: 'text', maxLength: 1500 },
+    channels: ['speaking', 'podcasts', 'conferences']
+  }
+];
+
+class ContentTypeRegistry {
+  constructor(definitions = DEFAULT_CONTENT_TYPES) {
+    this.types = new Map();
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  register(definition) {
+    const { name, fields, output, channels } = definition;
+    if (!name || !Array.isArray(fields) || !output || !Array.isArray(channels)) {
+      throw new Error(`Content type ${name || '(unnamed)'} must declare name, fields, output and channels`);
+    }
+
+    this.types.set(name, definition);
+    return this;
+  }
+
+  get(name) {
+    const definition = this.types.get(name);
+    if (!definition) {
+      throw new Error(`Unknown content type: ${name} (registered: ${[...this.types.keys()].join(', ')})`);
+    }
+    return definition;
+  }
+
+  // Explicit type names win; otherwise pick every type serving one of the channels
+  select({ types, channels } = {}) {
+    if (types && types.length > 0) return types.map(name => this.get(name));
+
+    const all = [...this.types.values()];
+    if (!channels || channels.length === 0) return all;
+    return all.filter(definition => definition.channels.some(channel => channels.includes(channel)));
+  }
+
+  buildParameters(definition, book) {
+    const parameters = {};
+    for (const field of definition.fields) {
+      if (book[field] !== undefined) parameters[field] = book[field];
+    }
+    parameters.outputSchema = definition.output;
+    return parameters;
+  }
+
+  validateOutput(definition, output) {
+    return this.checkNode(definition.output, output, definition.name);
+  }
+
+  checkNode(node, value, path) {
+    if (value === undefined || value === null) {
+      return [{ field: path, reason: 'is missing' }];
+    }
+
+    switch (node.type) {
+      case 'text':
+        if (typeof value !== 'string') return [{ field: path, reason: 'must be text' }];
+        if (node.maxLength && value.length > node.maxLength) {
+          return [{ field: path, reason: `must be at most ${node.maxLength} characters (got ${value.length})` }];
+        }
+        return [];
+
+      case 'list': {
+        if (!Array.isArray(value)) return [{ field: path, reason: 'must be a list' }];
+        const errors = [];
+        if (node.maxItems && value.length > node.maxItems) {
+          errors.push({ field: path, reason: `must have at most ${node.maxItems} entries (got ${value.length})` });
+        }
+        value.forEach((item, i) => errors.push(...this.checkNode(node.items, item, `${path}[${i}]`)));
+        return errors;
+      }
+
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) return [{ field: path, reason: 'must be an object' }];
+        return Object.entries(node.properties)
+          .flatMap(([key, child]) => this.checkNode(child, value[key], `${path}.${key}`));
+      }
+
+      default:
+        return [];
+    }
+  }
+}
+
+// ===== scripts/ai-providers.js =====
+// Offline stand-ins for the AI wrapper used by CampaignGenerator
+//
+// Every provider implements generateContent(userId, bookId, type, parameters),
+// the same call CampaignGenerator makes on the real wrapper.
+
+class AIProvider {
+  async generateContent(userId, bookId, type, parameters) {
+    throw new Error(`${this.constructor.name} does not implement generateContent`);
+  }
+
+  // Fixtures are keyed on the book inputs only; the output schema is generator config
+  hashInputs(parameters) {
+    const { outputSchema, ...inputs } = parameters;
+    const stable = value => {
+      if (Array.isArray(value)) return value.map(stable);
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: stable(value[key]) }), {});
+      }
+      return value;
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(stable(inputs))).digest('hex').slice(0, 16);
+  }
+}
+
+class FixtureAIProvider extends AIProvider {
+  constructor({ fixturesDir = 'fixtures/ai' } = {}) {
+    super();
+    this.fixturesDir = fixturesDir;
+  }
+
+  fixturePath(type, parameters) {
+    return path.join(this.fixturesDir, type, `${this.hashInputs(parameters)}.json`);
+  }
+
+  async generateContent(userId, bookId, type, parameters) {
+    const fixturePath = this.fixturePath(type, parameters);
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+      return fixture.response;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded fixture for ${type} at ${fixturePath}; run with RecordingAIProvider to capture one`);
+      }
+      throw error;
+    }
+  }
+
+  async saveFixture(type, parameters, response) {
+    const fixturePath = this.fixturePath(type, parameters);
+    const { outputSchema, ...inputs } = parameters;
+
+    await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify({
+      type,
+      hash: this.hashInputs(parameters),
+      inputs,
+      response,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+
+    return fixturePath;
+  }
+}
+
+class RecordingAIProvider extends AIProvider {
+  constructor(provider, { fixturesDir = 'fixtures/ai' } = {}) {
+    super();
+    this.provider = provider;
+    this.fixtures = new FixtureAIProvider({ fixturesDir });
+  }
+
+  async generateContent(userId, bookId, type, parameters) {
+    const response = await this.provider.generateContent(userId, bookId, type, parameters);
+    const fixturePath = await this.fixtures.saveFixture(type, parameters, response);
+    console.log(`   💾 Recorded ${type} fixture: ${fixturePath}`);
+    return response;
+  }
+}
+
+// Template leaves are strings with {{field}} placeholders; lists and objects
+// mirror the content type's output schema.
+const DEFAULT_CONTENT_TEMPLATES = {
+  amazon_description: '{{title}} by {{author}} is the {{genre}} book written for {{targetAudience}}. {{description}}',
+  social_media_posts: [
+    '📚 {{title}} is coming soon. Written for {{targetAudience}}.',
+    'Why I wrote {{title}}: a thread for {{targetAudience}}.',
+    '🚀 {{title}} by {{author}} is out now!'
+  ],
+  email_sequences: [
+    { subject: 'Something new is coming: {{title}}', body: 'Hi there,\n\nI have been working on {{title}}, a {{genre}} book for {{targetAudience}}.\n\n{{author}}' },
+    { subject: '{{title}} launches on {{launchDate}}', body: 'Mark the date: {{title}} launches on {{launchDate}}.\n\n{{author}}' },
+    { subject: '{{title}} is live', body: '{{title}} is available now.\n\n{{author}}' }
+  ],
+  press_release: 'FOR IMMEDIATE RELEASE\n\n{{author}} announces {{title}}, a new {{genre}} book for {{targetAudience}}, available {{launchDate}}.\n\n{{description}}',
+  blog_posts: [
+    { title: 'Why {{targetAudience}} need {{title}}', body: '{{title}} covers {{keywords}}.' }
+  ],
+  speaker_bio: '{{author}} is the author of {{title}}, a {{genre}} book.'
+};
+
+class TemplateAIProvider extends AIProvider {
+  constructor({ templates = {} } = {}) {
+    super();
+    this.templates = { ...DEFAULT_CONTENT_TEMPLATES, ...templates };
+  }
+
+  async generateContent(userId, bookId, type, parameters) {
+    const template = this.templates[type];
+    if (template === undefined) {
+      throw new Error(`No template registered for content type: ${type}`);
+    }
+    return this.fill(template, parameters);
+  }
+
+  fill(template, parameters) {
+    if (Array.isArray(template)) return template.map(entry => this.fill(entry, parameters));
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(Object.entries(template).map(([key, entry]) => [key, this.fill(entry, parameters)]));
+    }
+
+    return String(template).replace(/{{\s*([\w.]+)\s*}}/g, (match, field) => {
+      const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), parameters);
+      if (value === undefined || value === null) return '';
+      if (Array.isArray(value)) return value.join(', ');
+      if (value instanceof Date) return value.toISOString().slice(0, 10);
+      return String(value);
+    });
+  }
+}
+
+// ===== scripts/business-calendar.js =====
+// Timezone- and working-day-aware date arithmetic for campaign schedules
+//
+// Calendar days are 'YYYY-MM-DD' strings in the campaign's timezone. Arithmetic
+// happens on those days, and only the final step converts a day plus a local
+// time into an instant, so DST changes never shift a milestone.
+
+const ADJUSTMENT_RULES = ['next', 'previous', 'nearest', 'none'];
+
+class BusinessCalendar {
+  constructor({ timezone = 'UTC', workingDays = [1, 2, 3, 4, 5], holidays = [], adjustment = 'next' } = {}) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+    if (!ADJUSTMENT_RULES.includes(adjustment)) {
+      throw new Error(`Unknown non-working day rule: ${adjustment} (supported: ${ADJUSTMENT_RULES.join(', ')})`);
+    }
+    if (workingDays.length === 0) {
+      throw new Error('A business calendar needs at least one working day');
+    }
+
+    this.timezone = timezone;
+    this.workingDays = workingDays;
+    this.adjustment = adjustment;
+    this.holidays = new Set(holidays.map(day => String(day).slice(0, 10)));
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  toConfig() {
+    return {
+      timezone: this.timezone,
+      workingDays: this.workingDays,
+      holidays: [...this.holidays],
+      adjustment: this.adjustment
+    };
+  }
+
+  addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  isWorkingDay(day) {
+    return this.workingDays.includes(new Date(`${day}T00:00:00Z`).getUTCDay()) && !this.holidays.has(day);
+  }
+
+  addBusinessDays(day, count) {
+    const step = count < 0 ? -1 : 1;
+    let remaining = Math.abs(count);
+    let current = day;
+
+    while (remaining > 0) {
+      current = this.addDays(current, step);
+      if (this.isWorkingDay(current)) remaining--;
+    }
+
+    return current;
+  }
+
+  adjust(day, rule = this.adjustment) {
+    if (rule === 'none' || this.isWorkingDay(day)) return day;
+
+    // A year of holidays would be a configuration error, not a schedule
+    for (let distance = 1; distance <= 366; distance++) {
+      const later = this.addDays(day, distance);
+      const earlier = this.addDays(day, -distance);
+
+      if (rule !== 'previous' && this.isWorkingDay(later)) return later;
+      if (rule !== 'next' && this.isWorkingDay(earlier)) return earlier;
+    }
+
+    throw new Error(`No working day within a year of ${day}`);
+  }
+
+  toInstant(day, time = '00:00') {
+    const [year, month, date] = day.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, date, hours, minutes);
+
+    // Two passes settle the offset when the first guess lands across a DST change
+    const firstGuess = wallClock - this.offsetAt(wallClock);
+    return new Date(wallClock - this.offsetAt(firstGuess));
+  }
+
+  toLocalDay(date) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(new Date(date))) {
+      parts[type] = value;
+    }
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  offsetAt(instant) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(new Date(instant))) {
+      parts[type] = Number(value);
+    }
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - Math.floor(instant / 1000) * 1000;
+  }
+}
+
+// ===== scripts/campaign-templates.js =====
+// Campaign phase templates per marketing strategy
+//
+// Phases run back to back; the phase marked startsAtLaunch begins on the launch
+// date, earlier phases end on it. Milestones count calendar days (day) or
+// working days (businessDays) from the phase start, optionally at a local time.
+// Milestones on non-working days move by the campaign's rule unless they set
+// adjust (e.g. 'none' for the launch itself). A phase may carry a duration label
+// for display; it is dropped when an override changes durationDays. Milestone
+// types 'media' and 'email' mark press releases and sends to the author's list.
+
+const CAMPAIGN_TEMPLATES = {
+  thought_leadership: {
+    phases: [
+      {
+        key: 'prelaunch',
+        name: 'Pre-Launch',
+        durationDays: 28,
+        activities: ['Content creation', 'Audience building', 'Partnership outreach', 'Beta reader recruitment'],
+        milestones: [
+          { day: 0, task: 'Begin content creation', type: 'content' },
+          { day: 7, task: 'Launch email list building', type: 'audience' },
+          { day: 14, task: 'Begin partnership outreach', type: 'partnerships' },
+          { day: 21, task: 'Finalize launch preparations', type: 'preparation' }
+        ]
+      },
+      {
+        key: 'launch',
+        name: 'Launch Week',
+        durationDays: 7,
+        startsAtLaunch: true,
+        activities: ['Coordinated announcements', 'Media outreach', 'Social media blitz', 'Email campaign launch'],
+        milestones: [
+          { day: 0, task: 'Book goes live', type: 'launch', adjust: 'none' },
+          { day: 1, task: 'Social media announcement', type: 'promotion' },
+          { businessDays: 2, time: '09:00', task: 'Press release distribution', type: 'media' },
+          { day: 7, task: 'Launch week review', type: 'analysis' }
+        ]
+      },
+      {
+        key: 'postlaunch',
+        name: 'Post-Launch',
+        durationDays: 77,
+        activities: ['Review solicitation', 'Content marketing', 'Speaking opportunities', 'Partnership activations'],
+        milestones: [
+          { day: 7, task: 'Begin review solicitation', type: 'reviews' },
+          { day: 23, task: 'Month 1 performance review', type: 'analysis' },
+          { day: 53, task: 'Speaking engagement push', type: 'speaking' },
+          { day: 77, task: 'Campaign completion review', type: 'completion' }
+        ]
+      }
+    ]
+  },
+
+  fiction_rapid_release: {
+    phases: [
+      {
+        key: 'prelaunch',
+        name: 'Pre-Launch',
+        durationDays: 14,
+        activities: ['Cover reveal', 'ARC distribution', 'Newsletter swaps', 'Reader group teasers'],
+        milestones: [
+          { day: 0, task: 'Cover reveal', type: 'promotion' },
+          { day: 2, task: 'Send ARCs to street team', type: 'reviews' },
+          { day: 7, task: 'Newsletter swap round', type: 'audience' },
+          { day: 12, task: 'Finalize launch preparations', type: 'preparation' }
+        ]
+      },
+      {
+        key: 'launch',
+        name: 'Launch Week',
+        durationDays: 5,
+        startsAtLaunch: true,
+        activities: ['Release-day newsletter', 'Reader group takeover', 'Series discount', 'Ad push'],
+        milestones: [
+          { day: 0, task: 'Book goes live', type: 'launch', adjust: 'none' },
+          { day: 0, time: '08:00', task: 'Release-day newsletter', type: 'email', adjust: 'none' },
+          { day: 2, task: 'Discount previous book in series', type: 'promotion' },
+          { day: 5, task: 'Launch week review', type: 'analysis' }
+        ]
+      },
+      {
+        key: 'postlaunch',
+        name: 'Post-Launch',
+        durationDays: 30,
+        activities: ['Review solicitation', 'Read-through tracking', 'Next book pre-order'],
+        milestones: [
+          { day: 2, task: 'Begin review solicitation', type: 'reviews' },
+          { day: 14, task: 'Open pre-order for next book', type: 'launch' },
+          { day: 30, task: 'Campaign completion review', type: 'completion' }
+        ]
+      }
+    ]
+  },
+
+  preorder_90_day: {
+    phases: [
+      {
+        key: 'preorder',
+        name: 'Pre-Order',
+        durationDays: 90,
+        activities: ['Pre-order listing', 'Pre-order bonus promotion', 'Media pitching', 'ARC distribution'],
+        milestones: [
+          { day: 0, task: 'Pre-order goes live', type: 'launch', adjust: 'none' },
+          { day: 14, task: 'Announce pre-order bonus', type: 'promotion' },
+          { day: 45, task: 'Send ARCs and media pitches', type: 'media' },
+          { day: 76, task: 'Final pre-order push', type: 'promotion' }
+        ]
+      },
+      {
+        key: 'launch',
+        name: 'Launch Week',
+        durationDays: 7,
+        startsAtLaunch: true,
+        activities: ['Pre-order bonus fulfilment', 'Coordinated announcements', 'Media outreach'],
+        milestones: [
+          { day: 0, task: 'Book goes live', type: 'launch', adjust: 'none' },
+          { day: 1, task: 'Deliver pre-order bonuses', type: 'audience' },
+          { businessDays: 2, time: '09:00', task: 'Press release distribution', type: 'media' },
+          { day: 7, task: 'Launch week review', type: 'analysis' }
+        ]
+      },
+      {
+        key: 'postlaunch',
+        name: 'Post-Launch',
+        durationDays: 42,
+        activities: ['Review solicitation', 'Content marketing'],
+        milestones: [
+          { day: 7, task: 'Begin review solicitation', type: 'reviews' },
+          { day: 42, task: 'Campaign completion review', type: 'completion' }
+        ]
+      }
+    ]
+  }
+};
+
+const DEFAULT_CAMPAIGN_STRATEGY = 'thought_leadership';
+
+// Generated schedules record the key of their startsAtLaunch phase as
+// launchPhase; schedules saved before that keep it under 'launch'
+function getLaunchPhaseKey(schedule) {
+  const phases = schedule?.phases || {};
+  if (schedule?.launchPhase && phases[schedule.launchPhase]) return schedule.launchPhase;
+  return phases.launch ? 'launch' : null;
+}
+
+// ===== scripts/campaign-generator.js =====
+// Automated campaign generation
+
+// Generation leaves each item pending, generated or failed. Generated output
+// and editor revisions (draft) then go through editorial review (see
+// ContentApprovalWorkflow) before a campaign can be activated.
+const CONTENT_STATUS = {
+  PENDING: 'pending',
+  GENERATED: 'generated',
+  FAILED: 'failed',
+  DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+class CampaignGenerator {
+  constructor(aiWrapper, database, {
+    contentTypes = new ContentTypeRegistry(),
+    concurrency = 3,
+    retries = 2,
+    retryDelay = 1000,
+    phaseTemplates = {},
+    planner = null
+  } = {}) {
+    this.ai = aiWrapper;
+    this.db = database;
+    this.validator = new BookValidator();
+    this.contentTypes = contentTypes;
+    this.concurrency = concurrency;
+    this.retryOptions = { retries, baseDelay: retryDelay };
+    this.phaseTemplates = { ...CAMPAIGN_TEMPLATES, ...phaseTemplates };
+    this.planner = planner;
+  }
+
+  async generateFullCampaign(bookId, options = {}) {
+    console.log(`🎯 Generating full campaign for book: ${bookId}`);
+    
+    const book = await this.db.getBook(bookId);
+    if (!book) {
+      throw new Error(`Book not found: ${bookId}`);
+    }
+
+    const validationErrors = this.validator.validate({
+      ...book,
+      launchDate: options.launchDate || book.launchDate
+    });
+    if (validationErrors.length > 0) {
+      const error = new Error(`Book ${bookId} is not ready for a campaign: ${validationErrors.map(e => `${e.field} ${e.reason}`).join('; ')}`);
+      error.validationErrors = validationErrors;
+      throw error;
+    }
+
+    const strategy = options.strategy || book.marketingConfig?.strategy || DEFAULT_CAMPAIGN_STRATEGY;
+    const phasePlan = this.resolvePhaseTemplate(strategy, options.phases);
+    const calendar = new BusinessCalendar(options.calendar || book.marketingConfig?.calendar);
+
+    const campaign = {
+      bookId,
+      type: 'full_launch',
+      status: 'draft',
+      strategy,
+      phases: await this.generateCampaignPhases(book, phasePlan),
+      content: await this.generateCampaignContent(book, {
+        types: options.contentTypes,
+        channels: options.channels
+      }),
+      calendar: calendar.toConfig(),
+      budget: {
+        total: options.budget ?? book.marketingConfig?.budget?.total ?? null,
+        currency: book.currency || 'USD',
+        allocation: options.budgetAllocation || book.marketingConfig?.budgetAllocation || book.marketingConfig?.budget?.allocation || {}
+      },
+      schedule: await this.generateCampaignSchedule(book, options.launchDate, phasePlan, calendar),
+      metrics: this.initializeCampaignMetrics(options.goals, options.pacing),
+      createdAt: new Date()
+    };
+    campaign.requiredApprovals = options.requiredApprovals || Object.keys(campaign.content);
+
+    if (this.planner) {
+      const plan = await this.planner.checkCampaign(campaign, book);
+      campaign.conflicts = plan.conflicts;
+      campaign.suggestedLaunch = plan.suggestions[0]?.suggestedLaunch || null;
+      plan.conflicts.forEach(conflict => console.warn(`   ⚠️ ${conflict.message}`));
+    }
+
+    const savedCampaign = await this.db.saveCampaign(campaign);
+    console.log(`✅ Campaign generated with ID: ${savedCampaign._id}`);
+    
+    return savedCampaign;
+  }
+
+  // Per-phase overrides replace template fields, e.g. { prelaunch: { durationDays: 42 } }
+  resolvePhaseTemplate(strategy, overrides = {}) {
+    const template = this.phaseTemplates[strategy];
+    if (!template) {
+      throw new Error(`Unknown campaign strategy: ${strategy} (available: ${Object.keys(this.phaseTemplates).join(', ')})`);
+    }
+
+    const keys = template.phases.map(phase => phase.key);
+    const unknown = Object.keys(overrides).filter(key => !keys.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Phase overrides for unknown phases in ${strategy}: ${unknown.join(', ')} (phases: ${keys.join(', ')})`);
+    }
+
+    if (template.phases.filter(phase => phase.startsAtLaunch).length !== 1) {
+      throw new Error(`Campaign strategy ${strategy} must mark exactly one phase as startsAtLaunch`);
+    }
+
+    return template.phases.map(phase => {
+      const override = overrides[phase.key] || {};
+      const resolved = { ...phase, ...override };
+      if (override.durationDays !== undefined && override.duration === undefined) delete resolved.duration;
+      return resolved;
+    });
+  }
+
+  async generateCampaignPhases(book, phasePlan = this.resolvePhaseTemplate(DEFAULT_CAMPAIGN_STRATEGY)) {
+    return phasePlan.map(phase => ({
+      key: phase.key,
+      name: phase.name,
+      duration: phase.duration || this.formatDuration(phase.durationDays),
+      durationDays: phase.durationDays,
+      activities: phase.activities
+    }));
+  }
+
+  formatDuration(days) {
+    if (days % 7 === 0) return `${days / 7} week${days === 7 ? '' : 's'}`;
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+
+  async generateCampaignContent(book, { types, channels } = {}) {
+    console.log('📝 Generating marketing content...');
+    
+    const definitions = this.contentTypes.select({ types, channels });
+    const content = {};
+    definitions.forEach(definition => {
+      content[definition.name] = this.createContentItem();
+    });
+
+    await runWithConcurrency(definitions, this.concurrency, async definition => {
+      content[definition.name] = await this.generateContentItem(book, definition);
+    });
+
+    return content;
+  }
+
+  createContentItem() {
+    return {
+      status: CONTENT_STATUS.PENDING,
+      value: null,
+      version: 0,
+      versions: [],
+      comments: [],
+      attempts: 0,
+      error: null,
+      generatedAt: null
+    };
+  }
+
+  addContentVersion(item, value, { source = 'ai', author = null } = {}) {
+    const version = item.versions.length + 1;
+    item.versions.push({ version, value, source, author, createdAt: new Date() });
+    item.version = version;
+    item.value = value;
+    item.status = source === 'ai' ? CONTENT_STATUS.GENERATED : CONTENT_STATUS.DRAFT;
+    return item;
+  }
+
+  async generateContentItem(book, definition) {
+    const type = definition.name;
+    const item = this.createContentItem();
+
+    try {
+      const output = await retryWithBackoff(async attempt => {
+        item.attempts = attempt;
+        const output = await this.ai.generateContent(book.userId, book._id, type,
+          this.contentTypes.buildParameters(definition, book));
+
+        const errors = this.contentTypes.validateOutput(definition, output);
+        if (errors.length > 0) {
+          throw new Error(`output does not match schema: ${errors.map(e => `${e.field} ${e.reason}`).join('; ')}`);
+        }
+        return output;
+      }, {
+        ...this.retryOptions,
+        onRetry: (error, attempt, delay) => console.warn(`   ⚠️ ${type} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`)
+      });
+
+      this.addContentVersion(item, output);
+      item.generatedAt = new Date();
+      console.log(`   ✅ Generated ${type}`);
+    } catch (error) {
+      item.status = CONTENT_STATUS.FAILED;
+      item.error = error.message;
+      console.error(`   ❌ Failed to generate ${type}:`, error.message);
+    }
+
+    return item;
+  }
+
+  async regenerateContent(campaignId, types) {
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    const book = await this.db.getBook(campaign.bookId);
+    if (!book) {
+      throw new Error(`Book not found: ${campaign.bookId}`);
+    }
+
+    // Reject an unknown type before anything is generated, not halfway through
+    (types || []).forEach(type => this.contentTypes.get(type));
+
+    const content = { ...campaign.content };
+    const workflow = new ContentApprovalWorkflow(this.db);
+
+    // Without explicit types, only fill the gaps. Content under review or
+    // approved is never overwritten (see REVIEW_TRANSITIONS.regenerate).
+    const targets = (types || Object.keys(content).filter(type =>
+      [CONTENT_STATUS.PENDING, CONTENT_STATUS.FAILED].includes(content[type]?.status)
+    )).filter(type => {
+      if (!content[type]) return true;
+      try {
+        workflow.checkTransition(type, content[type], 'regenerate');
+        return true;
+      } catch (error) {
+        console.warn(`   ⚠️ Skipping ${type}: ${error.message}`);
+        return false;
+      }
+    });
+
+    console.log(`🔁 Regenerating ${targets.length} content items for campaign ${campaignId}`);
+
+    await runWithConcurrency(targets, this.concurrency, async type => {
+      const item = await this.generateContentItem(book, this.contentTypes.get(type));
+      const previous = content[type];
+
+      if (!previous || previous.versions.length === 0) {
+        content[type] = item;
+      } else if (item.status === CONTENT_STATUS.FAILED) {
+        // A failed retry keeps whatever was generated before
+        content[type] = { ...previous, attempts: item.attempts, error: item.error };
+      } else {
+        // Regenerated output becomes a new version so reviewers can diff it
+        const regenerated = workflow.applyTransition(type, previous, 'regenerate');
+        content[type] = this.addContentVersion({ ...regenerated, versions: [...previous.versions], error: null, attempts: item.attempts }, item.value);
+        content[type].generatedAt = item.generatedAt;
+      }
+    });
+
+    return await this.db.updateCampaign(campaignId, { content, updatedAt: new Date() });
+  }
+
+  // The launch date is a calendar day (its UTC date); the calendar places it in the campaign timezone
+  async generateCampaignSchedule(book, launchDate, phasePlan = this.resolvePhaseTemplate(DEFAULT_CAMPAIGN_STRATEGY), calendar = new BusinessCalendar()) {
+    const launchDay = new Date(launchDate || book.launchDate).toISOString().slice(0, 10);
+    const launchIndex = phasePlan.findIndex(phase => phase.startsAtLaunch);
+
+    // Walk back from launch for earlier phases, forward for the rest
+    const starts = [];
+    starts[launchIndex] = launchDay;
+    for (let i = launchIndex - 1; i >= 0; i--) {
+      starts[i] = calendar.addDays(starts[i + 1], -phasePlan[i].durationDays);
+    }
+    for (let i = launchIndex + 1; i < phasePlan.length; i++) {
+      starts[i] = calendar.addDays(starts[i - 1], phasePlan[i - 1].durationDays);
+    }
+
+    const schedule = { timezone: calendar.timezone, launchPhase: phasePlan[launchIndex].key, phases: {} };
+    phasePlan.forEach((phase, i) => {
+      schedule.phases[phase.key] = {
+        name: phase.name,
+        start: calendar.toInstant(starts[i]),
+        end: calendar.toInstant(calendar.addDays(starts[i], phase.durationDays)),
+        milestones: this.generatePhaseMilestones(phase, starts[i], calendar)
+      };
+    });
+
+    return schedule;
+  }
+
+  generatePhaseMilestones(phase, startDay, calendar) {
+    return (phase.milestones || []).map(milestone => {
+      const scheduledDay = milestone.businessDays !== undefined
+        ? calendar.addBusinessDays(startDay, milestone.businessDays)
+        : calendar.addDays(startDay, milestone.day || 0);
+      const day = calendar.adjust(scheduledDay, milestone.adjust);
+
+      const entry = {
+        date: calendar.toInstant(day, milestone.time),
+        localDate: day,
+        allDay: !milestone.time,
+        task: milestone.task,
+        type: milestone.type
+      };
+      if (day !== scheduledDay) entry.movedFrom = scheduledDay;
+
+      return entry;
+    });
+  }
+
+  initializeCampaignMetrics(goals = {}, pacing = {}) {
+    const campaignGoals = { ...DEFAULT_CAMPAIGN_GOALS, ...goals };
+    const actual = {};
+    Object.keys(campaignGoals).forEach(metric => {
+      actual[metric] = 0;
+    });
+
+    return {
+      goals: campaignGoals,
+      actual,
+      pacing,
+      alerts: [],
+      roi: {
+        invested: 0,
+        earned: 0,
+        timeSpent: 0
+      }
+    };
+  }
+}
+
+// ===== scripts/content-approval.js =====
+// Editorial review of generated campaign content
+
+// Press releases need legal sign-off whatever the campaign configures
+const ALWAYS_REQUIRE_APPROVAL = ['press_release'];
+
+// regenerate is CampaignGenerator.regenerateContent replacing an item with new
+// AI output; content a reviewer holds or has signed off has to be revised instead
+const REVIEW_TRANSITIONS = {
+  submit: { from: [CONTENT_STATUS.GENERATED, CONTENT_STATUS.DRAFT], to: CONTENT_STATUS.IN_REVIEW },
+  approve: { from: [CONTENT_STATUS.IN_REVIEW], to: CONTENT_STATUS.APPROVED },
+  reject: { from: [CONTENT_STATUS.IN_REVIEW], to: CONTENT_STATUS.REJECTED },
+  regenerate: {
+    from: [CONTENT_STATUS.PENDING, CONTENT_STATUS.FAILED, CONTENT_STATUS.GENERATED, CONTENT_STATUS.DRAFT, CONTENT_STATUS.REJECTED],
+    to: CONTENT_STATUS.GENERATED
+  }
+};
+
+class ContentApprovalWorkflow {
+  constructor(database) {
+    this.db = database;
+  }
+
+  async loadItem(campaignId, type) {
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    const item = campaign.content?.[type];
+    if (!item) {
+      throw new Error(`Campaign ${campaignId} has no ${type} content`);
+    }
+
+    return { campaign, item };
+  }
+
+  async saveItem(campaign, type, item) {
+    const content = { ...campaign.content, [type]: { ...item, updatedAt: new Date() } };
+    return await this.db.updateCampaign(campaign._id, { content, updatedAt: new Date() });
+  }
+
+  async transition(campaignId, type, action, options = {}) {
+    const { campaign, item } = await this.loadItem(campaignId, type);
+    return await this.saveItem(campaign, type, this.applyTransition(type, item, action, options));
+  }
+
+  checkTransition(type, item, action, { reviewer, comment } = {}) {
+    const { from } = REVIEW_TRANSITIONS[action];
+
+    if (!from.includes(item.status)) {
+      throw new Error(`Cannot ${action} ${type}: status is ${item.status} (expected ${from.join(' or ')})`);
+    }
+    if ((action === 'approve' || action === 'reject') && !reviewer) {
+      throw new Error(`Cannot ${action} ${type}: a reviewer is required`);
+    }
+    if (action === 'reject' && !comment) {
+      throw new Error(`Cannot reject ${type}: a comment explaining the rejection is required`);
+    }
+  }
+
+  // Returns the item after the transition, with the action in its comment history
+  applyTransition(type, item, action, { reviewer, comment } = {}) {
+    this.checkTransition(type, item, action, { reviewer, comment });
+    const { to } = REVIEW_TRANSITIONS[action];
+
+    const updated = { ...item, status: to, comments: [...(item.comments || [])] };
+    if (comment || action !== 'submit') {
+      updated.comments.push({ version: item.version, reviewer: reviewer || null, action, comment: comment || null, createdAt: new Date() });
+    }
+    if (action === 'approve') {
+      updated.approvedBy = reviewer;
+      updated.approvedAt = new Date();
+    }
+
+    console.log(`📝 ${type} v${item.version}: ${item.status} → ${to}`);
+    return updated;
+  }
+
+  async submitForReview(campaignId, type, { submittedBy, comment } = {}) {
+    return this.transition(campaignId, type, 'submit', { reviewer: submittedBy, comment });
+  }
+
+  async approve(campaignId, type, { reviewer, comment } = {}) {
+    return this.transition(campaignId, type, 'approve', { reviewer, comment });
+  }
+
+  async reject(campaignId, type, { reviewer, comment } = {}) {
+    return this.transition(campaignId, type, 'reject', { reviewer, comment });
+  }
+
+  async addComment(campaignId, type, { reviewer, comment }) {
+    if (!reviewer || !comment) {
+      throw new Error('A comment needs both a reviewer and text');
+    }
+
+    const { campaign, item } = await this.loadItem(campaignId, type);
+    const comments = [...(item.comments || []), { version: item.version, reviewer, action: 'comment', comment, createdAt: new Date() }];
+    return await this.saveItem(campaign, type, { ...item, comments });
+  }
+
+  // Any edit starts a new draft version, including edits to approved content
+  async reviseContent(campaignId, type, value, { editor, comment } = {}) {
+    const { campaign, item } = await this.loadItem(campaignId, type);
+    if (!editor) {
+      throw new Error(`Cannot revise ${type}: an editor is required`);
+    }
+
+    const version = item.versions.length + 1;
+    const updated = {
+      ...item,
+      value,
+      version,
+      status: CONTENT_STATUS.DRAFT,
+      versions: [...item.versions, { version, value, source: 'editor', author: editor, createdAt: new Date() }],
+      comments: comment
+        ? [...(item.comments || []), { version, reviewer: editor, action: 'revise', comment, createdAt: new Date() }]
+        : item.comments,
+      approvedBy: null,
+      approvedAt: null
+    };
+
+    return await this.saveItem(campaign, type, updated);
+  }
+
+  async diffVersions(campaignId, type, fromVersion, toVersion) {
+    const { item } = await this.loadItem(campaignId, type);
+    const find = version => {
+      const entry = item.versions.find(v => v.version === version);
+      if (!entry) throw new Error(`${type} has no version ${version}`);
+      return entry;
+    };
+
+    const from = find(fromVersion);
+    const to = find(toVersion || item.version);
+    return { type, from: from.version, to: to.version, changes: this.diffLines(this.toLines(from.value), this.toLines(to.value)) };
+  }
+
+  toLines(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    return String(text).split('\n');
+  }
+
+  // Longest-common-subsequence line diff; content items are small enough for O(n*m)
+  diffLines(before, after) {
+    const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        lengths[i][j] = before[i] === after[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+      if (i < before.length && j < after.length && before[i] === after[j]) {
+        changes.push({ op: ' ', line: before[i] });
+        i++;
+        j++;
+      } else if (i < before.length && (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        changes.push({ op: '-', line: before[i++] });
+      } else {
+        changes.push({ op: '+', line: after[j++] });
+      }
+    }
+
+    return changes;
+  }
+
+  getUnapprovedItems(campaign) {
+    const content = campaign.content || {};
+    const required = new Set([
+      ...(campaign.requiredApprovals || Object.keys(content)),
+      ...ALWAYS_REQUIRE_APPROVAL.filter(type => content[type])
+    ]);
+
+    return [...required]
+      .filter(type => content[type]?.status !== CONTENT_STATUS.APPROVED)
+      .map(type => ({ type, status: content[type]?.status || 'missing' }));
+  }
+
+  async activateCampaign(campaignId) {
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    const unapproved = this.getUnapprovedItems(campaign);
+    if (unapproved.length > 0) {
+      const error = new Error(`Campaign ${campaignId} cannot be activated until all required content is approved: ${unapproved.map(u => `${u.type} (${u.status})`).join(', ')}`);
+      error.unapproved = unapproved;
+      throw error;
+    }
+
+    console.log(`🚀 Activating campaign ${campaignId}`);
+    return await this.db.updateCampaign(campaignId, { status: 'active', activatedAt: new Date(), updatedAt: new Date() });
+  }
+}
+
+// ===== scripts/schedule-export.js =====
+// Campaign schedule export to iCalendar, CSV and Gantt JSON
+
+class ScheduleExporter {
+  constructor(database, { outputDir = 'exports' } = {}) {
+    this.db = database;
+    this.outputDir = outputDir;
+    this.formats = { ics: 'toICS', csv: 'toCSV', json: 'toGanttJSON' };
+  }
+
+  async exportSchedule(campaignId, format = 'ics') {
+    const method = this.formats[format];
+    if (!method) {
+      throw new Error(`Unsupported schedule export format: ${format} (supported: ${Object.keys(this.formats).join(', ')})`);
+    }
+
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    const filePath = path.join(this.outputDir, `campaign-${campaignId}-schedule.${format}`);
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(filePath, this[method](campaign));
+
+    console.log(`📅 Exported schedule for campaign ${campaignId}: ${filePath}`);
+    return filePath;
+  }
+
+  // Flattens schedule.phases into rows, numbering repeated tasks within a phase
+  // so every milestone has an identity that survives date changes
+  listMilestones(campaign) {
+    const rows = [];
+
+    for (const [phaseKey, phase] of Object.entries(campaign.schedule?.phases || {})) {
+      const seen = {};
+      for (const milestone of phase.milestones || []) {
+        seen[milestone.task] = (seen[milestone.task] || 0) + 1;
+        rows.push({
+          id: `${phaseKey}:${milestone.task}:${seen[milestone.task]}`,
+          phaseKey,
+          phase: phase.name || phaseKey,
+          phaseStart: new Date(phase.start),
+          phaseEnd: new Date(phase.end),
+          task: milestone.task,
+          type: milestone.type,
+          date: new Date(milestone.date),
+          // Schedules from before timezone support only stored instants at UTC midnight
+          localDate: milestone.localDate || new Date(milestone.date).toISOString().slice(0, 10),
+          allDay: milestone.allDay !== undefined ? milestone.allDay : this.isMidnightUTC(new Date(milestone.date))
+        });
+      }
+    }
+
+    return rows.sort((a, b) => a.date - b.date);
+  }
+
+  toICS(campaign, { now = new Date() } = {}) {
+    const stamp = this.formatICSDateTime(now);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Book Launch Automation//Campaign Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeICSText(campaign.name || `Campaign ${campaign._id}`)}`
+    ];
+
+    for (const row of this.listMilestones(campaign)) {
+      // UID depends on campaign, phase and task only, so a moved milestone updates in place
+      const uid = crypto.createHash('sha1').update(`${campaign._id}:${row.id}`).digest('hex');
+
+      lines.push('BEGIN:VEVENT', `UID:${uid}@book-launch-automation`, `DTSTAMP:${stamp}`);
+      if (row.allDay) {
+        const day = new Date(`${row.localDate}T00:00:00Z`);
+        const nextDay = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+        lines.push(`DTSTART;VALUE=DATE:${this.formatICSDate(day)}`, `DTEND;VALUE=DATE:${this.formatICSDate(nextDay)}`);
+      } else {
+        lines.push(`DTSTART:${this.formatICSDateTime(row.date)}`, 'DURATION:PT1H');
+      }
+      lines.push(
+        `SUMMARY:${this.escapeICSText(row.task)}`,
+        `CATEGORIES:${this.escapeICSText(row.phase)}`,
+        `DESCRIPTION:${this.escapeICSText(`${row.phase} milestone (${row.type})`)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+  }
+
+  toCSV(campaign) {
+    const Papa = require('papaparse');
+    return Papa.unparse(this.listMilestones(campaign).map(row => ({
+      Phase: row.phase,
+      Milestone: row.task,
+      Type: row.type,
+      Date: row.date.toISOString(),
+      'Phase Start': row.phaseStart.toISOString(),
+      'Phase End': row.phaseEnd.toISOString()
+    })));
+  }
+
+  toGanttJSON(campaign) {
+    const tasks = Object.entries(campaign.schedule?.phases || {}).map(([phaseKey, phase]) => ({
+      id: phaseKey,
+      name: phase.name || phaseKey,
+      kind: 'phase',
+      start: new Date(phase.start).toISOString(),
+      end: new Date(phase.end).toISOString(),
+      dependencies: []
+    }));
+
+    for (const row of this.listMilestones(campaign)) {
+      tasks.push({
+        id: row.id,
+        name: row.task,
+        kind: 'milestone',
+        type: row.type,
+        start: row.date.toISOString(),
+        end: row.date.toISOString(),
+        dependencies: [row.phaseKey]
+      });
+    }
+
+    return JSON.stringify({ campaignId: campaign._id, strategy: campaign.strategy || null, tasks }, null, 2);
+  }
+
+  isMidnightUTC(date) {
+    return date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+  }
+
+  formatICSDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  formatICSDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  escapeICSText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  }
+
+  // RFC 5545 3.1: lines longer than 75 octets continue on lines starting with a space
+  foldICSLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+      const limit = chunks.length === 0 ? 75 : 74;
+      if (Buffer.byteLength(current + char) > limit) {
+        chunks.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+  }
+}
+
+// ===== scripts/launch-planner.js =====
+// Cross-campaign planning for authors and accounts launching several books
+
+class LaunchPlanner {
+  constructor(database, { pressWindowDays = 3, emailWindowDays = 2, maxShiftDays = 90 } = {}) {
+    this.db = database;
+    this.pressWindowDays = pressWindowDays;
+    this.emailWindowDays = emailWindowDays;
+    this.maxShiftDays = maxShiftDays;
+  }
+
+  // Books by the same author on other accounts share readers, so they are
+  // planned alongside the account's own
+  async planAccount(userId, { authors = [] } = {}) {
+    const own = await this.db.getBooksByUser(userId);
+    const names = [...new Set([...authors, ...own.map(book => book.author)].filter(Boolean))];
+    const sameAuthor = names.length > 0 ? await this.db.getBooksByAuthors(names) : [];
+    const ownIds = new Set(own.map(book => String(book._id)));
+    const books = [...own, ...sameAuthor.filter(book => !ownIds.has(String(book._id)))];
+    const entries = [];
+
+    for (const book of books) {
+      const campaigns = await this.db.getCampaignsByBook(book._id);
+      campaigns
+        .filter(campaign => campaign.status !== 'completed')
+        .forEach(campaign => entries.push({ campaign, book }));
+    }
+
+    return this.analyze(entries);
+  }
+
+  // Checks a campaign that has not been saved yet against the account's existing ones
+  async checkCampaign(campaign, book) {
+    const plan = await this.planAccount(book.userId, { authors: [book.author] });
+    const candidate = { campaign: { ...campaign, _id: campaign._id || 'new' }, book };
+    const id = String(candidate.campaign._id);
+    const existing = plan.entries.filter(entry => entry.campaignId !== id).map(entry => entry.source);
+    const result = this.analyze([...existing, candidate]);
+
+    return {
+      conflicts: result.conflicts.filter(conflict => conflict.campaigns.includes(id)),
+      suggestions: result.suggestions.filter(suggestion => suggestion.campaignId === id)
+    };
+  }
+
+  analyze(entries) {
+    // Campaigns without a schedule (e.g. failed or hand-built ones) have no dates to clash on
+    const unscheduled = entries
+      .filter(entry => !this.getLaunchPhase(entry.campaign))
+      .map(({ campaign, book }) => ({ campaignId: String(campaign._id), bookId: String(book._id), title: book.title }));
+    const described = entries
+      .filter(entry => this.getLaunchPhase(entry.campaign))
+      .map(entry => this.describe(entry))
+      .sort((a, b) => a.launch.start - b.launch.start);
+
+    const conflicts = [];
+    const shifts = new Map();
+    const suggestions = [];
+
+    described.forEach((entry, index) => {
+      const earlier = described.slice(0, index).filter(other => this.isRelated(entry, other));
+
+      for (const other of earlier) {
+        conflicts.push(...this.findConflicts(other, entry, 0).map(conflict => this.formatConflict(conflict, other, entry)));
+      }
+
+      // Later launches move out of the way of earlier ones, including earlier suggested moves
+      const clashes = shift => earlier.some(other => this.findConflicts(other, entry, shift, shifts.get(other.campaignId) || 0).length > 0);
+      if (!clashes(0)) return;
+
+      for (let shift = 1; shift <= this.maxShiftDays; shift++) {
+        if (!clashes(shift)) {
+          shifts.set(entry.campaignId, shift);
+          suggestions.push({
+            campaignId: entry.campaignId,
+            bookId: entry.bookId,
+            title: entry.title,
+            currentLaunch: this.fromDayNumber(entry.launch.start),
+            suggestedLaunch: this.fromDayNumber(entry.launch.start + shift),
+            shiftDays: shift
+          });
+          return;
+        }
+      }
+
+      suggestions.push({
+        campaignId: entry.campaignId,
+        bookId: entry.bookId,
+        title: entry.title,
+        currentLaunch: this.fromDayNumber(entry.launch.start),
+        suggestedLaunch: null,
+        shiftDays: null,
+        message: `No clash-free launch date within ${this.maxShiftDays} days`
+      });
+    });
+
+    return { entries: described, conflicts, suggestions, unscheduled };
+  }
+
+  getLaunchPhase(campaign) {
+    return campaign.schedule?.phases?.[getLaunchPhaseKey(campaign.schedule)] || null;
+  }
+
+  // Reduces a campaign to day numbers in its own timezone
+  describe({ campaign, book }) {
+    const calendar = new BusinessCalendar(campaign.calendar);
+    const phases = Object.entries(campaign.schedule?.phases || {});
+    const launchPhase = this.getLaunchPhase(campaign);
+    if (!launchPhase) {
+      throw new Error(`Campaign ${campaign._id} has no schedule to plan against`);
+    }
+
+    const milestones = phases.flatMap(([, phase]) => phase.milestones || []);
+    const dayOf = milestone => this.toDayNumber(milestone.localDate || calendar.toLocalDay(milestone.date));
+
+    return {
+      source: { campaign, book },
+      campaignId: String(campaign._id),
+      bookId: String(book._id),
+      title: book.title,
+      userId: String(book.userId),
+      author: String(book.author || '').trim().toLowerCase(),
+      launch: {
+        start: this.toDayNumber(calendar.toLocalDay(launchPhase.start)),
+        end: this.toDayNumber(calendar.toLocalDay(launchPhase.end))
+      },
+      pressDates: milestones.filter(m => m.type === 'media').map(dayOf),
+      emailDates: milestones.filter(m => m.type === 'email').map(dayOf),
+      emailList: campaign.emailList || book.marketingConfig?.emailList || `account:${book.userId}`
+    };
+  }
+
+  // Campaigns for the same book replace each other rather than compete
+  isRelated(a, b) {
+    if (a.bookId === b.bookId) return false;
+    return a.userId === b.userId || (a.author !== '' && a.author === b.author);
+  }
+
+  findConflicts(a, b, shiftB = 0, shiftA = 0) {
+    const conflicts = [];
+    const aStart = a.launch.start + shiftA;
+    const aEnd = a.launch.end + shiftA;
+    const bStart = b.launch.start + shiftB;
+    const bEnd = b.launch.end + shiftB;
+
+    if (aStart < bEnd && bStart < aEnd) {
+      conflicts.push({ type: 'launch_overlap', days: [aStart, bStart] });
+    }
+
+    const near = (datesA, datesB, window) => {
+      for (const dayA of datesA) {
+        const dayB = datesB.find(day => Math.abs((day + shiftB) - (dayA + shiftA)) < window);
+        if (dayB !== undefined) return [dayA + shiftA, dayB + shiftB];
+      }
+      return null;
+    };
+
+    const press = near(a.pressDates, b.pressDates, this.pressWindowDays);
+    if (press) conflicts.push({ type: 'press_release', days: press });
+
+    if (a.emailList === b.emailList) {
+      const email = near(a.emailDates, b.emailDates, this.emailWindowDays);
+      if (email) conflicts.push({ type: 'email_blast', days: email });
+    }
+
+    return conflicts;
+  }
+
+  formatConflict(conflict, a, b) {
+    const [dayA, dayB] = conflict.days.map(day => this.fromDayNumber(day));
+    const messages = {
+      launch_overlap: `Launch weeks of "${a.title}" (${dayA}) and "${b.title}" (${dayB}) overlap`,
+      press_release: `Press releases for "${a.title}" (${dayA}) and "${b.title}" (${dayB}) are less than ${this.pressWindowDays} days apart`,
+      email_blast: `Email sends for "${a.title}" (${dayA}) and "${b.title}" (${dayB}) hit ${a.emailList} within ${this.emailWindowDays} days`
+    };
+
+    return {
+      type: conflict.type,
+      campaigns: [a.campaignId, b.campaignId],
+      books: [a.title, b.title],
+      dates: [dayA, dayB],
+      message: messages[conflict.type]
+    };
+  }
+
+  toDayNumber(day) {
+    return Date.UTC(...day.split('-').map((part, i) => Number(part) - (i === 1 ? 1 : 0))) / (24 * 60 * 60 * 1000);
+  }
+
+  fromDayNumber(dayNumber) {
+    return new Date(dayNumber * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+}
+
+// ===== scripts/campaign-metrics.js =====
+// Campaign goal tracking: roll-up of synced metrics and pacing against the schedule
+
+const DEFAULT_CAMPAIGN_GOALS = {
+  bookSales: 1000,
+  emailSignups: 500,
+  socialFollowers: 1000,
+  speakingGigs: 5,
+  mediaFeatures: 3
+};
+
+// Where each goal's actual value comes from: sales sold during the campaign
+// (see getCampaignSales) or an AnalyticsSync snapshot reading. Goals without a
+// source (signups, followers, speaking gigs, media features) are entered with
+// recordManualMetric() and are not paced until the first entry.
+const METRIC_ROLLUPS = {
+  bookSales: (snapshot, sales) => sales?.units,
+  revenue: (snapshot, sales) => sales?.revenue,
+  reviews: snapshot => snapshot.reviews?.count,
+  emailOpens: snapshot => snapshot.marketing?.emailOpens,
+  emailClicks: snapshot => snapshot.marketing?.emailClicks,
+  socialReach: snapshot => snapshot.social?.reach,
+  socialEngagement: snapshot => snapshot.social?.engagement
+};
+
+// Sales only start at launch; everything else is paced over the whole campaign.
+// Curves: linear, or front_loaded (square root, most progress early in the window).
+const DEFAULT_GOAL_PACING = {
+  bookSales: { from: 'launch', curve: 'linear' },
+  revenue: { from: 'launch', curve: 'linear' },
+  reviews: { from: 'launch', curve: 'linear' },
+  default: { from: 'start', curve: 'linear' }
+};
+
+class CampaignMetricsTracker {
+  constructor(database, { notifier = null, alertThreshold = 0.8, metricsStore = null } = {}) {
+    this.db = database;
+    this.notifier = notifier;
+    this.alertThreshold = alertThreshold;
+    this.metricsStore = metricsStore;
+  }
+
+  getMetricsStore() {
+    if (!this.metricsStore) this.metricsStore = new MetricsStore(this.db);
+    return this.metricsStore;
+  }
+
+  async rollUp(campaignId, snapshot, { now = new Date() } = {}) {
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    const sales = await this.getCampaignSales(campaign, now);
+    const metrics = { ...campaign.metrics, actual: { ...campaign.metrics.actual } };
+    for (const metric of Object.keys(metrics.goals)) {
+      const value = METRIC_ROLLUPS[metric] && METRIC_ROLLUPS[metric](snapshot, sales);
+      if (typeof value === 'number' && !Number.isNaN(value)) {
+        metrics.actual[metric] = value;
+      }
+    }
+
+    // A campaign without a schedule still records actuals, it just has nothing to pace against
+    const scheduled = Object.keys(campaign.schedule?.phases || {}).length > 0;
+    const pacing = scheduled ? this.computePacing({ ...campaign, metrics }, now) : null;
+    const alerts = scheduled ? this.collectAlerts(pacing, metrics.alerts || [], now) : [];
+    metrics.progress = pacing;
+    metrics.alerts = [...(metrics.alerts || []), ...alerts];
+    metrics.sales = { units: 0, revenue: 0, ...sales, syncedAt: now };
+    metrics.updatedAt = now;
+
+    await this.db.updateCampaign(campaignId, { metrics });
+
+    for (const alert of alerts) {
+      console.warn(`🚨 ${alert.message}`);
+      if (this.notifier) await this.notifier.notifyPacingAlert({ campaignId, bookId: campaign.bookId, ...alert });
+    }
+
+    return { metrics, alerts };
+  }
+
+  // Units and revenue from the metric series, summed from the start of the sales
+  // pacing window (launch by default) to now or the campaign end, so a backlist
+  // book's earlier sales are not counted. A campaign without a schedule counts
+  // from its creation; null when there is nothing to count from.
+  async getCampaignSales(campaign, now = new Date()) {
+    const calendar = new BusinessCalendar(campaign.calendar);
+    let start = campaign.createdAt ? new Date(campaign.createdAt).getTime() : null;
+    let end = now.getTime();
+
+    if (Object.keys(campaign.schedule?.phases || {}).length > 0) {
+      const { from } = { ...DEFAULT_GOAL_PACING.default, ...DEFAULT_GOAL_PACING.bookSales, ...campaign.metrics?.pacing?.bookSales };
+      const window = this.getWindow(campaign, from);
+      start = window.start;
+      end = Math.min(end, window.end - 1);
+    }
+    if (start === null) return null;
+
+    const since = calendar.toLocalDay(start);
+    if (end < start) return { units: 0, revenue: 0, since, until: null };
+
+    const until = calendar.toLocalDay(end);
+    const totals = await this.getMetricsStore().getTotals(campaign.bookId, ['units', 'revenue'], { since, until });
+    return { units: totals.units, revenue: totals.revenue, since, until };
+  }
+
+  async recordManualMetric(campaignId, metric, value, { now = new Date() } = {}) {
+    if (METRIC_ROLLUPS[metric]) {
+      throw new Error(`${metric} is rolled up from analytics sync and cannot be entered by hand`);
+    }
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+      throw new Error(`${metric} must be a non-negative number, got ${value}`);
+    }
+
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+    if (!(metric in campaign.metrics.goals)) {
+      throw new Error(`Campaign ${campaignId} has no ${metric} goal (goals: ${Object.keys(campaign.metrics.goals).join(', ')})`);
+    }
+
+    const metrics = {
+      ...campaign.metrics,
+      actual: { ...campaign.metrics.actual, [metric]: value },
+      manual: { ...campaign.metrics.manual, [metric]: { value, recordedAt: now } },
+      updatedAt: now
+    };
+    await this.db.updateCampaign(campaignId, { metrics });
+
+    console.log(`📝 Recorded ${metric} = ${value} for campaign ${campaignId}`);
+    return metrics;
+  }
+
+  getWindow(campaign, from) {
+    const phases = Object.entries(campaign.schedule?.phases || {});
+    if (phases.length === 0) {
+      throw new Error(`Campaign ${campaign._id} has no schedule to pace against`);
+    }
+
+    const start = Math.min(...phases.map(([, phase]) => new Date(phase.start).getTime()));
+    const end = Math.max(...phases.map(([, phase]) => new Date(phase.end).getTime()));
+    const launchPhase = campaign.schedule.phases[getLaunchPhaseKey(campaign.schedule)];
+    const launch = launchPhase ? new Date(launchPhase.start).getTime() : start;
+
+    return { start: from === 'launch' ? launch : start, end };
+  }
+
+  expectedFraction(elapsed, curve) {
+    const t = Math.min(Math.max(elapsed, 0), 1);
+    return curve === 'front_loaded' ? Math.sqrt(t) : t;
+  }
+
+  computePacing(campaign, now = new Date()) {
+    const { goals, actual } = campaign.metrics;
+    const DAY = 24 * 60 * 60 * 1000;
+    const progress = {};
+
+    for (const [metric, goal] of Object.entries(goals)) {
+      const config = { ...DEFAULT_GOAL_PACING.default, ...DEFAULT_GOAL_PACING[metric], ...campaign.metrics.pacing?.[metric] };
+      const window = this.getWindow(campaign, config.from);
+      const elapsed = (now.getTime() - window.start) / (window.end - window.start);
+      const expected = goal * this.expectedFraction(elapsed, config.curve);
+      const value = actual[metric] || 0;
+
+      const entry = {
+        goal,
+        actual: value,
+        expected: Math.round(expected * 100) / 100,
+        progress: goal > 0 ? value / goal : null,
+        day: Math.floor((now.getTime() - window.start) / DAY) + 1,
+        windowDays: Math.round((window.end - window.start) / DAY),
+        from: config.from
+      };
+
+      if (!METRIC_ROLLUPS[metric] && !campaign.metrics.manual?.[metric]) {
+        entry.status = 'awaiting_entry';
+      } else if (now.getTime() < window.start || expected === 0) {
+        entry.status = 'not_started';
+      } else {
+        entry.variance = (value - expected) / expected;
+        entry.status = entry.variance >= 0 ? 'ahead' : value >= expected * this.alertThreshold ? 'on_track' : 'behind';
+      }
+
+      progress[metric] = entry;
+    }
+
+    return progress;
+  }
+
+  // One alert per metric per day, however often the sync runs
+  collectAlerts(pacing, previousAlerts, now) {
+    const today = now.toISOString().slice(0, 10);
+    const alerts = [];
+
+    for (const [metric, entry] of Object.entries(pacing)) {
+      if (entry.status !== 'behind') continue;
+      if (previousAlerts.some(alert => alert.metric === metric && alert.date === today)) continue;
+
+      const behind = Math.round(-entry.variance * 100);
+      const since = entry.from === 'launch' ? 'launch' : 'campaign start';
+      alerts.push({
+        metric,
+        date: today,
+        actual: entry.actual,
+        expected: entry.expected,
+        goal: entry.goal,
+        variance: entry.variance,
+        message: `Day ${entry.day} of ${entry.windowDays} since ${since}: ${metric} is ${behind}% behind the goal trajectory (${entry.actual} vs ${Math.round(entry.expected)} expected of ${entry.goal})`,
+        createdAt: now
+      });
+    }
+
+    return alerts;
+  }
+}
+
+// ===== scripts/roi-ledger.js =====
+// Spend, attributed revenue and time ledger with ROI per campaign, channel and book
+
+const LEDGER_KINDS = ['spend', 'revenue', 'time'];
+
+class RoiLedger {
+  constructor(database, { metricsStore = null } = {}) {
+    this.db = database;
+    this.metricsTracker = new CampaignMetricsTracker(database, { metricsStore });
+  }
+
+  async loadCampaign(campaignId) {
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+    return campaign;
+  }
+
+  normalizeChannel(channel) {
+    return String(channel || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  }
+
+  async record(campaignId, kind, fields) {
+    if (!LEDGER_KINDS.includes(kind)) {
+      throw new Error(`Unknown ledger entry kind: ${kind} (supported: ${LEDGER_KINDS.join(', ')})`);
+    }
+
+    const campaign = await this.loadCampaign(campaignId);
+    const currency = campaign.budget?.currency || 'USD';
+    const date = fields.date ? new Date(fields.date) : new Date();
+    const entry = { campaignId, bookId: campaign.bookId, kind, ...fields, date, createdAt: new Date() };
+
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Ledger entry date is not a valid date: ${fields.date}`);
+    }
+    if (kind === 'time') {
+      if (!(fields.minutes > 0)) throw new Error('Time entries need a positive number of minutes');
+      if (!fields.milestoneId) throw new Error('Time entries need the milestoneId they were spent on');
+    } else {
+      if (!fields.channel) throw new Error(`${kind} entries need a channel`);
+      if (!(fields.amount > 0)) throw new Error(`${kind} entries need a positive amount`);
+      if (fields.currency && fields.currency !== currency) {
+        throw new Error(`Ledger entries for campaign ${campaignId} must be in ${currency} (got ${fields.currency})`);
+      }
+      entry.currency = currency;
+    }
+    if (fields.channel) entry.channel = this.normalizeChannel(fields.channel);
+
+    return await this.db.saveLedgerEntry(entry);
+  }
+
+  async recordSpend(campaignId, { channel, amount, date, currency, description }) {
+    return this.record(campaignId, 'spend', { channel, amount, date, currency, description });
+  }
+
+  // Revenue a channel can prove, e.g. from Amazon Attribution tags or affiliate reports
+  async recordAttributedRevenue(campaignId, { channel, amount, units = 0, date, currency, source }) {
+    return this.record(campaignId, 'revenue', { channel, amount, units, date, currency, source });
+  }
+
+  // milestoneId matches the ids in schedule exports, e.g. "launch:Press release distribution:1"
+  async recordTime(campaignId, { milestoneId, minutes, person, channel, date }) {
+    return this.record(campaignId, 'time', { milestoneId, minutes, person, channel, date });
+  }
+
+  // Only sales inside the campaign window count, the same window the sales goals
+  // are rolled up over (see CampaignMetricsTracker.getCampaignSales)
+  async computeCampaignRoi(campaignId, { now = new Date() } = {}) {
+    const campaign = await this.loadCampaign(campaignId);
+    const entries = await this.db.getLedgerEntries({ campaignId });
+    const sales = await this.metricsTracker.getCampaignSales(campaign, now);
+    const roi = this.summarize(campaign, entries, sales);
+
+    await this.db.updateCampaign(campaignId, { metrics: { ...campaign.metrics, roi } });
+    return roi;
+  }
+
+  // The book takes the sales inside any of its campaign windows, counting days
+  // where windows overlap once, and splits them over every campaign's entries
+  // by the latest campaign's allocation
+  async computeBookRoi(bookId, { now = new Date() } = {}) {
+    const campaigns = await this.db.getCampaignsByBook(bookId);
+    const entries = await this.db.getLedgerEntries({ bookId });
+
+    const windows = [];
+    for (const campaign of campaigns) {
+      const sales = await this.metricsTracker.getCampaignSales(campaign, now);
+      if (sales?.until) windows.push([sales.since, sales.until]);
+    }
+    const merged = [];
+    for (const [since, until] of windows.sort((a, b) => a[0].localeCompare(b[0]))) {
+      const last = merged[merged.length - 1];
+      if (last && since <= last[1]) {
+        if (until > last[1]) last[1] = until;
+      } else {
+        merged.push([since, until]);
+      }
+    }
+
+    const sales = { units: 0, revenue: 0 };
+    for (const [since, until] of merged) {
+      const totals = await this.metricsTracker.getMetricsStore().getTotals(bookId, ['units', 'revenue'], { since, until });
+      sales.units += totals.units;
+      sales.revenue += totals.revenue;
+    }
+
+    const latest = [...campaigns].sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))[0];
+    const summary = this.summarize({ budget: { allocation: latest?.budget?.allocation } }, entries, sales);
+
+    return { bookId, campaigns: campaigns.length, ...summary };
+  }
+
+  // Directly attributed revenue is credited first; the rest of the campaign's
+  // sales revenue is split by its budget allocation, falling back to spend share.
+  summarize(campaign, entries, campaignSales) {
+    const byChannel = {};
+    const channelStats = channel => byChannel[channel] || (byChannel[channel] = { spend: 0, revenue: 0, readers: 0, minutes: 0 });
+    const byMilestone = {};
+
+    for (const entry of entries) {
+      if (entry.kind === 'spend') channelStats(entry.channel).spend += entry.amount;
+      if (entry.kind === 'revenue') {
+        channelStats(entry.channel).revenue += entry.amount;
+        channelStats(entry.channel).readers += entry.units || 0;
+      }
+      if (entry.kind === 'time') {
+        byMilestone[entry.milestoneId] = (byMilestone[entry.milestoneId] || 0) + entry.minutes;
+        if (entry.channel) channelStats(entry.channel).minutes += entry.minutes;
+      }
+    }
+
+    const sales = { units: 0, revenue: 0, ...campaignSales };
+    const direct = Object.values(byChannel).reduce((sum, stats) => ({ revenue: sum.revenue + stats.revenue, readers: sum.readers + stats.readers }), { revenue: 0, readers: 0 });
+    const unattributed = {
+      revenue: Math.max(sales.revenue - direct.revenue, 0),
+      readers: Math.max(sales.units - direct.readers, 0)
+    };
+
+    const allocation = campaign.budget?.allocation || {};
+    let weights = Object.fromEntries(Object.entries(allocation).map(([channel, pct]) => [this.normalizeChannel(channel), pct]));
+    if (Object.keys(weights).length === 0) {
+      weights = Object.fromEntries(Object.entries(byChannel).map(([channel, stats]) => [channel, stats.spend]));
+    }
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+    if (totalWeight > 0) {
+      for (const [channel, weight] of Object.entries(weights)) {
+        channelStats(channel).revenue += unattributed.revenue * weight / totalWeight;
+        channelStats(channel).readers += unattributed.readers * weight / totalWeight;
+      }
+    } else if (unattributed.revenue > 0 || unattributed.readers > 0) {
+      Object.assign(channelStats('unattributed'), unattributed);
+    }
+
+    const budgetTotal = campaign.budget?.total;
+    for (const [channel, stats] of Object.entries(byChannel)) {
+      Object.assign(stats, this.ratios(stats));
+      if (budgetTotal && weights[channel] !== undefined && Object.keys(allocation).length > 0) {
+        stats.budget = budgetTotal * weights[channel] / totalWeight;
+        stats.remaining = stats.budget - stats.spend;
+      }
+    }
+
+    // Attributed entries can run ahead of the last sales sync
+    const invested = Object.values(byChannel).reduce((sum, stats) => sum + stats.spend, 0);
+    const earned = Math.max(sales.revenue, direct.revenue);
+    const readers = Math.max(sales.units, direct.readers);
+    const minutes = Object.values(byMilestone).reduce((sum, value) => sum + value, 0);
+
+    return {
+      invested,
+      earned,
+      readers,
+      timeSpent: Math.round(minutes / 60 * 100) / 100,
+      ...this.ratios({ spend: invested, revenue: earned, readers }),
+      byChannel,
+      byMilestone: Object.fromEntries(Object.entries(byMilestone).map(([id, value]) => [id, { minutes: value }])),
+      calculatedAt: new Date()
+    };
+  }
+
+  ratios({ spend, revenue, readers }) {
+    return {
+      roi: spend > 0 ? (revenue - spend) / spend : null,
+      roas: spend > 0 ? revenue / spend : null,
+      costPerReader: readers > 0 ? spend / readers : null
+    };
+  }
+}
+
+// ===== scripts/sales-connectors.js =====
+// Sales data connectors feeding AnalyticsSync with normalized sales records
+//
+// Every connector returns records shaped like:
+//   { source, asin, isbn, marketplace, country, date, period, format,
+//     units, kuPages, revenue, currency, rank? }
+// where format is ebook, print, audiobook or ku_pages and period is day or month.
+// rank is only set by reports that carry a best-seller rank column.
+
+const MARKETPLACE_COUNTRIES = {
+  'amazon.com': 'US', 'amazon.co.uk': 'GB', 'amazon.de': 'DE', 'amazon.fr': 'FR',
+  'amazon.es': 'ES', 'amazon.it': 'IT', 'amazon.nl': 'NL', 'amazon.co.jp': 'JP',
+  'amazon.in': 'IN', 'amazon.ca': 'CA', 'amazon.com.br': 'BR', 'amazon.com.mx': 'MX',
+  'amazon.com.au': 'AU', 'amazon.pl': 'PL', 'amazon.se': 'SE'
+};
+
+const REPORT_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+class SalesConnector {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async fetchSales(book, range = {}) {
+    throw new Error(`${this.constructor.name} does not implement fetchSales`);
+  }
+
+  matchesBook(record, book) {
+    const asin = book.kdpSettings?.asin;
+    return (asin && record.asin === asin) || (book.isbn && record.isbn === book.isbn);
+  }
+
+  inRange(record, { since, until } = {}) {
+    // Monthly records ('YYYY-MM') are compared at month precision
+    const at = day => day.slice(0, record.date.length);
+    return (!since || record.date >= at(since)) && (!until || record.date <= at(until));
+  }
+}
+
+// Reads every .csv/.xlsx report in a directory. Subclasses map report rows
+// through `columns` (field -> candidate headers), which callers can override
+// when a platform renames its export columns. Numeric dates like 03/04/2024
+// are read month first unless dateOrder is 'dmy'; amounts use decimalSeparator
+// ('.' or ',', e.g. "1.234,56" in European exports). Mapping a `rank` column
+// adds the best-seller rank to each record.
+class ReportFileSalesConnector extends SalesConnector {
+  constructor(name, { reportsDir, columns = {}, dateOrder = 'mdy', decimalSeparator = '.' } = {}) {
+    super(name);
+    if (!reportsDir) {
+      throw new Error(`${name} connector needs a reportsDir`);
+    }
+    if (!['mdy', 'dmy'].includes(dateOrder)) {
+      throw new Error(`Unknown date order for ${name} reports: ${dateOrder} (supported: mdy, dmy)`);
+    }
+    if (!['.', ','].includes(decimalSeparator)) {
+      throw new Error(`Unknown decimal separator for ${name} reports: ${decimalSeparator} (supported: . ,)`);
+    }
+    this.reportsDir = reportsDir;
+    this.dateOrder = dateOrder;
+    this.decimalSeparator = decimalSeparator;
+    this.columns = { ...this.defaultColumns(), ...columns };
+  }
+
+  reportsRank() {
+    return Boolean(this.columns.rank);
+  }
+
+  defaultColumns() {
+    return {};
+  }
+
+  async fetchSales(book, range = {}) {
+    const records = await this.loadRecords();
+    return records.filter(record => this.matchesBook(record, book) && this.inRange(record, range));
+  }
+
+  async loadRecords() {
+    const files = (await fs.readdir(this.reportsDir))
+      .filter(file => /\.(csv|xlsx)$/i.test(file))
+      .sort();
+
+    const records = [];
+    for (const file of files) {
+      for (const { sheet, rows } of await this.readReportFile(path.join(this.reportsDir, file))) {
+        rows.forEach(row => {
+          const record = this.mapRow(row, sheet);
+          if (!record) return;
+          const rank = this.rank(this.read(row, 'rank'));
+          records.push({ source: this.name, ...record, ...(rank ? { rank } : {}), file });
+        });
+      }
+    }
+
+    return this.postProcess(records);
+  }
+
+  async readReportFile(filePath) {
+    if (/\.csv$/i.test(filePath)) {
+      const Papa = require('papaparse');
+      const parsed = Papa.parse(await fs.readFile(filePath, 'utf8'), { header: true, skipEmptyLines: true });
+      return [{ sheet: path.basename(filePath), rows: parsed.data }];
+    }
+
+    const XLSX = require('xlsx');
+    const workbook = XLSX.read(await fs.readFile(filePath), { type: 'buffer', cellDates: true });
+    return workbook.SheetNames.map(sheet => ({
+      sheet,
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: '' })
+    }));
+  }
+
+  read(row, field) {
+    const header = [].concat(this.columns[field] || []).find(name => row[name] !== undefined && row[name] !== '');
+    return header === undefined ? undefined : row[header];
+  }
+
+  // Everything but digits, the sign and the decimal separator is grouping or
+  // currency, so "1.234,56 €" reads as 1234.56 with a ',' separator
+  number(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    if (typeof value === 'number') return value;
+
+    const [integer, fraction = ''] = String(value).split(this.decimalSeparator);
+    const parsed = parseFloat(`${integer.replace(/[^0-9-]/g, '')}.${fraction.replace(/[^0-9]/g, '') || '0'}`);
+    return Number.isNaN(parsed) ? 0 : parsed;
+  }
+
+  // Ranks are whole numbers ("#1,234"), so separators are dropped whatever the locale
+  rank(value) {
+    if (typeof value === 'number') return value > 0 ? Math.round(value) : null;
+    const digits = String(value ?? '').replace(/\D/g, '');
+    return digits ? Number(digits) : null;
+  }
+
+  // Returns { date: 'YYYY-MM-DD' or 'YYYY-MM', period: 'day' | 'month' }. Report
+  // dates are calendar days, so they are read from their parts rather than through
+  // Date parsing, which would place them in the local timezone.
+  parseReportDate(value) {
+    // Spreadsheet cells come back from xlsx at local midnight
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) return null;
+      return this.toReportDay(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+
+    const text = String(value || '').trim();
+    const monthOf = name => REPORT_MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+    let match;
+
+    // 2024-03, 2024-03-15, 2024/03/15, 2024-03-15T00:00:00Z
+    if ((match = text.match(/^(\d{4})[-/](\d{1,2})$/))) return this.toReportMonth(+match[1], +match[2]);
+    if ((match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ].*)?$/))) return this.toReportDay(+match[1], +match[2], +match[3]);
+
+    // 03/15/2024, or 15/03/2024 with dateOrder 'dmy'
+    if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+      const [first, second] = [+match[1], +match[2]];
+      return this.dateOrder === 'dmy' ? this.toReportDay(+match[3], second, first) : this.toReportDay(+match[3], first, second);
+    }
+
+    // March 2024, Mar 15, 2024, 15 March 2024
+    if ((match = text.match(/^([a-z]+)\.?\s+(\d{4})$/i)) && monthOf(match[1])) return this.toReportMonth(+match[2], monthOf(match[1]));
+    if ((match = text.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i)) && monthOf(match[1])) return this.toReportDay(+match[3], monthOf(match[1]), +match[2]);
+    if ((match = text.match(/^(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{4})$/i)) && monthOf(match[2])) return this.toReportDay(+match[3], monthOf(match[2]), +match[1]);
+
+    return null;
+  }
+
+  toReportMonth(year, month) {
+    if (month < 1 || month > 12) return null;
+    return { date: `${year}-${String(month).padStart(2, '0')}`, period: 'month' };
+  }
+
+  toReportDay(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return { date: date.toISOString().slice(0, 10), period: 'day' };
+  }
+
+  mapRow(row, sheet) {
+    throw new Error(`${this.constructor.name} does not implement mapRow`);
+  }
+
+  postProcess(records) {
+    return records;
+  }
+}
+
+class KdpReportConnector extends ReportFileSalesConnector {
+  constructor(options = {}) {
+    super('kdp', options);
+  }
+
+  defaultColumns() {
+    return {
+      date: ['Royalty Date', 'Date', 'Order Date'],
+      asin: ['ASIN', 'ASIN/ISBN'],
+      isbn: ['ISBN'],
+      marketplace: ['Marketplace'],
+      units: ['Net Units Sold', 'Units Sold', 'Net Units'],
+      kuPages: ['Kindle Edition Normalized Pages (KENP) Read', 'KENP Read', 'Kindle Edition Normalized Pages (KENP)'],
+      revenue: ['Royalty', 'Earnings'],
+      currency: ['Currency'],
+      format: ['Format']
+    };
+  }
+
+  // KDP workbooks split formats across sheets ("eBook Royalty", "Paperback Royalty", "KENP Read")
+  formatFor(row, sheet) {
+    const label = `${sheet} ${this.read(row, 'format') || ''}`.toLowerCase();
+    if (this.read(row, 'kuPages') !== undefined || /kenp/.test(label)) return 'ku_pages';
+    if (/paperback|hardcover|print/.test(label)) return 'print';
+    if (/audio/.test(label)) return 'audiobook';
+    return 'ebook';
+  }
+
+  // Paperback sheets put the ISBN in the "ASIN/ISBN" column. A 13-digit value is
+  // always an ISBN; a print ASIN is the ISBN-10, so a 10-digit one counts as both.
+  mapRow(row, sheet) {
+    const when = this.parseReportDate(this.read(row, 'date'));
+    const identifier = String(this.read(row, 'asin') || '').trim();
+    const isbnColumn = this.read(row, 'isbn') ? String(this.read(row, 'isbn')).replace(/[\s-]/g, '') : null;
+    if (!when || (!identifier && !isbnColumn)) return null;
+
+    const digits = identifier.replace(/[\s-]/g, '').toUpperCase();
+    const isbn = isbnColumn || (/^\d{13}$|^\d{9}[\dX]$/.test(digits) ? digits : null);
+    const asin = identifier && !/^\d{13}$/.test(digits) ? identifier : null;
+
+    const marketplace = String(this.read(row, 'marketplace') || '').trim().toLowerCase();
+    const format = this.formatFor(row, sheet);
+
+    return {
+      asin,
+      isbn,
+      marketplace,
+      country: MARKETPLACE_COUNTRIES[marketplace] || null,
+      ...when,
+      format,
+      units: format === 'ku_pages' ? 0 : this.number(this.read(row, 'units')),
+      kuPages: format === 'ku_pages' ? this.number(this.read(row, 'kuPages')) : 0,
+      revenue: this.number(this.read(row, 'revenue')),
+      currency: this.read(row, 'currency') || null
+    };
+  }
+
+  // Daily reports supersede the monthly report for the same ASIN, marketplace and format
+  postProcess(records) {
+    const product = record => record.asin || record.isbn;
+    const dailyMonths = new Set(records
+      .filter(record => record.period === 'day')
+      .map(record => `${product(record)}|${record.marketplace}|${record.format}|${record.date.slice(0, 7)}`));
+
+    return records.filter(record => record.period === 'day' ||
+      !dailyMonths.has(`${product(record)}|${record.marketplace}|${record.format}|${record.date}`));
+  }
+}
+
+class Draft2DigitalReportConnector extends ReportFileSalesConnector {
+  constructor(options = {}) {
+    super('draft2digital', options);
+  }
+
+  defaultColumns() {
+    return {
+      date: ['Sale Date', 'Date'],
+      isbn: ['ISBN', 'eISBN'],
+      store: ['Vendor', 'Store', 'Retailer'],
+      country: ['Country', 'Country Code'],
+      units: ['Units', 'Quantity', 'Net Units'],
+      revenue: ['Your Earnings', 'Earnings', 'Royalty'],
+      currency: ['Currency', 'Earnings Currency'],
+      format: ['Format']
+    };
+  }
+
+  mapRow(row) {
+    const when = this.parseReportDate(this.read(row, 'date'));
+    const isbn = this.read(row, 'isbn');
+    if (!when || !isbn) return null;
+
+    return {
+      asin: null,
+      isbn: String(isbn).replace(/[\s-]/g, ''),
+      marketplace: String(this.read(row, 'store') || '').trim().toLowerCase(),
+      country: this.read(row, 'country') ? String(this.read(row, 'country')).trim().toUpperCase() : null,
+      ...when,
+      format: /print|paperback/i.test(this.read(row, 'format') || '') ? 'print' : 'ebook',
+      units: this.number(this.read(row, 'units')),
+      kuPages: 0,
+      revenue: this.number(this.read(row, 'revenue')),
+      currency: this.read(row, 'currency') || null
+    };
+  }
+}
+
+class IngramSparkReportConnector extends ReportFileSalesConnector {
+  constructor(options = {}) {
+    super('ingramspark', options);
+  }
+
+  defaultColumns() {
+    return {
+      date: ['Reporting Period', 'Sales Period', 'Date'],
+      isbn: ['ISBN', 'ISBN13'],
+      market: ['Sales Market', 'Market'],
+      units: ['Net Qty', 'Net Quantity', 'Qty Sold'],
+      revenue: ['Publisher Compensation', 'Compensation', 'Net Compensation'],
+      currency: ['Currency', 'Reporting Currency'],
+      format: ['Format', 'Binding']
+    };
+  }
+
+  mapRow(row) {
+    const when = this.parseReportDate(this.read(row, 'date'));
+    const isbn = this.read(row, 'isbn');
+    if (!when || !isbn) return null;
+
+    // Ingram markets are country codes, except "GC" for the global connect network
+    const market = String(this.read(row, 'market') || '').trim().toUpperCase();
+
+    return {
+      asin: null,
+      isbn: String(isbn).replace(/[\s-]/g, ''),
+      marketplace: `ingram.${market.toLowerCase() || 'unknown'}`,
+      country: /^[A-Z]{2}$/.test(market) && market !== 'GC' ? market : null,
+      ...when,
+      format: /ebook|epub/i.test(this.read(row, 'format') || '') ? 'ebook' : 'print',
+      units: this.number(this.read(row, 'units')),
+      kuPages: 0,
+      revenue: this.number(this.read(row, 'revenue')),
+      currency: this.read(row, 'currency') || null
+    };
+  }
+}
+
+// ===== scripts/social-connectors.js =====
+// Social metrics connectors feeding AnalyticsSync
+//
+// Every connector returns records shaped like:
+//   { source, postId, date, text, reach, engagement, shares, mentions }
+// Post rows carry a postId and text; account-level daily rows have neither.
+// Dates are days in the connector's timezone so they line up with sales days.
+
+class SocialConnector {
+  constructor(name, { timezone = 'UTC', includeAccountTotals = false } = {}) {
+    this.name = name;
+    this.calendar = new BusinessCalendar({ timezone });
+    this.includeAccountTotals = includeAccountTotals;
+  }
+
+  async fetchMetrics(book, range = {}) {
+    throw new Error(`${this.constructor.name} does not implement fetchMetrics`);
+  }
+
+  // Posts count for a book when they mention its title, ASIN or one of its
+  // socialSettings hashtags/keywords. Account-level rows cover every book on
+  // the account, so they only count when includeAccountTotals is turned on for
+  // the connector or in the book's socialSettings (e.g. a single-book account).
+  matchesBook(record, book) {
+    if (!record.postId) return book.socialSettings?.includeAccountTotals ?? this.includeAccountTotals;
+
+    const text = (record.text || '').toLowerCase();
+    const terms = [
+      book.title,
+      book.kdpSettings?.asin,
+      ...(book.socialSettings?.hashtags || []),
+      ...(book.socialSettings?.keywords || [])
+    ].filter(Boolean).map(term => String(term).toLowerCase());
+
+    return terms.some(term => text.includes(term));
+  }
+
+  inRange(record, { since, until } = {}) {
+    return (!since || record.date >= since) && (!until || record.date <= until);
+  }
+
+  // Timestamps are moved into the connector's timezone; bare dates are
+  // already the platform's reporting day. Slashed dates are US month/day.
+  alignDate(value) {
+    // Spreadsheet cells come back from xlsx at local midnight
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : this.toLocalDate(value);
+
+    const text = String(value || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+    const slashed = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (slashed) {
+      const [, month, day, year] = slashed;
+      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+
+    if (/\d{1,2}:\d{2}/.test(text)) {
+      // "2026-09-01 14:03 +0000" as written by X exports
+      const instant = new Date(text
+        .replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T')
+        .replace(/\s*([+-]\d{2}):?(\d{2})$/, '$1:$2'));
+      return Number.isNaN(instant.getTime()) ? null : this.calendar.toLocalDay(instant);
+    }
+
+    // Named dates such as "Mon, Sep 01, 2026" parse as local midnight
+    const parsed = new Date(text);
+    return Number.isNaN(parsed.getTime()) ? null : this.toLocalDate(parsed);
+  }
+
+  toLocalDate(date) {
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+}
+
+// Reads every .csv/.xlsx/.xls analytics export in a directory. Exports often
+// open with a description line, so the header is the first row naming a
+// `date` column. Overlapping exports are deduplicated by post (or by day for
+// account rows), keeping the fullest reading since post metrics only grow.
+// Account rows give way to the book's own posts only after the book filter,
+// so another book's posts never hide a day's account total.
+class ReportFileSocialConnector extends SocialConnector {
+  constructor(name, { reportsDir, columns = {}, ...options } = {}) {
+    super(name, options);
+    if (!reportsDir) {
+      throw new Error(`${name} connector needs a reportsDir`);
+    }
+    this.reportsDir = reportsDir;
+    this.columns = { ...this.defaultColumns(), ...columns };
+  }
+
+  defaultColumns() {
+    return {};
+  }
+
+  async fetchMetrics(book, range = {}) {
+    const records = (await this.loadRecords())
+      .filter(record => this.matchesBook(record, book) && this.inRange(record, range));
+    return this.dropCoveredAccountRows(records);
+  }
+
+  async loadRecords() {
+    const files = (await fs.readdir(this.reportsDir))
+      .filter(file => /\.(csv|xlsx|xls)$/i.test(file))
+      .sort();
+
+    const records = [];
+    for (const file of files) {
+      for (const { sheet, rows } of await this.readExportFile(path.join(this.reportsDir, file))) {
+        rows.forEach(row => {
+          const record = this.mapRow(row, sheet);
+          if (record) records.push({ source: this.name, ...record, file });
+        });
+      }
+    }
+
+    return this.dedupe(records);
+  }
+
+  async readExportFile(filePath) {
+    let sheets;
+    if (/\.csv$/i.test(filePath)) {
+      const Papa = require('papaparse');
+      const parsed = Papa.parse(await fs.readFile(filePath, 'utf8'), { skipEmptyLines: true });
+      sheets = [{ sheet: path.basename(filePath), table: parsed.data }];
+    } else {
+      const XLSX = require('xlsx');
+      const workbook = XLSX.read(await fs.readFile(filePath), { type: 'buffer', cellDates: true });
+      sheets = workbook.SheetNames.map(sheet => ({
+        sheet,
+        table: XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1, defval: '' })
+      }));
+    }
+
+    const dateHeaders = [].concat(this.columns.date || []);
+    return sheets.map(({ sheet, table }) => {
+      const headerIndex = table.findIndex(cells => cells.some(cell => dateHeaders.includes(String(cell).trim())));
+      if (headerIndex === -1) return { sheet, rows: [] };
+
+      const headers = table[headerIndex].map(cell => String(cell).trim());
+      const rows = table.slice(headerIndex + 1).map(cells =>
+        Object.fromEntries(headers.map((header, i) => [header, cells[i] === undefined ? '' : cells[i]])));
+      return { sheet, rows };
+    });
+  }
+
+  read(row, field) {
+    const header = [].concat(this.columns[field] || []).find(name => row[name] !== undefined && row[name] !== '');
+    return header === undefined ? undefined : row[header];
+  }
+
+  count(field, row) {
+    const value = this.read(row, field);
+    if (value === undefined || value === null || value === '') return 0;
+    const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+    return Number.isNaN(parsed) ? 0 : parsed;
+  }
+
+  mapRow(row, sheet) {
+    throw new Error(`${this.constructor.name} does not implement mapRow`);
+  }
+
+  dedupe(records) {
+    const byKey = new Map();
+    for (const record of records) {
+      const key = record.postId ? `post|${record.postId}` : `day|${record.date}`;
+      const existing = byKey.get(key);
+      if (!existing || record.reach > existing.reach ||
+          (record.reach === existing.reach && record.engagement > existing.engagement)) {
+        byKey.set(key, record);
+      }
+    }
+
+    return [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Account totals already include every post, so days with post rows use those
+  dropCoveredAccountRows(records) {
+    const postDays = new Set(records.filter(record => record.postId).map(record => record.date));
+    return records.filter(record => record.postId || !postDays.has(record.date));
+  }
+}
+
+// LinkedIn page analytics: the "Metrics" sheet has daily page totals,
+// the "All posts" sheet one row per update.
+class LinkedInAnalyticsConnector extends ReportFileSocialConnector {
+  constructor(options = {}) {
+    super('linkedin', options);
+  }
+
+  defaultColumns() {
+    return {
+      date: ['Date', 'Created date'],
+      postId: ['Post link', 'Update link', 'Post URL'],
+      text: ['Post title', 'Update title', 'Post text'],
+      reach: ['Impressions (total)', 'Impressions', 'Impressions (organic)'],
+      clicks: ['Clicks (total)', 'Clicks'],
+      reactions: ['Reactions (total)', 'Reactions', 'Likes'],
+      comments: ['Comments (total)', 'Comments'],
+      shares: ['Reposts (total)', 'Reposts', 'Shares (total)', 'Shares']
+    };
+  }
+
+  mapRow(row) {
+    const date = this.alignDate(this.read(row, 'date'));
+    if (!date) return null;
+
+    const postId = this.read(row, 'postId');
+    const shares = this.count('shares', row);
+
+    return {
+      postId: postId ? String(postId).trim() : null,
+      date,
+      text: postId ? String(this.read(row, 'text') || '') : null,
+      reach: this.count('reach', row),
+      // LinkedIn counts clicks, reactions, comments and reposts as engagement
+      engagement: this.count('clicks', row) + this.count('reactions', row) + this.count('comments', row) + shares,
+      shares,
+      mentions: postId ? 1 : 0
+    };
+  }
+}
+
+// X (Twitter) analytics: the per-post activity export (older "Tweet id"
+// headers and newer "Post id" ones) and the daily overview export.
+class XAnalyticsConnector extends ReportFileSocialConnector {
+  constructor(options = {}) {
+    super('x', options);
+  }
+
+  defaultColumns() {
+    return {
+      date: ['time', 'Date', 'Created at'],
+      postId: ['Tweet id', 'Post id', 'Post ID'],
+      text: ['Tweet text', 'Post text'],
+      reach: ['impressions', 'Impressions'],
+      engagement: ['engagements', 'Engagements'],
+      likes: ['likes', 'Likes'],
+      replies: ['replies', 'Replies'],
+      shares: ['retweets', 'Reposts']
+    };
+  }
+
+  mapRow(row) {
+    const date = this.alignDate(this.read(row, 'date'));
+    if (!date) return null;
+
+    const postId = this.read(row, 'postId');
+    const shares = this.count('shares', row);
+    const engagement = this.read(row, 'engagement') !== undefined
+      ? this.count('engagement', row)
+      : this.count('likes', row) + this.count('replies', row) + shares;
+
+    return {
+      postId: postId ? String(postId).trim() : null,
+      date,
+      text: postId ? String(this.read(row, 'text') || '') : null,
+      reach: this.count('reach', row),
+      engagement,
+      shares,
+      mentions: postId ? 1 : 0
+    };
+  }
+}
+
+// ===== scripts/metrics-store.js =====
+// Daily metric series per book, sync watermarks and trend queries
+//
+// Points are { bookId, metric, date: 'YYYY-MM-DD', source, value, period }.
+// Flow metrics (sales and social) are summed across sources and days;
+// gauges (rank, reviews, rating, ...) are daily readings taken at sync time.
+// Monthly report rows are stored on the first of their month with period 'month',
+// keyed apart from that day's daily point. Once a source has daily points for a
+// month, its monthly total for that month is left out of sums and series.
+
+const SALES_METRICS = ['units', 'revenue', 'kuPages'];
+const SOCIAL_METRICS = ['socialReach', 'socialEngagement', 'socialShares', 'socialMentions'];
+const FLOW_METRICS = [...SALES_METRICS, ...SOCIAL_METRICS];
+
+class MetricsStore {
+  constructor(database) {
+    this.points = database.collection('metric_points');
+    this.watermarks = database.collection('sync_watermarks');
+  }
+
+  async recordPoints(bookId, source, points) {
+    if (points.length === 0) return 0;
+
+    await this.points.bulkWrite(points.map(point => ({
+      updateOne: {
+        filter: { bookId, metric: point.metric, date: point.date, source, period: point.period || 'day' },
+        update: { $set: { value: point.value, updatedAt: new Date() } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return points.length;
+  }
+
+  async getWatermark(bookId, source) {
+    const watermark = await this.watermarks.findOne({ bookId, source });
+    return watermark ? watermark.date : null;
+  }
+
+  // Watermarks only move forward, so backfilling old data never rewinds the sync
+  async advanceWatermark(bookId, source, date) {
+    const current = await this.getWatermark(bookId, source);
+    if (!date || (current && current >= date)) return current;
+
+    await this.watermarks.updateOne(
+      { bookId, source },
+      { $set: { date, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return date;
+  }
+
+  async getPoints(bookId, metric, { since, until } = {}) {
+    const query = { bookId, metric };
+    if (since || until) {
+      query.date = {};
+      if (since) query.date.$gte = since;
+      if (until) query.date.$lte = until;
+    }
+
+    return this.dropSupersededMonths(await this.points.find(query).toArray());
+  }
+
+  dropSupersededMonths(points) {
+    const dailyMonths = new Set(points
+      .filter(point => point.period !== 'month')
+      .map(point => `${point.source}|${point.date.slice(0, 7)}`));
+    return points.filter(point => point.period !== 'month' || !dailyMonths.has(`${point.source}|${point.date.slice(0, 7)}`));
+  }
+
+  // Flow metrics sum across sources; gauges keep the latest reading of the day
+  async getSeries(bookId, metric, { since, until, fill = FLOW_METRICS.includes(metric) } = {}) {
+    const isFlow = FLOW_METRICS.includes(metric);
+    const byDate = new Map();
+
+    for (const point of await this.getPoints(bookId, metric, { since, until })) {
+      const existing = byDate.get(point.date);
+      if (isFlow) {
+        byDate.set(point.date, { value: (existing ? existing.value : 0) + point.value });
+      } else if (!existing || point.updatedAt > existing.updatedAt) {
+        byDate.set(point.date, point);
+      }
+    }
+
+    let series = [...byDate.entries()]
+      .map(([date, point]) => ({ date, value: point.value }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (fill && since && until) {
+      const known = new Map(series.map(point => [point.date, point.value]));
+      series = [];
+      for (let day = since; day <= until; day = this.addDays(day, 1)) {
+        series.push({ date: day, value: known.get(day) || 0 });
+      }
+    }
+
+    return series;
+  }
+
+  async getTotals(bookId, metrics = FLOW_METRICS, { since, until } = {}) {
+    const totals = {};
+    for (const metric of metrics) {
+      const points = await this.getPoints(bookId, metric, { since, until });
+      totals[metric] = Math.round(points.reduce((sum, point) => sum + point.value, 0) * 100) / 100;
+    }
+    return totals;
+  }
+
+  // Trailing average of units per day, for every day in the requested range
+  async salesVelocity(bookId, { until = new Date().toISOString().slice(0, 10), windowDays = 7, days = 30 } = {}) {
+    const since = this.addDays(until, -(days + windowDays - 2));
+    const daily = await this.getSeries(bookId, 'units', { since, until, fill: true });
+
+    const series = daily.slice(windowDays - 1).map((point, i) => ({
+      date: point.date,
+      value: daily.slice(i, i + windowDays).reduce((sum, p) => sum + p.value, 0) / windowDays
+    }));
+
+    return {
+      bookId,
+      windowDays,
+      current: series.length > 0 ? series[series.length - 1].value : 0,
+      series
+    };
+  }
+
+  async rankOverTime(bookId, { since, until } = {}) {
+    return (await this.getSeries(bookId, 'rank', { since, until, fill: false }))
+      .filter(point => point.value !== null && point.value !== undefined);
+  }
+
+  // Flows compare weekly totals; gauges compare the last reading of each week
+  async weekOverWeek(bookId, metric, { until = new Date().toISOString().slice(0, 10) } = {}) {
+    const isFlow = FLOW_METRICS.includes(metric);
+    const series = await this.getSeries(bookId, metric, { since: this.addDays(until, -13), until, fill: isFlow });
+    const cutoff = this.addDays(until, -6);
+
+    const aggregate = points => {
+      if (points.length === 0) return null;
+      return isFlow ? points.reduce((sum, point) => sum + point.value, 0) : points[points.length - 1].value;
+    };
+
+    const thisWeek = aggregate(series.filter(point => point.date >= cutoff));
+    const lastWeek = aggregate(series.filter(point => point.date < cutoff));
+    const change = thisWeek !== null && lastWeek !== null ? thisWeek - lastWeek : null;
+
+    return {
+      bookId,
+      metric,
+      thisWeek,
+      lastWeek,
+      change,
+      changePct: change !== null && lastWeek ? change / lastWeek : null
+    };
+  }
+
+  addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+// ===== scripts/review-analysis.js =====
+// Offline review sentiment, themes and low-star cluster detection
+//
+// Scoring is lexicon based (VADER-style): word scores on a -3..3 scale,
+// flipped by a negation up to three words before them, scaled by intensifiers, with the clause
+// after "but" weighted over the one before it. No external API is needed.
+
+// Multi-word terms use underscores; the matching phrases are joined before
+// tokenizing so "page turner" scores as one term.
+const SENTIMENT_LEXICON = {
+  // Positive
+  amazing: 3, awesome: 3, brilliant: 3, excellent: 3, fantastic: 3, outstanding: 3,
+  superb: 3, masterpiece: 3, perfect: 3, wonderful: 3, loved: 3, 'must_read': 3,
+  love: 2.5, great: 2.5, 'page_turner': 2.5, "couldn't_put_it_down": 3, "could_not_put_it_down": 3,
+  beautiful: 2.5, beautifully: 2.5, gripping: 2.5, compelling: 2.5, inspiring: 2.5, insightful: 2.5,
+  captivating: 2.5, 'highly_recommend': 3, enjoyable: 2, enjoyed: 2, engaging: 2, fascinating: 2.5,
+  good: 1.5, nice: 1.5, fun: 1.5, helpful: 2, useful: 2, practical: 1.5, actionable: 2,
+  clear: 1.5, concise: 1.5, informative: 1.5, interesting: 1.5, recommend: 2, recommended: 2,
+  valuable: 2, refreshing: 2, moving: 1.5, solid: 1, thoughtful: 1.5, 'well_written': 2.5,
+  'easy_to_read': 1.5, 'worth_reading': 2, 'worth_it': 1.5, satisfying: 2, funny: 1.5, clever: 1.5,
+  // Negative
+  awful: -3, terrible: -3, horrible: -3, worst: -3, garbage: -3, unreadable: -3,
+  'waste_of_money': -3, 'waste_of_time': -3, hated: -3, hate: -2.5, disappointing: -2.5,
+  disappointed: -2.5, disappointment: -2.5, boring: -2.5, bad: -2, poor: -2, poorly: -2,
+  dull: -2, tedious: -2, confusing: -2, confused: -1.5, shallow: -1.5, predictable: -1.5,
+  repetitive: -2, overpriced: -2, 'did_not_finish': -2.5, dnf: -2.5, annoying: -2,
+  mediocre: -1.5, weak: -1.5, slow: -1, dragged: -1.5, drags: -1.5, unrealistic: -1.5,
+  unnecessary: -1, flat: -1, typos: -1.5, errors: -1.5, mistakes: -1.5, sloppy: -2,
+  misleading: -2, lacking: -1.5, meh: -1, 'fell_flat': -2, 'not_worth': -2, refund: -2,
+  returned: -1.5, skimmed: -1.5, fluff: -1.5, filler: -1.5, cliche: -1.5, cliched: -1.5
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'nothing', 'hardly', 'barely', 'without', 'neither', 'nor',
+  "don't", "doesn't", "didn't", "isn't", "wasn't", "aren't", "weren't", "can't",
+  "couldn't", "won't", "wouldn't", "shouldn't", 'cannot', 'dont', 'didnt', 'isnt', 'wasnt'
+]);
+
+const INTENSIFIERS = {
+  very: 1.5, really: 1.4, extremely: 1.8, incredibly: 1.8, absolutely: 1.7, so: 1.3,
+  truly: 1.4, super: 1.5, totally: 1.5, highly: 1.5, completely: 1.6,
+  somewhat: 0.6, slightly: 0.5, fairly: 0.8, quite: 1.1, bit: 0.6, mostly: 0.8
+};
+
+// Recurring things readers praise or complain about. Patterns run on the
+// lower-cased title + text; a review counts once per theme.
+const REVIEW_THEMES = [
+  { key: 'too_long', label: 'too long', patterns: [/\btoo long\b/, /\boverly long\b/, /\blong[- ]winded\b/, /\bdrag(s|ged)?\b/, /\bpadd(ed|ing)\b/, /\bcould have been (shorter|an article|a blog post)\b/] },
+  { key: 'too_short', label: 'too short', patterns: [/\btoo short\b/, /\bended abruptly\b/, /\babrupt ending\b/] },
+  { key: 'repetitive', label: 'repetitive', patterns: [/\brepetitive\b/, /\brepeats? (itself|the same)\b/, /\bsame points?\b/, /\bover and over\b/] },
+  { key: 'great_examples', label: 'great examples', patterns: [/\b(great|good|excellent|helpful|useful|practical|real[- ]world|concrete) (examples?|case stud(y|ies)|stories)\b/] },
+  { key: 'lacks_examples', label: 'lacks examples', patterns: [/\b(no|few|not enough|lack of|lacks|more) (concrete |real |practical )?examples\b/, /\btoo (theoretical|abstract)\b/] },
+  { key: 'actionable_advice', label: 'actionable advice', patterns: [/\bactionable\b/, /\bpractical (advice|tips|steps|tools)\b/, /\bstep[- ]by[- ]step\b/] },
+  { key: 'formatting_issues', label: 'formatting issues', patterns: [/\bformatting\b/, /\bformatted (badly|poorly)\b/, /\blayout\b/, /\bbroken (links?|images?|tables?)\b/, /\b(images?|charts?|tables?) (are |were )?(missing|blurry|unreadable)\b/, /\bfont\b/] },
+  { key: 'editing_errors', label: 'typos and editing', patterns: [/\btypos?\b/, /\bspelling\b/, /\bgrammar(tical)?\b/, /\bproof ?read/, /\bneeds? (an? )?(editor|editing)\b/] },
+  { key: 'writing_style', label: 'writing style', patterns: [/\bwell[- ]written\b/, /\beasy to read\b/, /\bwriting style\b/, /\bprose\b/, /\bbeautifully written\b/] },
+  { key: 'pacing', label: 'pacing', patterns: [/\bpacing\b/, /\bpage[- ]turner\b/, /\bslow (start|burn|paced|going)\b/, /\bfast[- ]paced\b/] },
+  { key: 'characters', label: 'characters', patterns: [/\bcharacters?\b/, /\bprotagonist\b/, /\bheroine\b/, /\bvillain\b/] },
+  { key: 'ending', label: 'ending', patterns: [/\bending\b/, /\bcliff ?hanger\b/] },
+  { key: 'price', label: 'price and value', patterns: [/\boverpriced\b/, /\bprice\b/, /\bexpensive\b/, /\bvalue for money\b/, /\bworth the (money|price)\b/] },
+  { key: 'narration', label: 'audiobook narration', patterns: [/\bnarrat(or|ion)\b/] }
+];
+
+class ReviewAnalyzer {
+  constructor({
+    lexicon = SENTIMENT_LEXICON,
+    themes = REVIEW_THEMES,
+    lowStarRating = 2,
+    clusterWindowDays = 7,
+    clusterSize = 3
+  } = {}) {
+    this.lexicon = lexicon;
+    this.phrases = Object.keys(lexicon).filter(term => term.includes('_')).sort((a, b) => b.length - a.length);
+    this.themes = themes;
+    this.lowStarRating = lowStarRating;
+    this.clusterWindowDays = clusterWindowDays;
+    this.clusterSize = clusterSize;
+  }
+
+  // Returns { score: -1..1 | null, terms } — null when no lexicon term matched
+  scoreText(text) {
+    let normalized = ` ${text.toLowerCase().replace(/[‘’]/g, "'")} `;
+    for (const phrase of this.phrases) {
+      const words = phrase.split('_').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      normalized = normalized.replace(new RegExp(`\\b${words.join('\\s+')}\\b`, 'g'), phrase);
+    }
+
+    let total = 0;
+    let terms = 0;
+
+    for (const sentence of normalized.split(/[.!?;:\n]+/)) {
+      const tokens = sentence.match(/[a-z][a-z_']*/g) || [];
+      const pivot = tokens.lastIndexOf('but');
+      let negated = 0;
+      let boost = 1;
+
+      tokens.forEach((token, index) => {
+        if (NEGATIONS.has(token)) {
+          negated = 3;
+          return;
+        }
+        if (INTENSIFIERS[token]) {
+          boost = INTENSIFIERS[token];
+          return;
+        }
+
+        const value = this.lexicon[token];
+        if (value !== undefined) {
+          const weight = pivot === -1 ? 1 : index < pivot ? 0.5 : 1.5;
+          total += value * boost * (negated > 0 ? -0.75 : 1) * weight;
+          terms++;
+          negated = 0;
+        }
+        boost = 1;
+        if (negated > 0) negated--;
+      });
+    }
+
+    return {
+      score: terms === 0 ? null : Math.round((total / Math.sqrt(total * total + 15)) * 1000) / 1000,
+      terms
+    };
+  }
+
+  extractThemes(text) {
+    const lower = text.toLowerCase();
+    return this.themes
+      .filter(theme => theme.patterns.some(pattern => pattern.test(lower)))
+      .map(theme => theme.key);
+  }
+
+  // Reviews without text fall back to their star rating
+  scoreReview(review) {
+    const text = [review.title, review.text].filter(value => typeof value === 'string' && value.trim()).join('. ');
+    const rating = typeof review.rating === 'number' ? review.rating : null;
+    const { score, terms } = text ? this.scoreText(text) : { score: null, terms: 0 };
+
+    let sentimentScore = score;
+    let basis = 'text';
+    if (score === null) {
+      sentimentScore = rating === null ? 0 : (rating - 3) / 2;
+      basis = rating === null ? 'none' : 'rating';
+    }
+
+    return {
+      id: this.getReviewId(review),
+      date: this.getReviewDate(review),
+      rating,
+      title: review.title || null,
+      text: review.text || null,
+      score: sentimentScore,
+      label: this.labelFor(sentimentScore),
+      basis,
+      terms,
+      themes: text ? this.extractThemes(text) : []
+    };
+  }
+
+  analyze(reviews) {
+    const scored = reviews.map(review => this.scoreReview(review));
+    const distribution = { positive: 0, neutral: 0, negative: 0 };
+    scored.forEach(review => distribution[review.label]++);
+
+    const averageScore = scored.length === 0
+      ? null
+      : Math.round(scored.reduce((sum, review) => sum + review.score, 0) / scored.length * 1000) / 1000;
+
+    return {
+      count: scored.length,
+      averageScore,
+      label: averageScore === null ? 'neutral' : this.labelFor(averageScore),
+      distribution,
+      themes: this.summarizeThemes(scored),
+      reviews: scored
+    };
+  }
+
+  summarizeThemes(scored) {
+    const byTheme = new Map();
+    for (const review of scored) {
+      for (const key of review.themes) {
+        const entry = byTheme.get(key) || { key, count: 0, scoreSum: 0, ratingSum: 0, rated: 0, examples: [] };
+        entry.count++;
+        entry.scoreSum += review.score;
+        if (review.rating !== null) {
+          entry.ratingSum += review.rating;
+          entry.rated++;
+        }
+        if (entry.examples.length < 3 && review.text) entry.examples.push(review.text.slice(0, 140));
+        byTheme.set(key, entry);
+      }
+    }
+
+    return [...byTheme.values()]
+      .map(entry => ({
+        key: entry.key,
+        label: this.themes.find(theme => theme.key === entry.key).label,
+        count: entry.count,
+        share: Math.round(entry.count / scored.length * 1000) / 1000,
+        averageScore: Math.round(entry.scoreSum / entry.count * 1000) / 1000,
+        averageRating: entry.rated === 0 ? null : Math.round(entry.ratingSum / entry.rated * 100) / 100,
+        examples: entry.examples
+      }))
+      .sort((a, b) => b.count - a.count || a.averageScore - b.averageScore);
+  }
+
+  // Average sentiment and rating per week (starting Monday) or month
+  trend(scored, { bucket = 'week' } = {}) {
+    const periods = new Map();
+    for (const review of scored) {
+      if (!review.date) continue;
+      const period = this.periodFor(review.date, bucket);
+      const entry = periods.get(period) || { period, count: 0, scoreSum: 0, ratingSum: 0, rated: 0 };
+      entry.count++;
+      entry.scoreSum += review.score;
+      if (review.rating !== null) {
+        entry.ratingSum += review.rating;
+        entry.rated++;
+      }
+      periods.set(period, entry);
+    }
+
+    return [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(entry => ({
+        period: entry.period,
+        count: entry.count,
+        averageScore: Math.round(entry.scoreSum / entry.count * 1000) / 1000,
+        averageRating: entry.rated === 0 ? null : Math.round(entry.ratingSum / entry.rated * 100) / 100
+      }));
+  }
+
+  // A cluster is clusterSize or more low-star reviews inside the trailing
+  // window. Each alert needs clusterSize reviews not covered by an earlier
+  // alert, so a persisting cluster is reported once, not on every sync.
+  detectLowStarClusters(scored, { now = new Date(), alertedReviewIds = [] } = {}) {
+    const windowStart = new Date(now.getTime() - this.clusterWindowDays * 24 * 60 * 60 * 1000);
+    const alerted = new Set(alertedReviewIds);
+
+    const cluster = scored.filter(review =>
+      review.rating !== null && review.rating <= this.lowStarRating &&
+      review.date && review.date >= windowStart && review.date <= now);
+    const fresh = cluster.filter(review => !alerted.has(review.id));
+
+    if (cluster.length < this.clusterSize || fresh.length < this.clusterSize) return null;
+
+    const themes = this.summarizeThemes(cluster).slice(0, 3);
+    const about = themes.length > 0 ? `; common themes: ${themes.map(theme => theme.label).join(', ')}` : '';
+
+    return {
+      type: 'low_star_cluster',
+      detectedAt: now,
+      windowStart,
+      count: cluster.length,
+      reviewIds: cluster.map(review => review.id),
+      themes: themes.map(theme => theme.key),
+      message: `${cluster.length} reviews of ${this.lowStarRating} stars or fewer in the last ${this.clusterWindowDays} days${about}`
+    };
+  }
+
+  labelFor(score) {
+    if (score >= 0.05) return 'positive';
+    if (score <= -0.05) return 'negative';
+    return 'neutral';
+  }
+
+  getReviewDate(review) {
+    const value = review.date || review.submittedAt || review.createdAt;
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+  }
+
+  getReviewId(review) {
+    if (review.id || review.reviewId) return String(review.id || review.reviewId);
+    return crypto.createHash('sha1')
+      .update(JSON.stringify([review.author || '', review.date || '', review.rating ?? '', review.title || '', review.text || '']))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  periodFor(date, bucket) {
+    if (bucket === 'month') return date.toISOString().slice(0, 7);
+
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
+    return monday.toISOString().slice(0, 10);
+  }
+}
+
+// ===== scripts/beta-readers.js =====
+// Beta and ARC reader rosters for the Pre-Launch QA stage
+//
+// One `beta_readers` document per reader per book holds the manuscript copies
+// they were sent (from uploads/manuscripts), their reading progress and their
+// feedback. Readers who commit to a launch-week review are handed into the
+// campaign's launch phase as a milestone, and optionally to the review
+// solicitation scheduler.
+
+const BETA_READER_ROLES = ['beta', 'arc'];
+
+class BetaReaderManager {
+  constructor(db, { manuscriptsDir = 'uploads/manuscripts', sender = null, feedbackDays = 21 } = {}) {
+    this.db = db;
+    this.manuscriptsDir = manuscriptsDir;
+    this.sender = sender;
+    this.feedbackDays = feedbackDays;
+  }
+
+  // readers: [{ email, name, role, commitsToReview }]
+  async addReaders(bookId, readers, { now = new Date() } = {}) {
+    const collection = this.db.collection('beta_readers');
+    const report = { added: 0, updated: 0, rejected: [] };
+
+    for (const [index, reader] of readers.entries()) {
+      const errors = this.validateReader(reader);
+      if (errors.length > 0) {
+        report.rejected.push({ row: index + 1, email: reader.email || null, errors });
+        continue;
+      }
+
+      const email = reader.email.trim().toLowerCase();
+      const existing = await collection.findOne({ bookId, email });
+      const fields = {
+        name: reader.name || null,
+        role: reader.role || 'beta',
+        commitsToReview: reader.commitsToReview === true,
+        updatedAt: now
+      };
+
+      if (existing) {
+        await collection.updateOne({ bookId, email }, { $set: fields });
+        report.updated++;
+      } else {
+        await collection.insertOne({ bookId, email, ...fields, status: 'invited', copies: [], progress: null, feedback: [], createdAt: now });
+        report.added++;
+      }
+    }
+
+    console.log(`📖 Beta readers for ${bookId}: ${report.added} added, ${report.updated} updated, ${report.rejected.length} rejected`);
+    return report;
+  }
+
+  validateReader(reader) {
+    const errors = [];
+    if (!reader.email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(reader.email).trim())) {
+      errors.push({ field: 'email', reason: 'must be a valid email address' });
+    }
+    if (reader.role !== undefined && !BETA_READER_ROLES.includes(reader.role)) {
+      errors.push({ field: 'role', reason: `must be one of: ${BETA_READER_ROLES.join(', ')}` });
+    }
+    return errors;
+  }
+
+  async getRoster(bookId) {
+    return await this.db.collection('beta_readers').find({ bookId }).toArray();
+  }
+
+  async getReader(bookId, email) {
+    const reader = await this.db.collection('beta_readers').findOne({ bookId, email: email.trim().toLowerCase() });
+    if (!reader) {
+      throw new Error(`No beta reader ${email} for book ${bookId}`);
+    }
+    return reader;
+  }
+
+  // Records a copy of `file` (relative to manuscriptsDir) for each reader, with
+  // its checksum and a per-reader copy id so a leaked file can be traced back.
+  async distributeManuscript(bookId, file, { emails = null, dueDate = null, now = new Date() } = {}) {
+    const root = path.resolve(this.manuscriptsDir);
+    const filePath = path.resolve(root, file);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Manuscript must be inside ${this.manuscriptsDir}: ${file}`);
+    }
+
+    const checksum = crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+    const dueAt = dueDate ? new Date(dueDate) : new Date(now.getTime() + this.feedbackDays * 24 * 60 * 60 * 1000);
+    const wanted = emails && emails.map(email => email.trim().toLowerCase());
+    const readers = (await this.getRoster(bookId))
+      .filter(reader => reader.status !== 'dropped' && (!wanted || wanted.includes(reader.email)));
+
+    const report = { file, checksum, dueAt, sent: [], skipped: [], failed: [] };
+    for (const reader of readers) {
+      if (reader.copies.some(copy => copy.checksum === checksum)) {
+        report.skipped.push({ email: reader.email, reason: 'already has this version' });
+        continue;
+      }
+
+      const copy = {
+        file,
+        checksum,
+        copyId: crypto.createHash('sha1').update(`${bookId}|${reader.email}|${checksum}`).digest('hex').slice(0, 12),
+        version: reader.copies.length + 1,
+        sentAt: now,
+        dueAt,
+        delivered: false
+      };
+
+      try {
+        if (this.sender) {
+          await this.sender.send({
+            to: reader.email,
+            subject: `Your reader copy (${path.basename(file)})`,
+            text: `Hi ${reader.name || 'there'},\n\nThank you for reading. Your copy is attached; please send feedback by ${dueAt.toISOString().slice(0, 10)}.\n\nCopy reference: ${copy.copyId}`,
+            attachments: [{ filename: path.basename(file), path: filePath }]
+          });
+          copy.delivered = true;
+        }
+      } catch (error) {
+        report.failed.push({ email: reader.email, error: error.message });
+        continue;
+      }
+
+      await this.db.collection('beta_readers').updateOne(
+        { bookId, email: reader.email },
+        { $push: { copies: copy }, $set: { status: reader.status === 'invited' ? 'reading' : reader.status, updatedAt: now } }
+      );
+      report.sent.push({ email: reader.email, copyId: copy.copyId });
+    }
+
+    console.log(`📤 ${file}: ${report.sent.length} copies recorded, ${report.skipped.length} skipped, ${report.failed.length} failed`);
+    return report;
+  }
+
+  async recordProgress(bookId, email, { percent, chapter = null, now = new Date() }) {
+    if (typeof percent !== 'number' || percent < 0 || percent > 100) {
+      throw new Error(`Reading progress must be a percentage between 0 and 100, got ${percent}`);
+    }
+
+    const reader = await this.getReader(bookId, email);
+    await this.db.collection('beta_readers').updateOne(
+      { bookId, email: reader.email },
+      { $set: { progress: { percent, chapter, updatedAt: now }, status: percent === 100 ? 'finished' : 'reading', updatedAt: now } }
+    );
+  }
+
+  async submitFeedback(bookId, email, { text, rating = null, chapter = null, commitsToReview, now = new Date() }) {
+    if (!text || !String(text).trim()) {
+      throw new Error('Feedback needs some text');
+    }
+
+    const reader = await this.getReader(bookId, email);
+    const dueAt = reader.copies.length > 0 ? reader.copies[reader.copies.length - 1].dueAt : null;
+    const update = { updatedAt: now };
+    if (commitsToReview !== undefined) update.commitsToReview = commitsToReview === true;
+
+    await this.db.collection('beta_readers').updateOne(
+      { bookId, email: reader.email },
+      {
+        $push: { feedback: { text: String(text).trim(), rating, chapter, submittedAt: now, late: Boolean(dueAt && now > dueAt) } },
+        $set: update
+      }
+    );
+  }
+
+  async dropReader(bookId, email, { reason = null, now = new Date() } = {}) {
+    const reader = await this.getReader(bookId, email);
+    await this.db.collection('beta_readers').updateOne(
+      { bookId, email: reader.email },
+      { $set: { status: 'dropped', droppedReason: reason, updatedAt: now } }
+    );
+  }
+
+  // Readers past their feedback deadline without feedback on their latest copy,
+  // and readers whose progress has not moved in idleDays
+  async getOverdue(bookId, { now = new Date(), idleDays = 7 } = {}) {
+    const idleBefore = new Date(now.getTime() - idleDays * 24 * 60 * 60 * 1000);
+    const overdue = [];
+
+    for (const reader of await this.getRoster(bookId)) {
+      const copy = reader.copies[reader.copies.length - 1];
+      if (!copy || reader.status === 'dropped') continue;
+
+      const hasFeedback = reader.feedback.some(entry => entry.submittedAt >= copy.sentAt);
+      if (!hasFeedback && copy.dueAt < now) {
+        overdue.push({ email: reader.email, reason: 'feedback_overdue', dueAt: copy.dueAt });
+      } else if (reader.status === 'reading' && (reader.progress?.updatedAt || copy.sentAt) < idleBefore) {
+        overdue.push({ email: reader.email, reason: 'no_progress', since: reader.progress?.updatedAt || copy.sentAt });
+      }
+    }
+
+    return overdue;
+  }
+
+  async summarize(bookId, { now = new Date() } = {}) {
+    const roster = (await this.getRoster(bookId)).filter(reader => reader.status !== 'dropped');
+    const withProgress = roster.filter(reader => reader.progress);
+
+    return {
+      bookId,
+      readers: roster.length,
+      withCopy: roster.filter(reader => reader.copies.length > 0).length,
+      finished: roster.filter(reader => reader.status === 'finished').length,
+      averageProgress: withProgress.length === 0
+        ? 0
+        : Math.round(withProgress.reduce((sum, reader) => sum + reader.progress.percent, 0) / withProgress.length),
+      feedbackReceived: roster.filter(reader => reader.feedback.length > 0).length,
+      overdue: (await this.getOverdue(bookId, { now })).length,
+      committedReviewers: (await this.getCommittedReviewers(bookId)).length
+    };
+  }
+
+  async getCommittedReviewers(bookId) {
+    return (await this.getRoster(bookId))
+      .filter(reader => reader.commitsToReview && reader.status !== 'dropped' && reader.copies.length > 0);
+  }
+
+  // Adds (or refreshes) a launch-phase milestone the day after the book goes
+  // live, listing the committed reviewers. With a solicitation scheduler they
+  // are also imported as consenting ARC readers. The launch phase is the
+  // schedule's startsAtLaunch one; a pre-order phase's own "launch" milestone
+  // is not the book going live.
+  async handOffToLaunch(bookId, campaignId, { solicitation = null, now = new Date() } = {}) {
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+    if (String(campaign.bookId) !== String(bookId)) {
+      throw new Error(`Campaign ${campaignId} belongs to book ${campaign.bookId}, not ${bookId}`);
+    }
+
+    const phases = campaign.schedule?.phases || {};
+    const launchKey = getLaunchPhaseKey(campaign.schedule);
+    const launch = (phases[launchKey]?.milestones || []).find(milestone => milestone.type === 'launch');
+    if (!launch) {
+      throw new Error(`Campaign ${campaignId} has no launch milestone to hand reviewers to`);
+    }
+
+    const reviewers = await this.getCommittedReviewers(bookId);
+    const calendar = new BusinessCalendar(campaign.calendar);
+    const day = calendar.addDays(launch.localDate || new Date(launch.date).toISOString().slice(0, 10), 1);
+
+    const milestones = phases[launchKey].milestones.filter(milestone => milestone.type !== 'beta_reviews');
+    if (reviewers.length > 0) {
+      milestones.push({
+        date: calendar.toInstant(day),
+        localDate: day,
+        allDay: true,
+        task: `Remind ${reviewers.length} beta reader${reviewers.length === 1 ? '' : 's'} to post launch-week reviews`,
+        type: 'beta_reviews',
+        readers: reviewers.map(reader => reader.email)
+      });
+      milestones.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    const schedule = { ...campaign.schedule, phases: { ...phases, [launchKey]: { ...phases[launchKey], milestones } } };
+    await this.db.updateCampaign(campaignId, { schedule });
+
+    if (solicitation && reviewers.length > 0) {
+      await solicitation.importReaders(bookId, reviewers.map(reader => ({
+        email: reader.email,
+        name: reader.name,
+        audience: 'arc_reader',
+        receivedAt: reader.copies[0].sentAt,
+        consent: true
+      })), { source: 'beta_review_commitment', now });
+    }
+
+    console.log(`🤝 Handed ${reviewers.length} committed reviewers to the ${phases[launchKey].name || launchKey} phase`);
+    return { milestoneDay: reviewers.length > 0 ? day : null, reviewers: reviewers.map(reader => reader.email) };
+  }
+}
+
+// ===== scripts/review-solicitation.js =====
+// Ethical review requests to verified purchasers and ARC readers
+//
+// Readers are kept per book in `review_readers` with explicit consent. Each
+// reader gets at most one message per step of `timing` (days after purchase
+// or ARC delivery), never before the campaign's review milestone, and never
+// more than capCount messages across all books in capDays. The template is
+// checked for incentive wording once, when the scheduler is built. Every send,
+// failed send and consent change is appended to `review_audit_log`.
+// `db` is the LaunchDatabase service layer.
+
+const READER_AUDIENCES = ['verified_purchaser', 'arc_reader'];
+
+// Amazon's review policy forbids anything of value in exchange for a review,
+// and asking for a positive one. Any match blocks the message.
+const INCENTIVE_PATTERNS = [
+  { pattern: /\bin (exchange|return) for\b[^.!?]*\b(reviews?|ratings?|stars?)\b/, reason: 'offers something in exchange for a review' },
+  { pattern: /\b(reviews?|rate|rating)\b[^.!?]*\b(and|to) (you'?ll |we'?ll |you will )?(receive|get|earn|win|unlock|be entered|qualify)\b/, reason: 'promises a reward for reviewing' },
+  { pattern: /\b(if|once|when|after) you (leave|write|post|submit|send)\b[^.!?]*\b(reviews?|ratings?)\b[^.!?]*\b(receive|get|earn|win|unlock|send you|entered|qualify|refund|gift|free)\b/, reason: 'promises a reward for reviewing' },
+  { pattern: /\b(gift ?cards?|cash|paypal|venmo|refunds?|reimburse\w*|payment|paid review)\b/, reason: 'mentions money in a review request' },
+  { pattern: /\b(giveaway|raffle|prize draw|sweepstakes|contest entry)\b/, reason: 'ties a giveaway to a review request' },
+  { pattern: /\b(5|five)[- ]stars?\b/, reason: 'asks for a specific star rating' },
+  { pattern: /\b(positive|good|great|glowing|favou?rable) (review|rating)s?\b/, reason: 'asks for a positive review' }
+];
+
+const DEFAULT_SOLICITATION_TEMPLATE = {
+  subject: 'How are you finding {{title}}?',
+  text: [
+    'Hi {{name}},',
+    '',
+    'It has been a little while since you picked up {{title}}, and I wanted to check in on how the reading is going.',
+    '',
+    'If it has been useful to you, an honest review helps other readers decide whether the book is right for them: {{reviewUrl}}',
+    'If it was not for you, I would genuinely like to hear why. Just reply to this email.',
+    '',
+    'Either way, thank you for reading.',
+    '',
+    'Not interested in messages like this? Unsubscribe here: {{optOutUrl}}'
+  ].join('\n')
+};
+
+class ReviewSolicitationScheduler {
+  constructor(db, {
+    sender = null,
+    timing = [7, 14, 30],
+    capCount = 2,
+    capDays = 30,
+    template = DEFAULT_SOLICITATION_TEMPLATE,
+    optOutBaseUrl = process.env.REVIEW_OPT_OUT_URL || 'https://example.com/unsubscribe'
+  } = {}) {
+    this.db = db;
+    this.sender = sender;
+    this.timing = [...timing].sort((a, b) => a - b);
+    this.capCount = capCount;
+    this.capDays = capDays;
+    this.template = template;
+    this.optOutBaseUrl = optOutBaseUrl;
+
+    const violations = this.checkMessage(`${template.subject}\n${template.text}`);
+    if (!template.text.includes('{{optOutUrl}}')) {
+      violations.push({ field: 'template', reason: 'has no {{optOutUrl}} opt-out link' });
+    }
+    if (violations.length > 0) {
+      const error = new Error(`Review request template is not allowed: ${violations.map(v => v.reason).join('; ')}`);
+      error.violations = violations;
+      throw error;
+    }
+  }
+
+  // readers: [{ email, name, audience, verified, purchasedAt | receivedAt, consent }]
+  // Purchasers must be verified; everyone needs consent === true to be contacted.
+  // Rows without a consent field leave a reader's recorded consent as it is.
+  async importReaders(bookId, readers, { source = 'import', now = new Date() } = {}) {
+    const collection = this.db.collection('review_readers');
+    const report = { imported: 0, rejected: [] };
+
+    for (const [index, reader] of readers.entries()) {
+      const errors = this.validateReader(reader);
+      if (errors.length > 0) {
+        report.rejected.push({ row: index + 1, email: reader.email || null, errors });
+        continue;
+      }
+
+      const email = reader.email.trim().toLowerCase();
+      const existing = await collection.findOne({ bookId, email });
+      await collection.updateOne({ bookId, email }, {
+        $set: {
+          name: reader.name || null,
+          audience: reader.audience,
+          verified: reader.audience === 'arc_reader' || reader.verified === true,
+          anchorDate: new Date(reader.purchasedAt || reader.receivedAt),
+          updatedAt: now
+        },
+        $setOnInsert: { optOutToken: this.createOptOutToken() }
+      }, { upsert: true });
+
+      if (reader.consent !== undefined) {
+        const consent = reader.consent === true;
+        if (existing ? Boolean(existing.consent?.granted) !== consent : consent) {
+          await this.setConsent(bookId, email, consent, { source, now });
+        }
+      }
+      report.imported++;
+    }
+
+    console.log(`📨 Review readers for ${bookId}: ${report.imported} imported, ${report.rejected.length} rejected`);
+    return report;
+  }
+
+  validateReader(reader) {
+    const errors = [];
+    if (!reader.email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(reader.email).trim())) {
+      errors.push({ field: 'email', reason: 'must be a valid email address' });
+    }
+    if (!READER_AUDIENCES.includes(reader.audience)) {
+      errors.push({ field: 'audience', reason: `must be one of: ${READER_AUDIENCES.join(', ')}` });
+    }
+    const anchor = reader.purchasedAt || reader.receivedAt;
+    if (!anchor || Number.isNaN(new Date(anchor).getTime())) {
+      errors.push({ field: 'purchasedAt', reason: 'purchase or ARC delivery date is required' });
+    }
+    return errors;
+  }
+
+  async setConsent(bookId, email, granted, { source = 'manual', now = new Date() } = {}) {
+    email = email.trim().toLowerCase();
+    await this.db.collection('review_readers').updateOne(
+      { bookId, email },
+      { $set: { consent: { granted, source, at: now } } }
+    );
+    await this.audit({ bookId, email, action: granted ? 'consent_granted' : 'consent_withdrawn', reason: source, at: now });
+  }
+
+  // Opting out covers every book unless one is given, and takes effect at once
+  async optOut(email, { bookId = null, source = 'unsubscribe_link', now = new Date() } = {}) {
+    email = email.trim().toLowerCase();
+    const collection = this.db.collection('review_readers');
+    const readers = await collection.find(bookId ? { email, bookId } : { email }).toArray();
+
+    for (const reader of readers) {
+      await collection.updateOne({ bookId: reader.bookId, email }, { $set: { optedOutAt: now } });
+    }
+    await this.audit({ bookId, email, action: 'opted_out', reason: source, at: now });
+
+    return readers.length;
+  }
+
+  async optOutByToken(token, options = {}) {
+    const reader = token ? await this.db.collection('review_readers').findOne({ optOutToken: String(token) }) : null;
+    if (!reader) {
+      throw new Error('Unknown opt-out token');
+    }
+    return this.optOut(reader.email, options);
+  }
+
+  async markReviewed(bookId, email, { now = new Date() } = {}) {
+    await this.db.collection('review_readers').updateOne(
+      { bookId, email: email.trim().toLowerCase() },
+      { $set: { reviewedAt: now } }
+    );
+  }
+
+  // Returns violations as { field, reason } for wording that offers incentives,
+  // pays for reviews or steers the rating. Only template text is checked: the
+  // book title and reader name filled into it are not the sender's wording.
+  checkMessage(text) {
+    const lower = String(text || '').toLowerCase();
+    return INCENTIVE_PATTERNS
+      .filter(({ pattern }) => pattern.test(lower))
+      .map(({ reason }) => ({ field: 'message', reason }));
+  }
+
+  // Sends every step that is due. With dryRun (or no sender) nothing is sent
+  // or logged; the report shows what would happen.
+  async run(bookId, { now = new Date(), dryRun = !this.sender } = {}) {
+    const book = await this.db.getBook(bookId);
+    if (!book) {
+      throw new Error(`Book not found: ${bookId}`);
+    }
+
+    const startsAt = await this.getStartDate(book);
+    const readers = await this.db.collection('review_readers').find({ bookId }).toArray();
+    const report = { bookId, dryRun, sent: [], skipped: [], failed: [] };
+
+    if (startsAt && now < startsAt) {
+      report.skipped.push({ email: null, reason: `review solicitation starts ${startsAt.toISOString().slice(0, 10)}` });
+      return report;
+    }
+
+    for (const reader of readers) {
+      const step = await this.nextStep(reader, now);
+      if (step === null) continue;
+
+      const reason = await this.ineligibleReason(reader, now);
+      if (reason) {
+        report.skipped.push({ email: reader.email, step, reason });
+        continue;
+      }
+
+      if (!reader.optOutToken && !dryRun) {
+        reader.optOutToken = await this.assignOptOutToken(reader);
+      }
+      const message = this.buildMessage(book, reader);
+      if (dryRun) {
+        report.sent.push({ email: reader.email, step, subject: message.subject });
+        continue;
+      }
+
+      try {
+        await this.sender.send({ to: reader.email, subject: message.subject, text: message.text });
+        await this.audit({
+          bookId,
+          email: reader.email,
+          action: 'sent',
+          step,
+          afterDays: this.timing[step],
+          subject: message.subject,
+          messageHash: this.hash(message.text),
+          at: now
+        });
+        report.sent.push({ email: reader.email, step, subject: message.subject });
+      } catch (error) {
+        await this.audit({ bookId, email: reader.email, action: 'failed', step, reason: error.message, at: now });
+        report.failed.push({ email: reader.email, step, error: error.message });
+      }
+    }
+
+    console.log(`📨 Review requests for ${book.title}: ${report.sent.length} ${dryRun ? 'due' : 'sent'}, ` +
+      `${report.skipped.length} skipped, ${report.failed.length} failed`);
+    return report;
+  }
+
+  // The latest due step after the last one sent; missed earlier steps are
+  // dropped rather than sent back to back
+  async nextStep(reader, now) {
+    const sent = await this.db.collection('review_audit_log')
+      .find({ bookId: reader.bookId, email: reader.email, action: 'sent' }).toArray();
+    const lastSent = sent.reduce((max, entry) => Math.max(max, entry.step), -1);
+
+    let step = null;
+    this.timing.forEach((days, index) => {
+      const dueAt = new Date(reader.anchorDate.getTime() + days * 24 * 60 * 60 * 1000);
+      if (index > lastSent && dueAt <= now) step = index;
+    });
+    return step;
+  }
+
+  async ineligibleReason(reader, now) {
+    if (reader.optedOutAt) return 'opted out';
+    if (!reader.consent?.granted) return 'no consent';
+
+    // An opt-out from every book also covers books imported after it
+    const optedOut = await this.db.collection('review_audit_log')
+      .findOne({ email: reader.email, action: 'opted_out', bookId: null });
+    if (optedOut) return 'opted out';
+
+    if (!reader.verified) return 'not a verified purchaser';
+    if (reader.reviewedAt) return 'already reviewed';
+
+    const since = new Date(now.getTime() - this.capDays * 24 * 60 * 60 * 1000);
+    const recent = await this.db.collection('review_audit_log')
+      .find({ email: reader.email, action: 'sent', at: { $gte: since } }).toArray();
+    if (recent.length >= this.capCount) {
+      return `frequency cap (${this.capCount} per ${this.capDays} days)`;
+    }
+
+    return null;
+  }
+
+  // Solicitation waits for the campaign's first "reviews" milestone after
+  // launch; earlier ones (sending ARCs) are not requests to review the book.
+  // Launch is the start of the startsAtLaunch phase, keyed 'launch' in the
+  // schedule, so a pre-order going live does not count.
+  async getStartDate(book) {
+    if (!book.activeCampaign) return null;
+
+    const campaign = await this.db.getCampaign(book.activeCampaign);
+    const phases = campaign?.schedule?.phases || {};
+    const milestones = Object.values(phases).flatMap(phase => phase.milestones || []);
+    const launchPhase = phases[getLaunchPhaseKey(campaign?.schedule)];
+    const launch = (launchPhase?.milestones || []).find(milestone => milestone.type === 'launch');
+    const launchAt = launch ? new Date(launch.date) : launchPhase?.start ? new Date(launchPhase.start) : null;
+    const dates = milestones
+      .filter(milestone => milestone.type === 'reviews')
+      .map(milestone => new Date(milestone.date))
+      .filter(date => !launchAt || date >= launchAt);
+
+    return dates.length > 0 ? new Date(Math.min(...dates)) : launchAt;
+  }
+
+  buildMessage(book, reader) {
+    const asin = book.kdpSettings?.asin;
+    const values = {
+      name: reader.name || 'there',
+      title: book.title,
+      reviewUrl: asin ? `https://www.amazon.com/review/create-review?asin=${asin}` : 'the store where you bought it',
+      optOutUrl: `${this.optOutBaseUrl}?token=${encodeURIComponent(reader.optOutToken)}`
+    };
+    const fill = text => text.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+
+    return { subject: fill(this.template.subject), text: fill(this.template.text) };
+  }
+
+  // Random and stored with the reader, so a link cannot be worked out from an
+  // email address
+  createOptOutToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  async assignOptOutToken(reader) {
+    const optOutToken = this.createOptOutToken();
+    await this.db.collection('review_readers').updateOne(
+      { bookId: reader.bookId, email: reader.email },
+      { $set: { optOutToken } }
+    );
+    return optOutToken;
+  }
+
+  async audit(entry) {
+    await this.db.collection('review_audit_log').insertOne({ ...entry, recordedAt: new Date() });
+  }
+
+  async getAuditLog({ bookId, email, since } = {}) {
+    const query = {};
+    if (bookId) query.bookId = bookId;
+    if (email) query.email = email.trim().toLowerCase();
+    if (since) query.at = { $gte: since };
+
+    const entries = await this.db.collection('review_audit_log').find(query).toArray();
+    return entries.sort((a, b) => a.at - b.at);
+  }
+
+  hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+}
+
+// ===== scripts/email-delivery.js =====
+// Email sequence delivery: subscribers, segments, milestone sends and bounces
+//
+// Subscribers live in `email_subscribers` (one per address, across lists).
+// scheduleCampaign() ties each email of a campaign's approved email_sequences
+// to a milestone and stores it in `email_schedule`; runDue() sends whatever is
+// due through a transport and records every recipient in `email_deliveries`,
+// so re-running never sends the same email to the same address twice.
+// Soft bounces are deferred and retried on later runs, up to softBounceLimit
+// attempts per email; only hard bounces suppress the address. Other transport
+// errors are retried the same way up to failureLimit attempts, then the
+// delivery is marked failed and no longer retried.
+
+const SUBSCRIBER_STATUS = {
+  SUBSCRIBED: 'subscribed',
+  UNSUBSCRIBED: 'unsubscribed',
+  BOUNCED: 'bounced'
+};
+
+// Transports take { from, to, subject, text, headers } and resolve to
+// { messageId }. Failures carry error.bounce = 'hard' | 'soft' when the
+// address itself was refused, or error.suppress = true for spam complaints
+// and provider-side unsubscribes.
+class EmailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async send(message) {
+    throw new Error(`${this.constructor.name} does not implement send`);
+  }
+}
+
+class SmtpTransport extends EmailTransport {
+  constructor({
+    host = process.env.SMTP_HOST || 'localhost',
+    port = Number(process.env.SMTP_PORT) || 1025,
+    secure = false,
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS
+  } = {}) {
+    super('smtp');
+    this.options = { host, port, secure, auth: user ? { user, pass } : undefined };
+  }
+
+  async send(message) {
+    if (!this.transporter) {
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport(this.options);
+    }
+
+    try {
+      const info = await this.transporter.sendMail(message);
+      return { messageId: info.messageId };
+    } catch (error) {
+      if (error.responseCode >= 500) error.bounce = 'hard';
+      else if (error.responseCode >= 400) error.bounce = 'soft';
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.transporter) this.transporter.close();
+  }
+}
+
+// Mailchimp Transactional (Mandrill) messages/send API
+class MailchimpTransport extends EmailTransport {
+  constructor({ apiKey = process.env.MAILCHIMP_TRANSACTIONAL_KEY, endpoint = 'https://mandrillapp.com/api/1.0' } = {}) {
+    super('mailchimp');
+    if (!apiKey) {
+      throw new Error('Mailchimp transport needs an apiKey (MAILCHIMP_TRANSACTIONAL_KEY)');
+    }
+    this.apiKey = apiKey;
+    this.endpoint = endpoint;
+  }
+
+  async send(message) {
+    const sender = String(message.from).match(/^\s*(?:"?([^"<]*)"?\s*)?<([^>]+)>\s*$/);
+    const response = await fetch(`${this.endpoint}/messages/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        key: this.apiKey,
+        message: {
+          from_email: sender ? sender[2] : message.from,
+          from_name: sender && sender[1] ? sender[1].trim() : undefined,
+          to: [{ email: message.to, type: 'to' }],
+          subject: message.subject,
+          text: message.text,
+          headers: message.headers
+        }
+      })
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      let reason;
+      try {
+        reason = JSON.parse(detail).message;
+      } catch (error) {
+        reason = detail.trim().slice(0, 200);
+      }
+      throw new Error(`Mailchimp Transactional error: ${reason || response.status}`);
+    }
+
+    const [result] = await response.json();
+    if (result.status === 'rejected' || result.status === 'invalid') {
+      const reason = result.reject_reason || result.status;
+      const error = new Error(`Rejected by Mailchimp: ${reason}`);
+      if (reason === 'hard-bounce' || reason === 'invalid') error.bounce = 'hard';
+      else if (reason === 'soft-bounce') error.bounce = 'soft';
+      else if (reason === 'spam' || reason === 'unsub') error.suppress = true;
+      throw error;
+    }
+
+    return { messageId: result._id };
+  }
+}
+
+// Minimal SMTP server for offline runs: accepts everything, writes each
+// message to outputDir as .eml and keeps it in `messages`. Recipients at
+// bounceDomain are refused permanently (550), at softBounceDomain
+// temporarily (452), so bounce handling can be exercised too.
+class LocalSmtpCatcher {
+  constructor({
+    port = 1025,
+    host = '127.0.0.1',
+    outputDir = 'temp/mail',
+    bounceDomain = 'bounce.test',
+    softBounceDomain = 'softbounce.test'
+  } = {}) {
+    this.port = port;
+    this.host = host;
+    this.outputDir = outputDir;
+    this.bounceDomain = bounceDomain;
+    this.softBounceDomain = softBounceDomain;
+    this.messages = [];
+  }
+
+  async start() {
+    const net = require('net');
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    this.server = net.createServer(socket => this.handle(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    console.log(`📬 SMTP catcher listening on ${this.host}:${this.port}, saving to ${this.outputDir}`);
+    return this;
+  }
+
+  async stop() {
+    if (this.server) await new Promise(resolve => this.server.close(resolve));
+  }
+
+  handle(socket) {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply(`220 ${this.host} ESMTP catcher`);
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            const message = { ...envelope, data: data.join('\r\n'), receivedAt: new Date() };
+            data = null;
+            envelope = { from: null, to: [] };
+            this.messages.push(message);
+            fs.writeFile(path.join(this.outputDir, `${Date.now()}-${this.messages.length}.eml`), message.data)
+              .catch(error => console.error('❌ Could not save caught message:', error.message));
+            reply('250 2.0.0 Message accepted');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const verb = line.slice(0, 4).toUpperCase();
+        const argument = (line.match(/<([^>]*)>/) || [])[1];
+        if (verb === 'EHLO') {
+          reply(`250-${this.host}`);
+          reply('250 8BITMIME');
+        } else if (verb === 'HELO') {
+          reply(`250 ${this.host}`);
+        } else if (verb === 'MAIL') {
+          envelope = { from: argument || '', to: [] };
+          reply('250 2.1.0 OK');
+        } else if (verb === 'RCPT') {
+          const domain = String(argument).split('@')[1] || '';
+          if (domain === this.bounceDomain) {
+            reply('550 5.1.1 Mailbox does not exist');
+          } else if (domain === this.softBounceDomain) {
+            reply('452 4.2.2 Mailbox full');
+          } else {
+            envelope.to.push(argument);
+            reply('250 2.1.5 OK');
+          }
+        } else if (verb === 'DATA') {
+          if (envelope.to.length === 0) {
+            reply('554 5.5.1 No valid recipients');
+          } else {
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+          }
+        } else if (verb === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 2.0.0 OK');
+        } else if (verb === 'NOOP') {
+          reply('250 2.0.0 OK');
+        } else if (verb === 'QUIT') {
+          reply('221 2.0.0 Bye');
+          socket.end();
+        } else {
+          reply('502 5.5.2 Command not implemented');
+        }
+      }
+    });
+  }
+}
+
+class EmailDeliveryEngine {
+  constructor(db, {
+    transport,
+    from = process.env.EMAIL_FROM || 'Book Launch <launch@localhost>',
+    sendTime = '09:00',
+    softBounceLimit = 3,
+    failureLimit = 3,
+    concurrency = 5,
+    unsubscribeBaseUrl = process.env.EMAIL_UNSUBSCRIBE_URL || 'https://example.com/email/unsubscribe'
+  } = {}) {
+    if (!transport) {
+      throw new Error('EmailDeliveryEngine needs a transport');
+    }
+
+    this.db = db;
+    this.transport = transport;
+    this.from = from;
+    this.sendTime = sendTime;
+    this.softBounceLimit = softBounceLimit;
+    this.failureLimit = failureLimit;
+    this.concurrency = concurrency;
+    this.unsubscribeBaseUrl = unsubscribeBaseUrl;
+  }
+
+  // subscribers: [{ email, name, tags, fields }]. Unsubscribed and bounced
+  // addresses stay suppressed when they are imported again.
+  async addSubscribers(listId, subscribers, { now = new Date() } = {}) {
+    const collection = this.db.collection('email_subscribers');
+    const report = { added: 0, updated: 0, rejected: [] };
+
+    for (const [index, subscriber] of subscribers.entries()) {
+      const email = String(subscriber.email || '').trim().toLowerCase();
+      if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+        report.rejected.push({ row: index + 1, email: subscriber.email || null, errors: [{ field: 'email', reason: 'must be a valid email address' }] });
+        continue;
+      }
+
+      const existing = await collection.findOne({ email });
+      if (existing) {
+        await collection.updateOne({ email }, {
+          $set: {
+            name: subscriber.name || existing.name,
+            lists: [...new Set([...existing.lists, listId])],
+            tags: [...new Set([...existing.tags, ...(subscriber.tags || [])])],
+            fields: { ...existing.fields, ...subscriber.fields },
+            updatedAt: now
+          }
+        });
+        report.updated++;
+      } else {
+        await collection.insertOne({
+          email,
+          name: subscriber.name || null,
+          lists: [listId],
+          tags: subscriber.tags || [],
+          fields: subscriber.fields || {},
+          status: SUBSCRIBER_STATUS.SUBSCRIBED,
+          softBounces: 0,
+          unsubscribeToken: crypto.randomBytes(16).toString('hex'),
+          createdAt: now
+        });
+        report.added++;
+      }
+    }
+
+    console.log(`📇 List ${listId}: ${report.added} added, ${report.updated} updated, ${report.rejected.length} rejected`);
+    return report;
+  }
+
+  // segment: { list, tags (any of), excludeTags, where: { field: value } }
+  async getSegment(segment) {
+    if (!segment.list) {
+      throw new Error('A segment needs a list');
+    }
+
+    const subscribers = await this.db.collection('email_subscribers')
+      .find({ lists: segment.list, status: SUBSCRIBER_STATUS.SUBSCRIBED }).toArray();
+
+    return subscribers.filter(subscriber =>
+      subscriber.lists.includes(segment.list) &&
+      (!segment.tags?.length || segment.tags.some(tag => subscriber.tags.includes(tag))) &&
+      !(segment.excludeTags || []).some(tag => subscriber.tags.includes(tag)) &&
+      Object.entries(segment.where || {}).every(([field, value]) => subscriber.fields[field] === value));
+  }
+
+  // sends: [{ milestone: '<phaseKey>:<task>:<n>', email: <index>, segment }].
+  // Without sends, the emails are spread over the milestones up to launch,
+  // the last one going out on launch day.
+  async scheduleCampaign(campaignId, { segment, sends = null, now = new Date() } = {}) {
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    const emails = this.getApprovedEmails(campaign);
+    const milestones = new ScheduleExporter(this.db).listMilestones(campaign);
+    const plan = sends || this.defaultSends(milestones, emails.length);
+    const calendar = new BusinessCalendar(campaign.calendar);
+    const collection = this.db.collection('email_schedule');
+
+    const scheduled = [];
+    for (const send of plan) {
+      const milestone = milestones.find(row => row.id === send.milestone);
+      if (!milestone) {
+        throw new Error(`Campaign ${campaignId} has no milestone ${send.milestone}`);
+      }
+      if (!emails[send.email]) {
+        throw new Error(`Campaign ${campaignId} has no email ${send.email} in its sequence`);
+      }
+
+      const sendKey = `${campaignId}:${send.milestone}:${send.email}`;
+      const existing = await collection.findOne({ sendKey });
+      if (existing && existing.status === 'sent') continue;
+
+      const entry = {
+        campaignId,
+        bookId: campaign.bookId,
+        milestone: send.milestone,
+        email: send.email,
+        segment: send.segment || segment,
+        sendAt: milestone.allDay ? calendar.toInstant(milestone.localDate, this.sendTime) : milestone.date,
+        status: 'scheduled',
+        updatedAt: now
+      };
+      if (!entry.segment?.list) {
+        throw new Error(`Send ${sendKey} needs a segment with a list`);
+      }
+
+      await collection.updateOne({ sendKey }, { $set: entry }, { upsert: true });
+      scheduled.push({ sendKey, ...entry, subject: emails[send.email].subject });
+    }
+
+    console.log(`🗓️ Scheduled ${scheduled.length} emails for campaign ${campaignId}`);
+    return scheduled;
+  }
+
+  getApprovedEmails(campaign) {
+    const item = campaign.content?.email_sequences;
+    if (!item || !Array.isArray(item.value) || item.value.length === 0) {
+      throw new Error(`Campaign ${campaign._id} has no email sequence`);
+    }
+
+    const needsApproval = (campaign.requiredApprovals || []).includes('email_sequences');
+    if (needsApproval && item.status !== CONTENT_STATUS.APPROVED) {
+      throw new Error(`Email sequence for campaign ${campaign._id} is ${item.status}, not approved`);
+    }
+
+    return item.value;
+  }
+
+  defaultSends(milestones, count) {
+    const launchIndex = milestones.findIndex(row => row.type === 'launch');
+    if (launchIndex === -1) {
+      throw new Error('Campaign has no launch milestone to anchor the email sequence');
+    }
+
+    let indices;
+    if (count === 1) {
+      indices = [launchIndex];
+    } else if (count <= launchIndex + 1) {
+      indices = Array.from({ length: count }, (_, k) => Math.round(k * launchIndex / (count - 1)));
+    } else {
+      const start = Math.max(0, launchIndex + 1 - count);
+      indices = Array.from({ length: Math.min(count, milestones.length - start) }, (_, k) => start + k);
+    }
+
+    return indices.map((index, email) => ({ milestone: milestones[index].id, email }));
+  }
+
+  async runDue({ now = new Date() } = {}) {
+    const due = (await this.db.collection('email_schedule').find({ status: 'scheduled' }).toArray())
+      .filter(send => new Date(send.sendAt) <= now)
+      .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+
+    const reports = [];
+    for (const send of due) {
+      reports.push(await this.deliverSend(send, now));
+    }
+    return reports;
+  }
+
+  async deliverSend(send, now) {
+    const report = { sendKey: send.sendKey, sent: 0, skipped: 0, bounced: 0, deferred: 0, failed: 0, errors: [] };
+    const schedule = this.db.collection('email_schedule');
+    const deliveries = this.db.collection('email_deliveries');
+
+    const campaign = await this.db.getCampaign(send.campaignId);
+    let email;
+    try {
+      email = this.getApprovedEmails(campaign)[send.email];
+    } catch (error) {
+      report.errors.push({ email: null, error: error.message });
+      console.warn(`   ⚠️ Holding ${send.sendKey}: ${error.message}`);
+      return report;
+    }
+
+    const previous = await deliveries.find({ sendKey: send.sendKey }).toArray();
+    const done = new Set(previous
+      .filter(delivery => delivery.status !== 'deferred')
+      .map(delivery => delivery.email));
+    // Soft bounces and other errors count towards separate limits
+    const deferrals = {};
+    const retries = {};
+    previous.filter(delivery => delivery.status === 'deferred').forEach(delivery => {
+      const counts = delivery.bounce ? deferrals : retries;
+      counts[delivery.email] = (counts[delivery.email] || 0) + 1;
+    });
+    const recipients = await this.getSegment(send.segment);
+
+    await runWithConcurrency(recipients, this.concurrency, async subscriber => {
+      if (done.has(subscriber.email)) {
+        report.skipped++;
+        return;
+      }
+
+      const unsubscribeUrl = `${this.unsubscribeBaseUrl}?token=${subscriber.unsubscribeToken}`;
+      const record = { sendKey: send.sendKey, campaignId: send.campaignId, email: subscriber.email, at: now };
+      try {
+        const { messageId } = await this.transport.send({
+          from: this.from,
+          to: subscriber.email,
+          subject: email.subject,
+          text: `${email.body}\n\n--\nYou are receiving this because you joined ${send.segment.list}.\nUnsubscribe: ${unsubscribeUrl}`,
+          headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        });
+        await deliveries.insertOne({ ...record, status: 'sent', messageId });
+        report.sent++;
+      } catch (error) {
+        if (error.bounce === 'soft' && (deferrals[subscriber.email] || 0) + 1 < this.softBounceLimit) {
+          await this.recordBounce(subscriber.email, { type: 'soft', reason: error.message, now });
+          await deliveries.insertOne({ ...record, status: 'deferred', bounce: 'soft', reason: error.message });
+          report.deferred++;
+        } else if (error.bounce) {
+          await this.recordBounce(subscriber.email, { type: error.bounce, reason: error.message, now });
+          await deliveries.insertOne({ ...record, status: 'bounced', bounce: error.bounce, reason: error.message });
+          report.bounced++;
+        } else if (error.suppress) {
+          await this.unsubscribeEmail(subscriber.email, { source: this.transport.name, now });
+          await deliveries.insertOne({ ...record, status: 'suppressed', reason: error.message });
+          report.skipped++;
+        } else if ((retries[subscriber.email] || 0) + 1 < this.failureLimit) {
+          await deliveries.insertOne({ ...record, status: 'deferred', reason: error.message });
+          report.deferred++;
+          report.errors.push({ email: subscriber.email, error: error.message });
+        } else {
+          await deliveries.insertOne({ ...record, status: 'failed', reason: error.message });
+          report.failed++;
+          report.errors.push({ email: subscriber.email, error: error.message });
+        }
+      }
+    });
+
+    // Sends with deferred recipients stay scheduled so the next run retries
+    // just those
+    await schedule.updateOne({ sendKey: send.sendKey }, {
+      $set: { status: report.deferred > 0 ? 'scheduled' : 'sent', lastRunAt: now }
+    });
+
+    console.log(`✉️ ${send.sendKey}: ${report.sent} sent, ${report.bounced} bounced, ${report.deferred} deferred, ` +
+      `${report.failed} failed, ${report.skipped} skipped`);
+    return report;
+  }
+
+  async unsubscribe(token, { now = new Date() } = {}) {
+    const subscriber = await this.db.collection('email_subscribers').findOne({ unsubscribeToken: token });
+    if (!subscriber) {
+      throw new Error('Unknown unsubscribe token');
+    }
+    return this.unsubscribeEmail(subscriber.email, { source: 'unsubscribe_link', now });
+  }
+
+  async unsubscribeEmail(email, { source = 'manual', now = new Date() } = {}) {
+    email = email.trim().toLowerCase();
+    await this.db.collection('email_subscribers').updateOne(
+      { email },
+      { $set: { status: SUBSCRIBER_STATUS.UNSUBSCRIBED, unsubscribedAt: now, unsubscribeSource: source } }
+    );
+    return email;
+  }
+
+  // Hard bounces suppress the address; soft ones are only counted, since a
+  // full mailbox or a busy server says nothing about the address itself
+  async recordBounce(email, { type = 'hard', reason = null, now = new Date() } = {}) {
+    email = email.trim().toLowerCase();
+    const collection = this.db.collection('email_subscribers');
+    const subscriber = await collection.findOne({ email });
+    if (!subscriber) return null;
+
+    const softBounces = (subscriber.softBounces || 0) + (type === 'soft' ? 1 : 0);
+    const bounced = type === 'hard';
+    await collection.updateOne({ email }, {
+      $set: {
+        softBounces,
+        lastBounce: { type, reason, at: now },
+        ...(bounced ? { status: SUBSCRIBER_STATUS.BOUNCED, bouncedAt: now } : {})
+      }
+    });
+    return bounced ? SUBSCRIBER_STATUS.BOUNCED : subscriber.status;
+  }
+
+  // Mailchimp Transactional webhook batches (mandrill_events)
+  async handleMailchimpEvents(events, { now = new Date() } = {}) {
+    for (const event of events) {
+      const email = event.msg?.email;
+      if (!email) continue;
+
+      if (event.event === 'hard_bounce' || event.event === 'reject') {
+        await this.recordBounce(email, { type: 'hard', reason: event.msg.bounce_description || event.event, now });
+      } else if (event.event === 'soft_bounce') {
+        await this.recordBounce(email, { type: 'soft', reason: event.msg.bounce_description || event.event, now });
+      } else if (event.event === 'spam' || event.event === 'unsub') {
+        await this.unsubscribeEmail(email, { source: `mailchimp_${event.event}`, now });
+      }
+    }
+  }
+
+  async getDeliveryStats(campaignId) {
+    const deliveries = await this.db.collection('email_deliveries').find({ campaignId }).toArray();
+    const stats = {};
+    for (const delivery of deliveries) {
+      const entry = stats[delivery.sendKey] || (stats[delivery.sendKey] = { sent: 0, bounced: 0, deferred: 0, suppressed: 0, failed: 0 });
+      entry[delivery.status]++;
+    }
+    return stats;
+  }
+}
+
+// ===== scripts/analytics-sync.js =====
+// Analytics data synchronization
+
+// Every snapshot records how each source fared, so a broken integration
+// is not mistaken for a book with no activity.
+//   ok             - fetched fresh data
+//   failed         - still failing after retries; its fields are left empty
+//   stale          - fetched, but the newest data is older than staleAfterDays
+//   not_configured - no integration (or no ASIN / active campaign) to ask
+const SOURCE_STATUS = {
+  OK: 'ok',
+  FAILED: 'failed',
+  STALE: 'stale',
+  NOT_CONFIGURED: 'not_configured'
+};
+
+// Report connectors built from the analytics section of config/app.json
+// (salesReports / socialExports: name -> connector options with a reportsDir)
+const SALES_REPORT_CONNECTORS = {
+  kdp: KdpReportConnector,
+  draft2digital: Draft2DigitalReportConnector,
+  ingramspark: IngramSparkReportConnector
+};
+const SOCIAL_EXPORT_CONNECTORS = {
+  linkedin: LinkedInAnalyticsConnector,
+  x: XAnalyticsConnector
+};
+
+class AnalyticsSync {
+  constructor(integrations) {
+    this.kdp = integrations.kdp;
+    this.mailchimp = integrations.mailchimp;
+    this.socialConnectors = integrations.socialConnectors ||
+      this.createConnectors(SOCIAL_EXPORT_CONNECTORS, integrations.socialExports);
+    this.database = integrations.database;
+    this.salesConnectors = integrations.salesConnectors ||
+      this.createConnectors(SALES_REPORT_CONNECTORS, integrations.salesReports);
+    this.baseCurrency = integrations.baseCurrency || 'USD';
+    this.exchangeRates = integrations.exchangeRates || {};
+    this.metricsStore = integrations.metricsStore || new MetricsStore(this.database);
+    this.metricsTracker = new CampaignMetricsTracker(this.database, {
+      notifier: integrations.notifier,
+      alertThreshold: integrations.alertThreshold,
+      metricsStore: this.metricsStore
+    });
+    this.roiLedger = new RoiLedger(this.database, { metricsStore: this.metricsStore });
+    this.concurrency = integrations.concurrency || 3;
+    this.retryOptions = { retries: integrations.retries ?? 2, baseDelay: integrations.retryDelay ?? 1000 };
+    this.staleAfterDays = integrations.staleAfterDays ?? 3;
+    this.reviewAnalyzer = integrations.reviewAnalyzer || new ReviewAnalyzer();
+    this.notifier = integrations.notifier || null;
+  }
+
+  // Entries without a reportsDir are left out, so an untouched config template
+  // configures nothing
+  createConnectors(classes, entries = {}) {
+    return Object.entries(entries)
+      .filter(([, options]) => options?.reportsDir)
+      .map(([name, options]) => {
+        if (!classes[name]) {
+          throw new Error(`Unknown analytics source: ${name} (supported: ${Object.keys(classes).join(', ')})`);
+        }
+        return new classes[name](options);
+      });
+  }
+
+  hasSources() {
+    return this.salesConnectors.length > 0 || this.socialConnectors.length > 0 || Boolean(this.kdp || this.mailchimp);
+  }
+
+  async syncAllBooks() {
+    console.log('📊 Starting analytics sync for all books...');
+    
+    const books = await this.database.getAllActiveBooks();
+    const results = {
+      success: 0,
+      failed: 0,
+      errors: [],
+      sources: {}
+    };
+
+    await runWithConcurrency(books, this.concurrency, async book => {
+      try {
+        const metrics = await this.syncBookMetrics(book);
+        results.success++;
+
+        const failed = [];
+        for (const [source, status] of Object.entries(metrics.sources)) {
+          const summary = results.sources[source] ||
+            (results.sources[source] = { ok: 0, failed: 0, stale: 0, not_configured: 0, failures: [] });
+          summary[status.status]++;
+          if (status.status === SOURCE_STATUS.FAILED) {
+            summary.failures.push({ book: book.title, error: status.error });
+            failed.push(source);
+          }
+        }
+
+        if (failed.length > 0) {
+          console.warn(`⚠️ Synced with gaps: ${book.title} (${failed.join(', ')} failed)`);
+        } else {
+          console.log(`✅ Synced: ${book.title}`);
+        }
+      } catch (error) {
+        results.failed++;
+        results.errors.push({ book: book.title, error: error.message });
+        console.error(`❌ Failed to sync ${book.title}:`, error.message);
+      }
+    });
+
+    console.log(`📈 Sync completed: ${results.success} success, ${results.failed} failed`);
+    for (const [source, summary] of Object.entries(results.sources)) {
+      if (summary.failed > 0) {
+        console.warn(`   ❌ ${source}: failed for ${summary.failed} of ${books.length} books`);
+      }
+    }
+    return results;
+  }
+
+  async syncBookMetrics(book) {
+    const sources = {};
+    const [sales, reviews, marketing, social] = await Promise.all([
+      this.getSalesData(book, sources),
+      this.fetchSource(book, sources, 'reviews', {
+        configured: Boolean(this.kdp && book.kdpSettings?.asin),
+        fetch: () => this.getReviewData(book)
+      }),
+      this.fetchSource(book, sources, 'email', {
+        configured: Boolean(this.mailchimp && book.activeCampaign),
+        fetch: () => this.getMarketingMetrics(book)
+      }),
+      this.getSocialMetrics(book, sources)
+    ]);
+
+    const metrics = {
+      bookId: book._id,
+      timestamp: new Date(),
+      sales,
+      reviews,
+      marketing,
+      social,
+      sources
+    };
+
+    await this.database.saveMetrics(metrics);
+    await this.metricsStore.recordPoints(book._id, 'snapshot', this.toSnapshotPoints(metrics));
+
+    if (book.activeCampaign) {
+      await this.metricsTracker.rollUp(book.activeCampaign, metrics);
+      await this.roiLedger.computeCampaignRoi(book.activeCampaign);
+    }
+
+    return metrics;
+  }
+
+  // Runs one source with retries and records its status in `sources`.
+  // Failed and unconfigured sources come back empty rather than zeroed.
+  async fetchSource(book, sources, name, { configured = true, fetch, fallback = {} }) {
+    if (!configured) {
+      sources[name] = { status: SOURCE_STATUS.NOT_CONFIGURED };
+      return fallback;
+    }
+
+    try {
+      const data = await retryWithBackoff(fetch, {
+        ...this.retryOptions,
+        onRetry: (error, attempt, delay) =>
+          console.warn(`   ⚠️ ${name} for ${book.title} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`)
+      });
+      sources[name] = { status: SOURCE_STATUS.OK, fetchedAt: new Date() };
+      return data;
+    } catch (error) {
+      sources[name] = { status: SOURCE_STATUS.FAILED, error: error.message, attempts: error.attempts };
+      console.error(`   ❌ ${name} for ${book.title}:`, error.message);
+      return fallback;
+    }
+  }
+
+  // Incremental: each connector fetches from its own watermark (inclusive, since
+  // the last synced day may have been partial). The summary covers the fetched
+  // window; `totals` are all-time sums from the metrics store.
+  async getSalesData(book, sources = {}) {
+    const records = await this.syncConnectors(book, sources, 'sales', this.salesConnectors,
+      (connector, range) => this.syncConnector(book, connector, range));
+
+    const summary = this.summarizeSales(records);
+    summary.totals = await this.metricsStore.getTotals(book._id, SALES_METRICS);
+
+    // KDP has no rank API; rank is the latest reading from reports with a rank column
+    const rankSources = this.salesConnectors.filter(connector => connector.reportsRank?.()).map(connector => connector.name);
+    summary.rank = await this.fetchSource(book, sources, 'rank', {
+      configured: rankSources.length > 0,
+      fetch: async () => {
+        const readings = (await this.metricsStore.getPoints(book._id, 'rank'))
+          .filter(point => rankSources.includes(point.source))
+          .sort((a, b) => a.date.localeCompare(b.date));
+        return readings.length > 0 ? readings[readings.length - 1].value : null;
+      },
+      fallback: null
+    });
+    return summary;
+  }
+
+  // Social totals are all-time sums per platform from the metrics store.
+  // With no social connectors the section stays empty rather than zeroed.
+  async getSocialMetrics(book, sources = {}) {
+    await this.syncConnectors(book, sources, 'social', this.socialConnectors,
+      (connector, range) => this.syncSocialConnector(book, connector, range));
+    if (this.socialConnectors.length === 0) return {};
+
+    const fields = { socialReach: 'reach', socialEngagement: 'engagement', socialShares: 'shares', socialMentions: 'mentions' };
+    const totals = { mentions: 0, engagement: 0, reach: 0, shares: 0 };
+    const platforms = {};
+
+    for (const metric of SOCIAL_METRICS) {
+      for (const point of await this.metricsStore.getPoints(book._id, metric)) {
+        const platform = platforms[point.source] || (platforms[point.source] = { mentions: 0, engagement: 0, reach: 0, shares: 0 });
+        platform[fields[metric]] += point.value;
+        totals[fields[metric]] += point.value;
+      }
+    }
+
+    return { ...totals, platforms };
+  }
+
+  // Runs each connector from its watermark and records a `<kind>:<name>`
+  // status; a kind with no connectors is reported as not_configured.
+  async syncConnectors(book, sources, kind, connectors, sync) {
+    if (connectors.length === 0) {
+      sources[kind] = { status: SOURCE_STATUS.NOT_CONFIGURED };
+      return [];
+    }
+
+    const staleBefore = new Date(Date.now() - this.staleAfterDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const fetched = await Promise.all(connectors.map(async connector => {
+      const name = `${kind}:${connector.name}`;
+      const records = await this.fetchSource(book, sources, name, {
+        fetch: async () => sync(connector, {
+          since: await this.metricsStore.getWatermark(book._id, connector.name)
+        }),
+        fallback: []
+      });
+
+      if (sources[name].status === SOURCE_STATUS.OK) {
+        const lastDataAt = await this.metricsStore.getWatermark(book._id, connector.name);
+        if (!lastDataAt || lastDataAt < staleBefore) {
+          sources[name] = { ...sources[name], status: SOURCE_STATUS.STALE, lastDataAt };
+        }
+      }
+      return records;
+    }));
+
+    return fetched.flat();
+  }
+
+  async backfill(book, { since, until }) {
+    console.log(`⏪ Backfilling ${book.title} from ${since} to ${until}...`);
+
+    let sales = 0;
+    for (const connector of this.salesConnectors) {
+      sales += (await this.syncConnector(book, connector, { since, until })).length;
+    }
+
+    let social = 0;
+    for (const connector of this.socialConnectors) {
+      social += (await this.syncSocialConnector(book, connector, { since, until })).length;
+    }
+
+    console.log(`✅ Backfilled ${sales} sales and ${social} social records for ${book.title}`);
+    return sales + social;
+  }
+
+  async syncConnector(book, connector, range) {
+    const records = await connector.fetchSales(book, range);
+    await this.metricsStore.recordPoints(book._id, connector.name, this.toDailyPoints(records));
+
+    const latest = records.reduce((max, record) => {
+      const day = this.toPointDate(record);
+      return !max || day > max ? day : max;
+    }, null);
+    await this.metricsStore.advanceWatermark(book._id, connector.name, latest);
+
+    return records;
+  }
+
+  async syncSocialConnector(book, connector, range) {
+    const records = await connector.fetchMetrics(book, range);
+    await this.metricsStore.recordPoints(book._id, connector.name, this.toSocialPoints(records));
+
+    const latest = records.reduce((max, record) => !max || record.date > max ? record.date : max, null);
+    await this.metricsStore.advanceWatermark(book._id, connector.name, latest);
+
+    return records;
+  }
+
+  toSocialPoints(records) {
+    const points = new Map();
+    for (const record of records) {
+      for (const [metric, value] of [
+        ['socialReach', record.reach],
+        ['socialEngagement', record.engagement],
+        ['socialShares', record.shares],
+        ['socialMentions', record.mentions]
+      ]) {
+        const key = `${metric}|${record.date}`;
+        const point = points.get(key) || { metric, date: record.date, value: 0 };
+        point.value += value;
+        points.set(key, point);
+      }
+    }
+
+    return [...points.values()];
+  }
+
+  toPointDate(record) {
+    return record.period === 'month' ? `${record.date}-01` : record.date;
+  }
+
+  toDailyPoints(records) {
+    const points = new Map();
+    const add = (record, metric, value) => {
+      const date = this.toPointDate(record);
+      const key = `${metric}|${record.period}|${date}`;
+      const point = points.get(key) || { metric, date, period: record.period, value: 0 };
+      point.value += value;
+      points.set(key, point);
+    };
+
+    // Rank is a reading, not a flow: each day keeps the best rank across formats
+    const ranks = new Map();
+    for (const record of records) {
+      add(record, 'units', record.units);
+      add(record, 'kuPages', record.kuPages);
+      add(record, 'revenue', this.toBaseCurrency(record));
+      if (record.rank && record.period === 'day') {
+        ranks.set(record.date, Math.min(ranks.get(record.date) ?? Infinity, record.rank));
+      }
+    }
+
+    return [...points.values(), ...[...ranks].map(([date, value]) => ({ metric: 'rank', date, value }))];
+  }
+
+  // Failed sources have empty sections, so their readings drop out here
+  toSnapshotPoints(metrics) {
+    const date = metrics.timestamp.toISOString().slice(0, 10);
+    const readings = {
+      rank: metrics.sales.rank,
+      reviews: metrics.reviews.count,
+      rating: metrics.reviews.averageRating,
+      sentiment: metrics.reviews.sentimentScore,
+      emailOpens: metrics.marketing.emailOpens,
+      emailClicks: metrics.marketing.emailClicks
+    };
+
+    return Object.entries(readings)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([metric, value]) => ({ metric, date, value }));
+  }
+
+  toBaseCurrency(record) {
+    const currency = record.currency || this.baseCurrency;
+    const rate = currency === this.baseCurrency ? 1 : this.exchangeRates[currency];
+    return rate ? record.revenue * rate : 0;
+  }
+
+  // Revenue is reported in the base currency; amounts without an exchange rate
+  // stay in revenueByCurrency rather than being added as if they were the same money
+  summarizeSales(records) {
+    const summary = { units: 0, kuPages: 0, revenue: 0, revenueByCurrency: {}, rank: null, countries: {}, formats: {}, sources: {} };
+
+    for (const record of records) {
+      const currency = record.currency || this.baseCurrency;
+      const revenue = this.toBaseCurrency(record);
+
+      summary.units += record.units;
+      summary.kuPages += record.kuPages;
+      summary.revenue += revenue;
+      summary.revenueByCurrency[currency] = (summary.revenueByCurrency[currency] || 0) + record.revenue;
+
+      const country = record.country || 'unknown';
+      const byCountry = summary.countries[country] || (summary.countries[country] = { units: 0, kuPages: 0, revenue: 0 });
+      byCountry.units += record.units;
+      byCountry.kuPages += record.kuPages;
+      byCountry.revenue += revenue;
+
+      const byFormat = summary.formats[record.format] || (summary.formats[record.format] = { units: 0, kuPages: 0, revenue: 0 });
+      byFormat.units += record.units;
+      byFormat.kuPages += record.kuPages;
+      byFormat.revenue += revenue;
+
+      summary.sources[record.source] = (summary.sources[record.source] || 0) + 1;
+    }
+
+    summary.revenue = Math.round(summary.revenue * 100) / 100;
+    return summary;
+  }
+
+  // Source getters throw on failure; fetchSource decides what to record
+  async getReviewData(book) {
+    const reviews = await this.kdp.getReviews(book.kdpSettings.asin);
+    const analysis = this.reviewAnalyzer.analyze(reviews);
+    const rated = analysis.reviews.filter(review => review.rating !== null);
+
+    return {
+      count: reviews.length,
+      averageRating: rated.reduce((sum, review) => sum + review.rating, 0) / rated.length || 0,
+      latest: analysis.reviews.slice(0, 5),
+      sentiment: analysis.label,
+      sentimentScore: analysis.averageScore,
+      distribution: analysis.distribution,
+      themes: analysis.themes,
+      trend: this.reviewAnalyzer.trend(analysis.reviews),
+      alerts: await this.checkReviewClusters(book, analysis.reviews)
+    };
+  }
+
+  async checkReviewClusters(book, scored) {
+    const previous = await this.database.getReviewAlerts(book._id);
+    const alert = this.reviewAnalyzer.detectLowStarClusters(scored, {
+      alertedReviewIds: previous.flatMap(entry => entry.reviewIds)
+    });
+    if (!alert) return [];
+
+    await this.database.saveReviewAlert({ bookId: book._id, ...alert });
+    console.warn(`🚨 ${book.title}: ${alert.message}`);
+    if (this.notifier) await this.notifier.notifyReviewAlert({ bookId: book._id, ...alert });
+    return [alert];
+  }
+
+  async getMarketingMetrics(book) {
+    const emailMetrics = await this.mailchimp.getCampaignStats(book.activeCampaign);
+    return {
+      emailDelivered: emailMetrics.emails_sent || 0,
+      emailOpens: emailMetrics.opens?.unique_opens || 0,
+      emailClicks: emailMetrics.clicks?.unique_clicks || 0,
+      unsubscribes: emailMetrics.unsubscribed || 0
+    };
+  }
+}
+
+// ===== scripts/weekly-report.js =====
+// Weekly performance reports per book, written to exports/ as Markdown and HTML
+//
+// A report covers the seven days up to `until` (by default yesterday, so the
+// Sunday cron run reports Sunday to Saturday) with one section per active
+// campaign. A milestone counts as hit once it is marked done with
+// completeMilestone(), or once every email scheduled on it has gone out.
+// `database` is the LaunchDatabase service layer. Rank is the best-seller
+// rank AnalyticsSync reads from KDP on every sync.
+
+const REPORT_SALES_METRICS = ['units', 'revenue', 'kuPages', 'rank'];
+const REPORT_REVIEW_METRICS = ['reviews', 'rating', 'sentiment'];
+const REPORT_METRIC_LABELS = {
+  units: 'Units sold',
+  revenue: 'Revenue',
+  kuPages: 'KU pages read',
+  rank: 'Best-seller rank',
+  reviews: 'Reviews',
+  rating: 'Average rating',
+  sentiment: 'Sentiment score',
+  emailOpens: 'Email opens',
+  emailClicks: 'Email clicks'
+};
+
+class WeeklyReportGenerator {
+  constructor(database, {
+    outputDir = 'exports',
+    analyticsSync = null,
+    metricsStore = new MetricsStore(database),
+    metricsTracker = new CampaignMetricsTracker(database, { metricsStore })
+  } = {}) {
+    this.db = database;
+    this.outputDir = outputDir;
+    this.analyticsSync = analyticsSync;
+    this.metricsStore = metricsStore;
+    this.metricsTracker = metricsTracker;
+    this.currency = analyticsSync?.baseCurrency || 'USD';
+  }
+
+  async generateAll({ now = new Date(), until } = {}) {
+    console.log('📝 Generating weekly reports for all books...');
+
+    const books = await this.db.getAllActiveBooks();
+    const results = { written: [], failed: [] };
+
+    for (const book of books) {
+      try {
+        results.written.push(await this.writeReport(await this.buildReport(book, { now, until })));
+      } catch (error) {
+        results.failed.push({ book: book.title, error: error.message });
+        console.error(`❌ Weekly report failed for ${book.title}:`, error.message);
+      }
+    }
+
+    console.log(`📝 Weekly reports: ${results.written.length} written, ${results.failed.length} failed`);
+    return results;
+  }
+
+  async generateBookReport(bookId, options = {}) {
+    const book = await this.db.getBook(bookId);
+    if (!book) {
+      throw new Error(`Book not found: ${bookId}`);
+    }
+    return await this.writeReport(await this.buildReport(book, options));
+  }
+
+  async buildReport(book, { now = new Date(), until = this.metricsStore.addDays(now.toISOString().slice(0, 10), -1) } = {}) {
+    const range = { since: this.metricsStore.addDays(until, -6), until };
+
+    const alerts = await this.db.getReviewAlerts(book._id, {
+      since: new Date(`${range.since}T00:00:00Z`),
+      until: new Date(`${range.until}T23:59:59.999Z`)
+    });
+    const campaigns = (await this.db.getCampaignsByBook(book._id))
+      .filter(campaign => campaign.status === 'active' || String(campaign._id) === String(book.activeCampaign));
+
+    const report = {
+      book: { id: book._id, title: book.title, author: book.author || null },
+      ...range,
+      generatedAt: now,
+      sales: await this.compareWeeks(book._id, REPORT_SALES_METRICS, until),
+      reviews: {
+        metrics: await this.compareWeeks(book._id, REPORT_REVIEW_METRICS, until),
+        alerts
+      },
+      campaigns: []
+    };
+
+    for (const campaign of campaigns) {
+      report.campaigns.push({
+        id: campaign._id,
+        name: campaign.name || `Campaign ${campaign._id}`,
+        strategy: campaign.strategy || null,
+        email: await this.getEmailFunnel(book, campaign, range),
+        milestones: await this.getMilestones(campaign, range),
+        pacing: this.getPacing(campaign, range, now)
+      });
+    }
+
+    return report;
+  }
+
+  async compareWeeks(bookId, metrics, until) {
+    const comparison = {};
+    for (const metric of metrics) {
+      const { thisWeek, lastWeek, change, changePct } = await this.metricsStore.weekOverWeek(bookId, metric, { until });
+      comparison[metric] = { thisWeek, lastWeek, change, changePct };
+    }
+    return comparison;
+  }
+
+  // Lifetime numbers come from the provider (getMarketingMetrics); this week's
+  // opens and clicks from the synced snapshots of the book's active campaign;
+  // deliveries from the sends EmailDeliveryEngine recorded during the week.
+  async getEmailFunnel(book, campaign, range) {
+    const funnel = { lifetime: null, error: null, week: null, deliveries: { sent: 0, bounced: 0, deferred: 0, suppressed: 0, failed: 0 } };
+
+    if (this.analyticsSync?.mailchimp) {
+      try {
+        const stats = await this.analyticsSync.getMarketingMetrics({ ...book, activeCampaign: campaign._id });
+        funnel.lifetime = {
+          ...stats,
+          openRate: stats.emailDelivered > 0 ? stats.emailOpens / stats.emailDelivered : null,
+          clickRate: stats.emailOpens > 0 ? stats.emailClicks / stats.emailOpens : null
+        };
+      } catch (error) {
+        funnel.error = error.message;
+      }
+    }
+
+    if (String(campaign._id) === String(book.activeCampaign)) {
+      funnel.week = await this.compareWeeks(book._id, ['emailOpens', 'emailClicks'], range.until);
+    }
+
+    const deliveries = await this.db.collection('email_deliveries').find(this.db.campaignIdQuery(campaign._id)).toArray();
+    for (const delivery of deliveries.filter(entry => this.inRange(entry.at, range))) {
+      funnel.deliveries[delivery.status] = (funnel.deliveries[delivery.status] || 0) + 1;
+    }
+
+    return funnel;
+  }
+
+  // hit: done, and due or completed this week; missed: due by the end of the
+  // week and still open (including earlier weeks); upcoming: due next week
+  async getMilestones(campaign, range) {
+    const rows = new ScheduleExporter(this.db).listMilestones(campaign);
+    const completions = await this.db.collection('campaign_milestones').find(this.db.campaignIdQuery(campaign._id)).toArray();
+    const sends = await this.db.collection('email_schedule').find(this.db.campaignIdQuery(campaign._id)).toArray();
+    const nextWeekEnd = this.metricsStore.addDays(range.until, 7);
+    const milestones = { hit: [], missed: [], upcoming: [] };
+
+    for (const row of rows) {
+      if (row.localDate > nextWeekEnd) continue;
+
+      const completion = completions.find(entry => entry.milestoneId === row.id);
+      const rowSends = sends.filter(send => send.milestone === row.id);
+      let completedAt = completion ? new Date(completion.completedAt) : null;
+      if (!completedAt && rowSends.length > 0 && rowSends.every(send => send.status === 'sent')) {
+        completedAt = new Date(Math.max(...rowSends.map(send => new Date(send.lastRunAt || send.sendAt).getTime())));
+      }
+
+      const entry = { id: row.id, phase: row.phase, task: row.task, type: row.type, due: row.localDate, completedAt };
+      if (row.localDate > range.until) {
+        if (!completedAt) milestones.upcoming.push(entry);
+      } else if (!completedAt) {
+        milestones.missed.push({ ...entry, overdueDays: this.daysBetween(row.localDate, range.until) });
+      } else if (row.localDate >= range.since || this.inRange(completedAt, range)) {
+        milestones.hit.push(entry);
+      }
+    }
+
+    return milestones;
+  }
+
+  async completeMilestone(campaignId, milestoneId, { now = new Date(), note = null } = {}) {
+    const campaign = await this.db.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+    if (!new ScheduleExporter(this.db).listMilestones(campaign).some(row => row.id === milestoneId)) {
+      throw new Error(`Campaign ${campaignId} has no milestone ${milestoneId}`);
+    }
+
+    const entry = { campaignId, milestoneId, completedAt: now, note };
+    await this.db.collection('campaign_milestones').updateOne(
+      { campaignId, milestoneId },
+      { $set: entry },
+      { upsert: true }
+    );
+    return entry;
+  }
+
+  // Pacing is recomputed at report time from the goals initializeCampaignMetrics
+  // set up and the actuals of the last sync
+  getPacing(campaign, range, now) {
+    if (!campaign.metrics?.goals || Object.keys(campaign.schedule?.phases || {}).length === 0) return null;
 
-    const cronPath = 'config/cron.json';
-    await fs.writeFile(cronPath, JSON.stringify(cronJobs, null, 2));
-    console.log('   Cron jobs configured');
+    return {
+      progress: this.metricsTracker.computePacing(campaign, now),
+      alerts: (campaign.metrics.alerts || []).filter(alert => alert.date >= range.since && alert.date <= range.until)
+    };
   }
-}
 
-// ===== scripts/book-importer.js =====
-// Bulk book import utility
+  async writeReport(report) {
+    const base = path.join(this.outputDir, `weekly-report-${report.book.id}-${report.until}`);
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(`${base}.md`, this.toMarkdown(report));
+    await fs.writeFile(`${base}.html`, this.toHTML(report));
 
-class BookImporter {
-  constructor(database) {
-    this.db = database;
-    this.supportedFormats = ['csv', 'json', 'xlsx'];
+    console.log(`📝 Weekly report for ${report.book.title}: ${base}.md, ${base}.html`);
+    return { bookId: report.book.id, until: report.until, markdown: `${base}.md`, html: `${base}.html` };
   }
 
-  async importFromCSV(filePath, userId) {
-    console.log(`📚 Importing books from CSV: ${filePath}`);
-    
-    const Papa = require('papaparse');
-    const csvData = await fs.readFile(filePath, 'utf8');
-    
-    const parsed = Papa.parse(csvData, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true
-    });
+  // Both formats render the same sections: { heading, level, paragraphs, items, table }
+  toSections(report) {
+    const sections = [{
+      heading: 'Sales and rank',
+      level: 2,
+      table: this.comparisonTable(report.sales),
+      paragraphs: ['A falling rank number means the book is climbing the charts.']
+    }, {
+      heading: 'Reviews and sentiment',
+      level: 2,
+      table: this.comparisonTable(report.reviews.metrics),
+      paragraphs: report.reviews.alerts.length === 0 ? ['No low-star review clusters this week.'] : [],
+      items: report.reviews.alerts.map(alert => `Alert: ${alert.message}`)
+    }];
 
-    const books = [];
-    for (const row of parsed.data) {
-      const book = this.mapCSVRowToBook(row, userId);
-      if (this.validateBookData(book)) {
-        books.push(book);
-      } else {
-        console.warn(`⚠️ Skipping invalid book: ${row.title || 'Unknown'}`);
-      }
+    if (report.campaigns.length === 0) {
+      sections.push({ heading: 'Campaigns', level: 2, paragraphs: ['No active campaign this week.'] });
     }
 
-    const results = await this.bulkInsertBooks(books);
-    console.log(`✅ Imported ${results.insertedCount} books successfully`);
-    
-    return results;
+    for (const campaign of report.campaigns) {
+      sections.push({ heading: campaign.name, level: 2, paragraphs: campaign.strategy ? [`Strategy: ${campaign.strategy}`] : [] });
+      sections.push(this.emailSection(campaign.email));
+      sections.push(this.milestoneSection(campaign.milestones));
+      sections.push(this.pacingSection(campaign.pacing));
+    }
+
+    return sections;
   }
 
-  mapCSVRowToBook(row, userId) {
+  comparisonTable(comparison) {
     return {
-      userId,
-      title: row.title || row.Title,
-      author: row.author || row.Author || '',
-      isbn: row.isbn || row.ISBN || '',
-      genre: row.genre || row.Genre || 'General',
-      description: row.description || row.Description || '',
-      price: parseFloat(row.price || row.Price || 9.99),
-      targetAudience: row.targetAudience || row['Target Audience'] || '',
-      keywords: (row.keywords || row.Keywords || '').split(',').map(k => k.trim()),
-      launchDate: row.launchDate ? new Date(row.launchDate) : new Date(),
-      status: 'draft',
-      createdAt: new Date(),
-      updatedAt: new Date()
+      headers: ['Metric', 'This week', 'Last week', 'Change'],
+      rows: Object.entries(comparison).map(([metric, entry]) => [
+        REPORT_METRIC_LABELS[metric] || metric,
+        this.formatMetric(metric, entry.thisWeek),
+        this.formatMetric(metric, entry.lastWeek),
+        this.formatChange(metric, entry)
+      ])
     };
   }
 
-  validateBookData(book) {
-    return book.title && book.title.length > 0 && 
-           book.author && book.author.length > 0;
-  }
+  emailSection(email) {
+    const section = { heading: 'Email funnel', level: 3, paragraphs: [], items: [] };
+    const { sent, bounced, deferred, suppressed, failed } = email.deliveries;
+    section.items.push(`Sent this week: ${sent} delivered, ${bounced} bounced, ${deferred} deferred, ${suppressed} suppressed, ${failed} failed`);
 
-  async bulkInsertBooks(books) {
-    return await this.db.collection('books').insertMany(books);
+    if (email.lifetime) {
+      const { emailDelivered, emailOpens, emailClicks, unsubscribes, openRate, clickRate } = email.lifetime;
+      section.items.push(
+        `Campaign to date: ${emailDelivered} delivered, ${emailOpens} opened (${this.formatPercent(openRate)}), ` +
+        `${emailClicks} clicked (${this.formatPercent(clickRate)} of opens), ${unsubscribes} unsubscribed`
+      );
+    } else if (email.error) {
+      section.paragraphs.push(`Email provider stats unavailable: ${email.error}`);
+    }
+    if (email.week) section.table = this.comparisonTable(email.week);
+
+    return section;
   }
-}
 
-// ===== scripts/campaign-generator.js =====
-// Automated campaign generation
+  milestoneSection(milestones) {
+    const rows = [
+      ...milestones.hit.map(m => ['Hit', m.due, m.phase, m.task, m.completedAt.toISOString().slice(0, 10)]),
+      ...milestones.missed.map(m => ['Missed', m.due, m.phase, m.task, m.overdueDays > 0 ? `${m.overdueDays} days overdue` : 'due this week']),
+      ...milestones.upcoming.map(m => ['Next week', m.due, m.phase, m.task, ''])
+    ];
 
-class CampaignGenerator {
-  constructor(aiWrapper, database) {
-    this.ai = aiWrapper;
-    this.db = database;
+    return {
+      heading: 'Milestones',
+      level: 3,
+      paragraphs: [`${milestones.hit.length} hit, ${milestones.missed.length} missed, ${milestones.upcoming.length} due next week.`],
+      table: rows.length > 0 ? { headers: ['Status', 'Due', 'Phase', 'Milestone', 'Notes'], rows } : null
+    };
   }
 
-  async generateFullCampaign(bookId, options = {}) {
-    console.log(`🎯 Generating full campaign for book: ${bookId}`);
-    
-    const book = await this.db.getBook(bookId);
-    if (!book) {
-      throw new Error(`Book not found: ${bookId}`);
+  pacingSection(pacing) {
+    if (!pacing) {
+      return { heading: 'Goal pacing', level: 3, paragraphs: ['This campaign has no goals or schedule to pace against.'] };
     }
 
-    const campaign = {
-      bookId,
-      type: 'full_launch',
-      status: 'draft',
-      phases: await this.generateCampaignPhases(book),
-      content: await this.generateCampaignContent(book),
-      schedule: await this.generateCampaignSchedule(book, options.launchDate),
-      metrics: this.initializeCampaignMetrics(),
-      createdAt: new Date()
+    return {
+      heading: 'Goal pacing',
+      level: 3,
+      table: {
+        headers: ['Goal', 'Target', 'Actual', 'Expected by now', 'Progress', 'Status'],
+        rows: Object.entries(pacing.progress).map(([metric, entry]) => [
+          metric,
+          this.formatNumber(entry.goal),
+          this.formatNumber(entry.actual),
+          this.formatNumber(entry.expected),
+          this.formatPercent(entry.progress),
+          entry.status.replace(/_/g, ' ')
+        ])
+      },
+      items: pacing.alerts.map(alert => `Alert (${alert.date}): ${alert.message}`)
     };
-
-    const savedCampaign = await this.db.saveCampaign(campaign);
-    console.log(`✅ Campaign generated with ID: ${savedCampaign._id}`);
-    
-    return savedCampaign;
   }
 
-  async generateCampaignPhases(book) {
-    const phases = [
-      {
-        name: 'Pre-Launch',
-        duration: '4 weeks',
-        activities: [
-          'Content creation',
-          'Audience building',
-          'Partnership outreach',
-          'Beta reader recruitment'
-        ]
-      },
-      {
-        name: 'Launch Week',
-        duration: '1 week',
-        activities: [
-          'Coordinated announcements',
-          'Media outreach',
-          'Social media blitz',
-          'Email campaign launch'
-        ]
-      },
-      {
-        name: 'Post-Launch',
-        duration: '8 weeks',
-        activities: [
-          'Review solicitation',
-          'Content marketing',
-          'Speaking opportunities',
-          'Partnership activations'
-        ]
-      }
+  toMarkdown(report) {
+    const lines = [
+      `# Weekly report: ${report.book.title}`,
+      '',
+      `${report.book.author ? `${report.book.author} · ` : ''}${report.since} to ${report.until}`
     ];
+    const cell = value => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+    for (const section of this.toSections(report)) {
+      lines.push('', `${'#'.repeat(section.level)} ${section.heading}`);
+      for (const paragraph of section.paragraphs || []) lines.push('', paragraph);
+      if (section.table) {
+        lines.push('', `| ${section.table.headers.map(cell).join(' | ')} |`, `|${section.table.headers.map(() => ' --- |').join('')}`);
+        section.table.rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+      }
+      if (section.items?.length > 0) {
+        lines.push('', ...section.items.map(item => `- ${item}`));
+      }
+    }
 
-    return phases;
+    lines.push('', `_Generated ${report.generatedAt.toISOString()}_`, '');
+    return lines.join('\n');
   }
 
-  async generateCampaignContent(book) {
-    console.log('📝 Generating marketing content...');
-    
-    const content = {};
-    
-    // Generate different types of content
-    const contentTypes = [
-      'amazon_description',
-      'social_media_posts',
-      'email_sequences',
-      'press_release',
-      'blog_posts',
-      'speaker_bio'
-    ];
+  // Self-contained (inline styles, no external assets) so it can be attached
+  // to an email or printed straight to PDF
+  toHTML(report) {
+    const esc = value => this.escapeHTML(value);
+    const body = [];
 
-    for (const type of contentTypes) {
-      try {
-        content[type] = await this.ai.generateContent(book.userId, book._id, type, {
-          title: book.title,
-          author: book.author,
-          genre: book.genre,
-          targetAudience: book.targetAudience
-        });
-        console.log(`   ✅ Generated ${type}`);
-      } catch (error) {
-        console.error(`   ❌ Failed to generate ${type}:`, error.message);
-        content[type] = null;
+    for (const section of this.toSections(report)) {
+      body.push(`<h${section.level}>${esc(section.heading)}</h${section.level}>`);
+      for (const paragraph of section.paragraphs || []) body.push(`<p>${esc(paragraph)}</p>`);
+      if (section.table) {
+        body.push('<table>',
+          `<thead><tr>${section.table.headers.map(header => `<th>${esc(header)}</th>`).join('')}</tr></thead>`,
+          '<tbody>',
+          ...section.table.rows.map(row => `<tr>${row.map(value => `<td>${esc(value)}</td>`).join('')}</tr>`),
+          '</tbody></table>');
+      }
+      if (section.items?.length > 0) {
+        body.push('<ul>', ...section.items.map(item => `<li>${esc(item)}</li>`), '</ul>');
       }
     }
 
-    return content;
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${esc(`Weekly report: ${report.book.title} (${report.since} to ${report.until})`)}</title>`,
+      '<style>',
+      '  @page { size: A4; margin: 18mm; }',
+      '  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 860px; margin: 2em auto; padding: 0 1em; line-height: 1.4; }',
+      '  h1 { font-size: 1.6em; margin-bottom: 0.2em; }',
+      '  h2 { font-size: 1.25em; border-bottom: 1px solid #ccc; padding-bottom: 0.2em; margin-top: 1.6em; }',
+      '  h3 { font-size: 1.05em; margin-top: 1.2em; }',
+      '  .meta, footer { color: #666; font-size: 0.9em; }',
+      '  table { border-collapse: collapse; width: 100%; margin: 0.6em 0; font-size: 0.92em; }',
+      '  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }',
+      '  th { background: #f3f3f3; }',
+      '  @media print { body { margin: 0; max-width: none; } h2, h3 { break-after: avoid; } tr { break-inside: avoid; } }',
+      '</style>',
+      '</head>',
+      '<body>',
+      `<h1>${esc(`Weekly report: ${report.book.title}`)}</h1>`,
+      `<p class="meta">${esc(`${report.book.author ? `${report.book.author} · ` : ''}${report.since} to ${report.until}`)}</p>`,
+      ...body,
+      `<footer>${esc(`Generated ${report.generatedAt.toISOString()}`)}</footer>`,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
   }
 
-  async generateCampaignSchedule(book, launchDate) {
-    const launch = launchDate ? new Date(launchDate) : new Date(book.launchDate);
-    const prelaunch = new Date(launch.getTime() - (4 * 7 * 24 * 60 * 60 * 1000)); // 4 weeks before
-    
-    const schedule = {
-      phases: {
-        prelaunch: {
-          start: prelaunch,
-          end: launch,
-          milestones: this.generatePrelaunchMilestones(prelaunch, launch)
-        },
-        launch: {
-          start: launch,
-          end: new Date(launch.getTime() + (7 * 24 * 60 * 60 * 1000)), // 1 week
-          milestones: this.generateLaunchMilestones(launch)
-        },
-        postlaunch: {
-          start: new Date(launch.getTime() + (7 * 24 * 60 * 60 * 1000)),
-          end: new Date(launch.getTime() + (12 * 7 * 24 * 60 * 60 * 1000)), // 12 weeks total
-          milestones: this.generatePostlaunchMilestones(launch)
-        }
-      }
-    };
+  formatMetric(metric, value) {
+    if (value === null || value === undefined) return '–';
+    if (metric === 'revenue') return `${value.toFixed(2)} ${this.currency}`;
+    if (metric === 'rating' || metric === 'sentiment') return value.toFixed(2);
+    return this.formatNumber(value);
+  }
 
-    return schedule;
+  formatChange(metric, { change, changePct }) {
+    if (change === null) return '–';
+    const sign = change > 0 ? '+' : change < 0 ? '−' : '±';
+    const amount = this.formatMetric(metric, Math.abs(change));
+    return changePct === null ? `${sign}${amount}` : `${sign}${amount} (${sign}${this.formatPercent(Math.abs(changePct))})`;
   }
 
-  generatePrelaunchMilestones(start, launch) {
-    return [
-      { date: start, task: 'Begin content creation', type: 'content' },
-      { date: new Date(start.getTime() + (7 * 24 * 60 * 60 * 1000)), task: 'Launch email list building', type: 'audience' },
-      { date: new Date(start.getTime() + (14 * 24 * 60 * 60 * 1000)), task: 'Begin partnership outreach', type: 'partnerships' },
-      { date: new Date(start.getTime() + (21 * 24 * 60 * 60 * 1000)), task: 'Finalize launch preparations', type: 'preparation' }
-    ];
+  formatNumber(value) {
+    return (Math.round(value * 100) / 100).toLocaleString('en-US');
   }
 
-  generateLaunchMilestones(launch) {
-    return [
-      { date: launch, task: 'Book goes live', type: 'launch' },
-      { date: new Date(launch.getTime() + (24 * 60 * 60 * 1000)), task: 'Social media announcement', type: 'promotion' },
-      { date: new Date(launch.getTime() + (2 * 24 * 60 * 60 * 1000)), task: 'Press release distribution', type: 'media' },
-      { date: new Date(launch.getTime() + (7 * 24 * 60 * 60 * 1000)), task: 'Launch week review', type: 'analysis' }
-    ];
+  formatPercent(value) {
+    return value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
   }
 
-  generatePostlaunchMilestones(launch) {
-    return [
-      { date: new Date(launch.getTime() + (14 * 24 * 60 * 60 * 1000)), task: 'Begin review solicitation', type: 'reviews' },
-      { date: new Date(launch.getTime() + (30 * 24 * 60 * 60 * 1000)), task: 'Month 1 performance review', type: 'analysis' },
-      { date: new Date(launch.getTime() + (60 * 24 * 60 * 60 * 1000)), task: 'Speaking engagement push', type: 'speaking' },
-      { date: new Date(launch.getTime() + (90 * 24 * 60 * 60 * 1000)), task: 'Campaign completion review', type: 'completion' }
-    ];
+  escapeHTML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 
-  initializeCampaignMetrics() {
-    return {
-      goals: {
-        bookSales: 1000,
-        emailSignups: 500,
-        socialFollowers: 1000,
-        speakingGigs: 5,
-        mediaFeatures: 3
-      },
-      actual: {
-        bookSales: 0,
-        emailSignups: 0,
-        socialFollowers: 0,
-        speakingGigs: 0,
-        mediaFeatures: 0
-      },
-      roi: {
-        invested: 0,
-        earned: 0,
-        timeSpent: 0
-      }
-    };
+  inRange(value, { since, until }) {
+    if (!value) return false;
+    const day = new Date(value).toISOString().slice(0, 10);
+    return day >= since && day <= until;
+  }
+
+  daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
   }
 }
 
-// ===== scripts/analytics-sync.js =====
-// Analytics data synchronization
+// ===== scripts/job-runner.js =====
+// Runs the tasks scheduled in config/cron.json
+//
+// Each task name maps to a handler. A run takes a lock in `job_locks` (the
+// task name is the _id, so a second runner's upsert fails on the duplicate
+// key) and leaves an entry in `job_runs` with its outcome and duration.
+// Locks expire after lockTtlMs so a crashed run cannot block a task forever.
 
-class AnalyticsSync {
-  constructor(integrations) {
-    this.kdp = integrations.kdp;
-    this.mailchimp = integrations.mailchimp;
-    this.social = integrations.social;
-    this.database = integrations.database;
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Standard five-field cron: *, lists, ranges and steps; 0 and 7 are Sunday
+function parseCronExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression needs ${CRON_FIELDS.length} fields: ${expression}`);
   }
 
-  async syncAllBooks() {
-    console.log('📊 Starting analytics sync for all books...');
-    
-    const books = await this.database.getAllActiveBooks();
-    const results = {
-      success: 0,
-      failed: 0,
-      errors: []
-    };
+  const parsed = {};
+  parts.forEach((part, i) => {
+    const field = CRON_FIELDS[i];
+    const values = new Set();
 
-    for (const book of books) {
-      try {
-        await this.syncBookMetrics(book);
-        results.success++;
-        console.log(`✅ Synced: ${book.title}`);
-      } catch (error) {
-        results.failed++;
-        results.errors.push({ book: book.title, error: error.message });
-        console.error(`❌ Failed to sync ${book.title}:`, error.message);
+    for (const item of part.split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let [from, to] = range === '*' ? [field.min, field.max] : range.split('-').map(Number);
+      if (to === undefined) to = stepText === undefined ? from : field.max;
+
+      if (![from, to, step].every(Number.isInteger) || from < field.min || to > field.max || from > to || step < 1) {
+        throw new Error(`Invalid ${field.name} "${item}" in cron expression: ${expression}`);
+      }
+      for (let value = from; value <= to; value += step) {
+        values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
       }
     }
 
-    console.log(`📈 Sync completed: ${results.success} success, ${results.failed} failed`);
-    return results;
-  }
+    parsed[field.name] = { values, restricted: part !== '*' };
+  });
 
-  async syncBookMetrics(book) {
-    const metrics = {
-      bookId: book._id,
-      timestamp: new Date(),
-      sales: await this.getSalesData(book),
-      reviews: await this.getReviewData(book),
-      marketing: await this.getMarketingMetrics(book),
-      social: await this.getSocialMetrics(book)
-    };
+  return parsed;
+}
 
-    await this.database.saveMetrics(metrics);
-    return metrics;
+class JobRunner {
+  constructor(db, {
+    handlers = {},
+    cronPath = 'config/cron.json',
+    timezone = process.env.TZ || 'UTC',
+    lockTtlMs = 6 * 60 * 60 * 1000
+  } = {}) {
+    this.db = db;
+    this.handlers = handlers;
+    this.cronPath = cronPath;
+    this.calendar = new BusinessCalendar({ timezone });
+    this.lockTtlMs = lockTtlMs;
+    this.owner = `${require('os').hostname()}:${process.pid}`;
+    this.jobs = [];
+    this.timer = null;
   }
 
-  async getSalesData(book) {
-    if (!book.kdpSettings?.asin) {
-      return { units: 0, revenue: 0, rank: null };
+  // Tasks without a handler are reported and left out rather than failing
+  // every other job
+  async loadSchedule() {
+    const schedule = JSON.parse(await fs.readFile(this.cronPath, 'utf8'));
+
+    this.jobs = [];
+    for (const [expression, task] of Object.entries(schedule)) {
+      const cron = parseCronExpression(expression);
+      if (!this.handlers[task]) {
+        console.warn(`⚠️ No handler for scheduled task ${task} (${expression}), skipping`);
+        continue;
+      }
+      this.jobs.push({ expression, task, cron });
     }
 
-    try {
-      const salesData = await this.kdp.getSalesData(book.kdpSettings.asin);
-      return {
-        units: salesData.unitsSold || 0,
-        revenue: salesData.revenue || 0,
-        rank: salesData.bestSellerRank || null,
-        countries: salesData.salesByCountry || {}
-      };
-    } catch (error) {
-      console.warn(`Could not fetch sales data for ${book.title}:`, error.message);
-      return { units: 0, revenue: 0, rank: null };
+    console.log(`⏰ Loaded ${this.jobs.length} scheduled jobs from ${this.cronPath}`);
+    return this.jobs;
+  }
+
+  matches(cron, date) {
+    const parts = {};
+    for (const { type, value } of this.calendar.formatter.formatToParts(date)) {
+      parts[type] = Number(value);
     }
+    const dayOfWeek = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+
+    // Like cron, a restricted day-of-month and day-of-week match on either
+    const dayOfMonthMatch = cron.dayOfMonth.values.has(parts.day);
+    const dayOfWeekMatch = cron.dayOfWeek.values.has(dayOfWeek);
+    const dayMatch = cron.dayOfMonth.restricted && cron.dayOfWeek.restricted
+      ? dayOfMonthMatch || dayOfWeekMatch
+      : dayOfMonthMatch && dayOfWeekMatch;
+
+    return cron.minute.values.has(parts.minute) &&
+      cron.hour.values.has(parts.hour) &&
+      cron.month.values.has(parts.month) &&
+      dayMatch;
   }
 
-  async getReviewData(book) {
+  async run(task, { trigger = 'manual', now = new Date() } = {}) {
+    const handler = this.handlers[task];
+    if (!handler) {
+      throw new Error(`Unknown job: ${task} (available: ${Object.keys(this.handlers).join(', ')})`);
+    }
+
+    const runId = crypto.randomBytes(8).toString('hex');
+    const run = { runId, task, trigger, owner: this.owner, startedAt: new Date() };
+
+    if (!await this.acquireLock(task, runId, now)) {
+      const holder = await this.db.collection('job_locks').findOne({ _id: task });
+      console.warn(`⏭️ ${task} is already running (${holder?.owner || 'unknown owner'}), skipping`);
+      await this.recordRun({ ...run, status: 'skipped', finishedAt: new Date(), durationMs: 0, error: 'already running' });
+      return { ...run, status: 'skipped' };
+    }
+
+    console.log(`▶️ Running ${task} (${trigger})`);
     try {
-      const reviews = await this.kdp.getReviews(book.kdpSettings?.asin);
-      return {
-        count: reviews.length,
-        averageRating: reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length || 0,
-        latest: reviews.slice(0, 5),
-        sentiment: this.analyzeSentiment(reviews)
-      };
+      const result = await handler({ now, runId });
+      const finished = this.finish(run, { status: 'success', result: result ?? null });
+      console.log(`✅ ${task} finished in ${finished.durationMs}ms`);
+      return await this.recordRun(finished);
     } catch (error) {
-      return { count: 0, averageRating: 0, latest: [], sentiment: 'neutral' };
+      const finished = this.finish(run, { status: 'failed', error: error.message });
+      console.error(`❌ ${task} failed after ${finished.durationMs}ms:`, error.message);
+      return await this.recordRun(finished);
+    } finally {
+      await this.db.collection('job_locks').deleteOne({ _id: task, runId });
     }
   }
 
-  async getMarketingMetrics(book) {
-    const campaignId = book.activeCampaign;
-    if (!campaignId) return {};
+  finish(run, outcome) {
+    const finishedAt = new Date();
+    return { ...run, ...outcome, finishedAt, durationMs: finishedAt - run.startedAt };
+  }
 
+  async acquireLock(task, runId, now) {
     try {
-      const emailMetrics = await this.mailchimp.getCampaignStats(campaignId);
-      return {
-        emailDelivered: emailMetrics.emails_sent || 0,
-        emailOpens: emailMetrics.opens?.unique_opens || 0,
-        emailClicks: emailMetrics.clicks?.unique_clicks || 0,
-        unsubscribes: emailMetrics.unsubscribed || 0
-      };
+      await this.db.collection('job_locks').updateOne(
+        { _id: task, lockedUntil: { $lte: now } },
+        { $set: { runId, owner: this.owner, lockedAt: now, lockedUntil: new Date(now.getTime() + this.lockTtlMs) } },
+        { upsert: true }
+      );
+      return true;
     } catch (error) {
-      return {};
+      if (error.code === 11000) return false;
+      throw error;
     }
   }
 
-  async getSocialMetrics(book) {
-    // Aggregate social media metrics across platforms
-    return {
-      mentions: 0,
-      engagement: 0,
-      reach: 0,
-      shares: 0
+  async recordRun(run) {
+    await this.db.collection('job_runs').insertOne(run);
+    return run;
+  }
+
+  async getHistory(task, { limit = 20 } = {}) {
+    const runs = await this.db.collection('job_runs').find(task ? { task } : {}).toArray();
+    return runs.sort((a, b) => b.startedAt - a.startedAt).slice(0, limit);
+  }
+
+  // Fires every job whose expression matches this minute
+  async tick(now = new Date()) {
+    const due = this.jobs.filter(job => this.matches(job.cron, now));
+    return await Promise.all(due.map(job => this.run(job.task, { trigger: 'cron', now }).catch(error => {
+      console.error(`❌ Could not run ${job.task}:`, error.message);
+    })));
+  }
+
+  start() {
+    const schedule = () => {
+      const now = new Date();
+      this.timer = setTimeout(() => {
+        this.tick(new Date());
+        schedule();
+      }, 60000 - (now.getSeconds() * 1000 + now.getMilliseconds()));
     };
+
+    schedule();
+    console.log(`⏰ Job runner started (${this.owner})`);
   }
 
-  analyzeSentiment(reviews) {
-    // Simple sentiment analysis
-    const positiveWords = ['great', 'excellent', 'amazing', 'love', 'perfect'];
-    const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'worst'];
-    
-    let positiveScore = 0;
-    let negativeScore = 0;
-    
-    reviews.forEach(review => {
-      const text = review.text.toLowerCase();
-      positiveWords.forEach(word => {
-        if (text.includes(word)) positiveScore++;
-      });
-      negativeWords.forEach(word => {
-        if (text.includes(word)) negativeScore++;
-      });
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Runs until SIGINT/SIGTERM, for the CLI
+  runForever() {
+    this.start();
+    return new Promise(resolve => {
+      const shutdown = () => {
+        this.stop();
+        console.log('⏹️ Job runner stopped');
+        resolve();
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
     });
+  }
+}
 
-    if (positiveScore > negativeScore) return 'positive';
-    if (negativeScore > positiveScore) return 'negative';
-    return 'neutral';
+async function cleanupTempFiles(dir, { maxAgeDays = 7, now = new Date() } = {}) {
+  const cutoff = now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return { removed };
+    throw error;
   }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      removed += (await cleanupTempFiles(entryPath, { maxAgeDays, now })).removed;
+    } else if ((await fs.stat(entryPath)).mtimeMs < cutoff) {
+      await fs.unlink(entryPath);
+      removed++;
+    }
+  }
+
+  return { removed };
+}
+
+// Handlers for the tasks SystemSetup writes to config/cron.json. Services not
+// passed in are built from `database`, the LaunchDatabase service layer;
+// email sends need a transport.
+function createDefaultJobHandlers({
+  database,
+  transport = null,
+  analytics = {},
+  analyticsSync = new AnalyticsSync({ database, ...analytics }),
+  emailEngine = transport ? new EmailDeliveryEngine(database, { transport }) : null,
+  reviewScheduler = transport
+    ? new ReviewSolicitationScheduler(database, { sender: { send: message => transport.send({ from: emailEngine?.from, ...message }) } })
+    : null,
+  weeklyReports = new WeeklyReportGenerator(database, { analyticsSync }),
+  tempDir = 'temp',
+  tempMaxAgeDays = 7
+}) {
+  return {
+    'analytics:sync': async () => {
+      if (!analyticsSync.hasSources()) {
+        throw new Error('analytics:sync has no sources configured: set report directories under analytics in config/app.json');
+      }
+      const { success, failed } = await analyticsSync.syncAllBooks();
+      return { success, failed };
+    },
+
+    'campaigns:daily': async ({ now }) => {
+      if (!emailEngine && !reviewScheduler) {
+        throw new Error('campaigns:daily needs an email transport');
+      }
+
+      const result = { emails: null, reviewRequests: null };
+      if (emailEngine) {
+        const sends = await emailEngine.runDue({ now });
+        result.emails = {
+          sends: sends.length,
+          sent: sends.reduce((sum, send) => sum + send.sent, 0),
+          bounced: sends.reduce((sum, send) => sum + send.bounced, 0),
+          deferred: sends.reduce((sum, send) => sum + send.deferred, 0),
+          failed: sends.reduce((sum, send) => sum + send.failed, 0)
+        };
+      }
+      if (reviewScheduler) {
+        result.reviewRequests = { sent: 0, skipped: 0, failed: 0 };
+        for (const book of await database.getAllActiveBooks()) {
+          const report = await reviewScheduler.run(book._id, { now });
+          for (const key of Object.keys(result.reviewRequests)) {
+            result.reviewRequests[key] += report[key].length;
+          }
+        }
+      }
+      return result;
+    },
+
+    'reports:weekly': async ({ now }) => {
+      const { written, failed } = await weeklyReports.generateAll({ now });
+      return { reports: written.map(report => report.html), failed: failed.length };
+    },
+
+    'cleanup:temp-files': ({ now }) => cleanupTempFiles(tempDir, { maxAgeDays: tempMaxAgeDays, now })
+  };
 }
 
 // ===== scripts/deployment.js =====
@@ -731,14 +6475,88 @@ class HealthChecker {
 // Export all classes for use
 module.exports = {
   SystemSetup,
+  LaunchDatabase,
+  BookValidator,
   BookImporter,
+  ContentTypeRegistry,
+  AIProvider,
+  FixtureAIProvider,
+  RecordingAIProvider,
+  TemplateAIProvider,
   CampaignGenerator,
+  ContentApprovalWorkflow,
+  BusinessCalendar,
+  ScheduleExporter,
+  LaunchPlanner,
+  CampaignMetricsTracker,
+  RoiLedger,
+  MetricsStore,
+  ReviewAnalyzer,
+  BetaReaderManager,
+  ReviewSolicitationScheduler,
+  EmailTransport,
+  SmtpTransport,
+  MailchimpTransport,
+  LocalSmtpCatcher,
+  EmailDeliveryEngine,
+  SalesConnector,
+  ReportFileSalesConnector,
+  KdpReportConnector,
+  Draft2DigitalReportConnector,
+  IngramSparkReportConnector,
+  SocialConnector,
+  ReportFileSocialConnector,
+  LinkedInAnalyticsConnector,
+  XAnalyticsConnector,
   AnalyticsSync,
+  WeeklyReportGenerator,
+  JobRunner,
   DeploymentManager,
   HealthChecker
 };
 
 // ===== Main execution script =====
+// Flags listed in `booleans` never take a value, so `jobs --history <task>`
+// keeps <task> as a positional argument
+function parseCliArgs(args, { booleans = [] } = {}) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (!booleans.includes(arg.slice(2)) && args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+      flags[arg.slice(2)] = args[++i];
+    } else {
+      flags[arg.slice(2)] = true;
+    }
+  }
+
+  return { positional, flags };
+}
+
+async function loadAppConfig(configPath = 'config/app.json') {
+  try {
+    return JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Could not read ${configPath}: ${error.message}`);
+  }
+}
+
+async function runWithDatabase(task) {
+  const { MongoClient } = require('mongodb');
+  const client = new MongoClient(process.env.MONGODB_URI || 'mongodb://localhost:27017/booklist');
+
+  try {
+    await client.connect();
+    return await task(client.db());
+  } finally {
+    await client.close();
+  }
+}
+
 if (require.main === module) {
   const [,, command, ...args] = process.argv;
   
@@ -753,7 +6571,85 @@ if (require.main === module) {
       const [env] = args;
       new DeploymentManager().deploy(env || 'development');
       break;
+    case 'import': {
+      const { positional: [filePath], flags } = parseCliArgs(args, { booleans: ['dry-run', 'allow-past-launch'] });
+      if (!filePath || !flags.user) {
+        console.log('Usage: import <file> --user <userId> [--profile <name>] [--dry-run] [--allow-past-launch]');
+        process.exitCode = 1;
+        break;
+      }
+
+      runWithDatabase(db => new BookImporter(db).import(filePath, flags.user, {
+        profile: flags.profile,
+        dryRun: Boolean(flags['dry-run']),
+        allowPastLaunch: Boolean(flags['allow-past-launch'])
+      }))
+        .then(report => console.log(JSON.stringify(report, null, 2)))
+        .catch(error => {
+          console.error('❌ Import failed:', error.message);
+          process.exitCode = 1;
+        });
+      break;
+    }
+    case 'export-onix': {
+      const { positional: [filePath], flags } = parseCliArgs(args);
+      if (!filePath || !flags.user) {
+        console.log('Usage: export-onix <file> --user <userId> [--sender <name>]');
+        process.exitCode = 1;
+        break;
+      }
+
+      runWithDatabase(db => new BookImporter(db).exportToONIX(filePath, flags.user, { sender: flags.sender }))
+        .catch(error => {
+          console.error('❌ ONIX export failed:', error.message);
+          process.exitCode = 1;
+        });
+      break;
+    }
+    case 'mail-catcher': {
+      const { flags } = parseCliArgs(args);
+      const catcher = new LocalSmtpCatcher({
+        port: flags.port ? Number(flags.port) : undefined,
+        outputDir: flags.dir
+      });
+
+      catcher.start().catch(error => {
+        console.error('❌ SMTP catcher failed to start:', error.message);
+        process.exitCode = 1;
+      });
+      break;
+    }
+    case 'jobs': {
+      const { positional: [task], flags } = parseCliArgs(args, { booleans: ['history', 'now'] });
+      if (flags.now && !task) {
+        console.log('Usage: jobs [<task> --now] [--history [<task>] --limit <n>]');
+        process.exitCode = 1;
+        break;
+      }
+
+      runWithDatabase(async db => {
+        const database = new LaunchDatabase(db);
+        const { analytics } = await loadAppConfig();
+        const transport = process.env.MAILCHIMP_TRANSACTIONAL_KEY ? new MailchimpTransport() : new SmtpTransport();
+        const runner = new JobRunner(database, { handlers: createDefaultJobHandlers({ database, transport, analytics }) });
+
+        if (flags.history) {
+          console.log(JSON.stringify(await runner.getHistory(task, { limit: Number(flags.limit) || 20 }), null, 2));
+        } else if (flags.now) {
+          const run = await runner.run(task, { trigger: 'manual' });
+          if (run.status !== 'success') process.exitCode = 1;
+        } else {
+          await runner.loadSchedule();
+          await runner.runForever();
+        }
+      })
+        .catch(error => {
+          console.error('❌ Job runner failed:', error.message);
+          process.exitCode = 1;
+        });
+      break;
+    }
     default:
-      console.log('Available commands: setup, health-check, deploy');
+      console.log('Available commands: setup, health-check, deploy, import, export-onix, mail-catcher, jobs');
   }
 }
@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { FixtureAIProvider, RecordingAIProvider, TemplateAIProvider } = require('../scripts/setup');
+require('./helpers/quiet-console');
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function fixturesDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-fixtures-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+const parameters = { title: 'T', author: 'A', keywords: ['ai', 'ethics'], outputSchema: { type: 'text' } };
+
+test('hashes book inputs independently of key order and output schema', () => {
+  const provider = new TemplateAIProvider();
+
+  const reordered = { keywords: ['ai', 'ethics'], author: 'A', title: 'T', outputSchema: { type: 'list' } };
+
+  assert.equal(provider.hashInputs(parameters), provider.hashInputs(reordered));
+  assert.notEqual(provider.hashInputs(parameters), provider.hashInputs({ ...parameters, title: 'Other' }));
+});
+
+test('records real responses and replays them by content type and input hash', async () => {
+  const dir = await fixturesDir();
+  let calls = 0;
+  const live = { generateContent: async () => `response ${++calls}` };
+
+  const recorded = await new RecordingAIProvider(live, { fixturesDir: dir }).generateContent('u', 'b', 'speaker_bio', parameters);
+  const replayed = await new FixtureAIProvider({ fixturesDir: dir }).generateContent('u', 'b', 'speaker_bio', parameters);
+
+  assert.equal(recorded, 'response 1');
+  assert.equal(replayed, 'response 1');
+  assert.equal(calls, 1);
+});
+
+test('fails with the expected fixture path when nothing was recorded', async () => {
+  const provider = new FixtureAIProvider({ fixturesDir: await fixturesDir() });
+
+  await assert.rejects(provider.generateContent('u', 'b', 'speaker_bio', parameters),
+    /No recorded fixture for speaker_bio at .*speaker_bio.*\.json; run with RecordingAIProvider/);
+});
+
+test('fills Handlebars-style templates from book fields', async () => {
+  const provider = new TemplateAIProvider({
+    templates: { podcast_pitch: { subject: 'Pitch: {{ title }}', body: '{{author}} on {{keywords}} ({{launchDate}}){{missing}}' } }
+  });
+
+  const pitch = await provider.generateContent('u', 'b', 'podcast_pitch', { ...parameters, launchDate: new Date('2099-12-01') });
+
+  assert.deepEqual(pitch, { subject: 'Pitch: T', body: 'A on ai, ethics (2099-12-01)' });
+  await assert.rejects(provider.generateContent('u', 'b', 'linkedin_carousel', parameters), /No template registered for content type: linkedin_carousel/);
+});
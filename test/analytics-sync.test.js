@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AnalyticsSync, LaunchDatabase, SalesConnector } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+async function createDatabase(count) {
+  const db = new MemoryDb();
+  await db.collection('books').insertMany(Array.from({ length: count }, (_, i) => ({
+    _id: `b${i + 1}`,
+    title: `Book ${i + 1}`,
+    status: 'draft',
+    kdpSettings: { asin: `B0ASIN${i + 1}` }
+  })));
+  return { db, database: new LaunchDatabase(db) };
+}
+
+// Counts concurrent calls and fails the listed ASINs a given number of times
+function createKdp({ failures = {}, delay = 5 } = {}) {
+  const kdp = { inFlight: 0, maxInFlight: 0, calls: {} };
+  const call = async (asin, result) => {
+    kdp.calls[asin] = (kdp.calls[asin] || 0) + 1;
+    kdp.inFlight++;
+    kdp.maxInFlight = Math.max(kdp.maxInFlight, kdp.inFlight);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    kdp.inFlight--;
+    if ((failures[asin] || 0) >= kdp.calls[asin]) throw new Error(`KDP unavailable for ${asin}`);
+    return result;
+  };
+  kdp.getReviews = asin => call(asin, [{ rating: 5, text: 'Brilliant and practical' }]);
+  return kdp;
+}
+
+class StaticSalesConnector extends SalesConnector {
+  constructor(records) {
+    super('static');
+    this.records = records;
+  }
+
+  async fetchSales(book, range) {
+    return this.records.filter(record => this.inRange(record, range));
+  }
+}
+
+test('syncs books in parallel up to the concurrency limit', async () => {
+  const { db, database } = await createDatabase(5);
+  const kdp = createKdp();
+  const sync = new AnalyticsSync({ kdp, database, concurrency: 2 });
+
+  const results = await sync.syncAllBooks();
+
+  assert.equal(results.success, 5);
+  assert.equal(results.failed, 0);
+  assert.equal(kdp.maxInFlight, 2);
+  assert.equal(await db.collection('metrics').countDocuments(), 5);
+  assert.deepEqual(results.sources.reviews, { ok: 5, failed: 0, stale: 0, not_configured: 0, failures: [] });
+  assert.equal(results.sources.email.not_configured, 5);
+});
+
+test('retries failing sources and records what still failed', async () => {
+  const { database } = await createDatabase(2);
+  const kdp = createKdp({ failures: { B0ASIN1: 1, B0ASIN2: 10 } });
+  const sync = new AnalyticsSync({ kdp, database, retries: 2, retryDelay: 1 });
+
+  const results = await sync.syncAllBooks();
+
+  // A failed source leaves a gap in the snapshot but does not fail the book
+  assert.equal(results.success, 2);
+  assert.equal(kdp.calls.B0ASIN1, 2);
+  assert.equal(kdp.calls.B0ASIN2, 3);
+  assert.equal(results.sources.reviews.ok, 1);
+  assert.equal(results.sources.reviews.failed, 1);
+  assert.deepEqual(results.sources.reviews.failures, [{ book: 'Book 2', error: 'KDP unavailable for B0ASIN2' }]);
+
+  const metrics = await sync.syncBookMetrics({ _id: 'b2', title: 'Book 2', kdpSettings: { asin: 'B0ASIN2' } });
+  assert.deepEqual(metrics.reviews, {});
+  assert.equal(metrics.sources.reviews.status, 'failed');
+  assert.equal(metrics.sources.reviews.attempts, 3);
+});
+
+test('marks connectors whose newest data is too old as stale', async () => {
+  const { database } = await createDatabase(0);
+  const today = new Date().toISOString().slice(0, 10);
+  const record = date => ({ source: 'static', date, period: 'day', format: 'ebook', units: 1, kuPages: 0, revenue: 2, currency: 'USD' });
+  const book = { _id: 'b1', title: 'Book 1' };
+
+  const fresh = new AnalyticsSync({ database, salesConnectors: [new StaticSalesConnector([record(today)])] });
+  const freshSources = {};
+  await fresh.getSalesData(book, freshSources);
+  assert.equal(freshSources['sales:static'].status, 'ok');
+
+  const old = new AnalyticsSync({ database, salesConnectors: [new StaticSalesConnector([record('2000-01-01')])] });
+  const oldSources = {};
+  await old.getSalesData({ _id: 'b2', title: 'Book 2' }, oldSources);
+  assert.equal(oldSources['sales:static'].status, 'stale');
+  assert.equal(oldSources['sales:static'].lastDataAt, '2000-01-01');
+});
+
+test('counts a book as failed when its snapshot cannot be saved', async () => {
+  const { database } = await createDatabase(2);
+  database.saveMetrics = async metrics => {
+    if (metrics.bookId === 'b2') throw new Error('disk full');
+    return metrics;
+  };
+  const sync = new AnalyticsSync({ kdp: createKdp(), database });
+
+  const results = await sync.syncAllBooks();
+
+  assert.equal(results.success, 1);
+  assert.equal(results.failed, 1);
+  assert.deepEqual(results.errors, [{ book: 'Book 2', error: 'disk full' }]);
+});
+
+test('builds report connectors from the analytics config, skipping sources without a directory', async () => {
+  const { database } = await createDatabase(0);
+
+  const sync = new AnalyticsSync({
+    database,
+    salesReports: { kdp: { reportsDir: 'reports/kdp', decimalSeparator: ',' }, ingramspark: { reportsDir: undefined } },
+    socialExports: { linkedin: { reportsDir: 'exports/linkedin' } }
+  });
+
+  assert.deepEqual(sync.salesConnectors.map(connector => connector.name), ['kdp']);
+  assert.equal(sync.salesConnectors[0].decimalSeparator, ',');
+  assert.deepEqual(sync.socialConnectors.map(connector => connector.name), ['linkedin']);
+  assert.equal(sync.hasSources(), true);
+
+  assert.equal(new AnalyticsSync({ database, salesReports: { kdp: {} } }).hasSources(), false);
+  assert.throws(() => new AnalyticsSync({ database, salesReports: { smashwords: { reportsDir: 'reports' } } }), /Unknown analytics source: smashwords/);
+});
@@ -0,0 +1,120 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const {
+  BetaReaderManager,
+  CampaignGenerator,
+  BusinessCalendar,
+  LaunchDatabase,
+  ReviewSolicitationScheduler
+} = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+const everyDay = new BusinessCalendar({ workingDays: [0, 1, 2, 3, 4, 5, 6] });
+
+// A pre-order campaign with two committed reviewers holding a reader copy
+async function setUp() {
+  const manuscriptsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'beta-readers-'));
+  tempDirs.push(manuscriptsDir);
+  await fs.writeFile(path.join(manuscriptsDir, 'draft.epub'), 'draft one');
+
+  const database = new LaunchDatabase(new MemoryDb());
+  const generator = new CampaignGenerator(null, null);
+  const schedule = await generator.generateCampaignSchedule(
+    { launchDate: '2099-12-01' }, null, generator.resolvePhaseTemplate('preorder_90_day'), everyDay
+  );
+  const campaign = await database.saveCampaign({ bookId: 'b1', schedule, calendar: everyDay.toConfig() });
+
+  const manager = new BetaReaderManager(database, { manuscriptsDir });
+  await manager.addReaders('b1', [
+    { email: 'ada@example.com', name: 'Ada', commitsToReview: true },
+    { email: 'bo@example.com', commitsToReview: true },
+    { email: 'cy@example.com' }
+  ]);
+  await manager.distributeManuscript('b1', 'draft.epub', { now: new Date('2099-10-01') });
+
+  return { database, manager, campaignId: campaign._id };
+}
+
+test('hands committed reviewers to the launch phase, not the pre-order phase', async () => {
+  const { database, manager, campaignId } = await setUp();
+
+  const result = await manager.handOffToLaunch('b1', campaignId);
+
+  assert.equal(result.milestoneDay, '2099-12-02');
+  assert.deepEqual(result.reviewers.sort(), ['ada@example.com', 'bo@example.com']);
+
+  const { phases } = (await database.getCampaign(campaignId)).schedule;
+  const handOff = phases.launch.milestones.filter(milestone => milestone.type === 'beta_reviews');
+  assert.equal(handOff.length, 1);
+  assert.equal(handOff[0].localDate, '2099-12-02');
+  assert.ok(phases.preorder.milestones.every(milestone => milestone.type !== 'beta_reviews'));
+
+  // Handing off again refreshes the milestone instead of adding another
+  await manager.handOffToLaunch('b1', campaignId);
+  const again = (await database.getCampaign(campaignId)).schedule.phases.launch.milestones;
+  assert.equal(again.filter(milestone => milestone.type === 'beta_reviews').length, 1);
+});
+
+test('finds the launch phase by the schedule\'s marker, whatever its key', async () => {
+  const { database, manager } = await setUp();
+  const generator = new CampaignGenerator(null, null, {
+    phaseTemplates: {
+      release_first: {
+        phases: [
+          { key: 'warmup', name: 'Warm-up', durationDays: 14, milestones: [{ day: 0, task: 'Cover reveal', type: 'launch' }] },
+          { key: 'release', name: 'Release', durationDays: 7, startsAtLaunch: true, milestones: [{ day: 0, task: 'Book goes live', type: 'launch' }] }
+        ]
+      }
+    }
+  });
+  const schedule = await generator.generateCampaignSchedule(
+    { launchDate: '2099-12-01' }, null, generator.resolvePhaseTemplate('release_first'), everyDay
+  );
+  const campaign = await database.saveCampaign({ bookId: 'b1', schedule, calendar: everyDay.toConfig() });
+
+  const result = await manager.handOffToLaunch('b1', campaign._id);
+
+  assert.equal(schedule.launchPhase, 'release');
+  assert.equal(result.milestoneDay, '2099-12-02');
+  const { phases } = (await database.getCampaign(campaign._id)).schedule;
+  assert.equal(phases.release.milestones.filter(milestone => milestone.type === 'beta_reviews').length, 1);
+  assert.ok(phases.warmup.milestones.every(milestone => milestone.type !== 'beta_reviews'));
+});
+
+test('refuses a campaign that belongs to another book', async () => {
+  const { manager, campaignId } = await setUp();
+
+  await assert.rejects(manager.handOffToLaunch('b2', campaignId), /belongs to book b1, not b2/);
+});
+
+test('imports committed reviewers as consenting ARC readers for solicitation', async () => {
+  const { database, manager, campaignId } = await setUp();
+  const solicitation = new ReviewSolicitationScheduler(database);
+
+  await manager.handOffToLaunch('b1', campaignId, { solicitation, now: new Date('2099-12-01') });
+
+  const log = await solicitation.getAuditLog({ bookId: 'b1' });
+  assert.deepEqual(log.map(entry => [entry.email, entry.action, entry.reason]).sort(), [
+    ['ada@example.com', 'consent_granted', 'beta_review_commitment'],
+    ['bo@example.com', 'consent_granted', 'beta_review_commitment']
+  ]);
+});
+
+test('refuses a campaign without a launch phase', async () => {
+  const { database, manager } = await setUp();
+  const campaign = await database.saveCampaign({
+    bookId: 'b1',
+    schedule: { phases: { preorder: { milestones: [{ date: new Date('2099-09-01'), type: 'launch' }] } } }
+  });
+
+  await assert.rejects(manager.handOffToLaunch('b1', campaign._id), /has no launch milestone/);
+  await assert.rejects(manager.handOffToLaunch('b1', 'missing'), /Campaign not found: missing/);
+});
@@ -0,0 +1,376 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { BookImporter } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+const validBook = {
+  title: 'The A-Z Guide to Ethical AI Success',
+  author: 'Sotiris Spyrou',
+  isbn: '9780306406157',
+  price: 14.99,
+  launchDate: '2099-12-01'
+};
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempFile(name, contents) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-importer-'));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, contents);
+  return filePath;
+}
+
+function createImporter() {
+  const db = new MemoryDb();
+  const importer = new BookImporter(db);
+  importer.profilesPath = path.join(os.tmpdir(), 'no-such-import-profiles.json');
+  return { db, importer };
+}
+
+test('imports a JSON array and reports rejected entries by index', async () => {
+  const { db, importer } = createImporter();
+  const filePath = await tempFile('books.json', JSON.stringify([validBook, { ...validBook, isbn: '', title: '' }]));
+
+  const report = await importer.import(filePath, 'user-1');
+
+  assert.equal(report.format, 'json');
+  assert.equal(report.total, 2);
+  assert.equal(report.accepted, 1);
+  assert.deepEqual(report.rejected, [{ row: 1, title: null, errors: [{ field: 'title', reason: 'is required' }] }]);
+  const stored = await db.collection('books').find({ userId: 'user-1' }).toArray();
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].title, validBook.title);
+});
+
+test('accepts { books: [...] } JSON and rejects other shapes', async () => {
+  const { importer } = createImporter();
+
+  const wrapped = await tempFile('wrapped.json', JSON.stringify({ books: [validBook] }));
+  assert.equal((await importer.import(wrapped, 'user-1')).accepted, 1);
+
+  const invalid = await tempFile('invalid.json', JSON.stringify({ title: 'Not a list' }));
+  await assert.rejects(importer.import(invalid, 'user-1'), /must be an array of books/);
+});
+
+test('numbers CSV rows from the first data row after the header', async () => {
+  const { importer } = createImporter();
+  const filePath = await tempFile('books.csv', [
+    'title,author,isbn,price,launchDate',
+    `${validBook.title},${validBook.author},${validBook.isbn},14.99,2099-12-01`,
+    'Second Book,Someone,9780306406158,14.99,2099-12-01'
+  ].join('\n'));
+
+  const report = await importer.import(filePath, 'user-1');
+
+  assert.equal(report.accepted, 1);
+  assert.equal(report.rejected[0].row, 3);
+  assert.equal(report.rejected[0].errors[0].field, 'isbn');
+});
+
+test('imports the first sheet of an XLSX workbook', async () => {
+  const XLSX = require('xlsx');
+  const { importer } = createImporter();
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ ...validBook, price: 9.99 }]), 'Books');
+  const filePath = await tempFile('books.xlsx', XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+
+  const report = await importer.import(filePath, 'user-1');
+
+  assert.equal(report.format, 'xlsx');
+  assert.equal(report.accepted, 1);
+  assert.equal(report.created[0].title, validBook.title);
+});
+
+test('refuses unsupported file formats', async () => {
+  const { importer } = createImporter();
+  await assert.rejects(importer.import('books.txt', 'user-1'), /Unsupported import format: txt/);
+});
+
+test('updates books matched by ISBN and reports unchanged ones', async () => {
+  const { db, importer } = createImporter();
+  const first = await tempFile('first.json', JSON.stringify([validBook]));
+  const second = await tempFile('second.json', JSON.stringify([{ ...validBook, price: 19.99 }]));
+
+  await importer.import(first, 'user-1');
+  const unchanged = await importer.import(first, 'user-1');
+  const updated = await importer.import(second, 'user-1');
+
+  assert.equal(unchanged.unchanged.length, 1);
+  assert.deepEqual(updated.updated[0].changes, { price: { from: 14.99, to: 19.99 } });
+  assert.equal(await db.collection('books').countDocuments({}), 1);
+});
+
+test('matches books without an ISBN by normalized title and author across runs', async () => {
+  const { db, importer } = createImporter();
+  const book = { ...validBook, isbn: '' };
+  const first = await tempFile('first.json', JSON.stringify([{ ...book, title: 'The Book' }]));
+  const second = await tempFile('second.json', JSON.stringify([{ ...book, title: 'the  book ', author: ` ${book.author.toUpperCase()}` }]));
+
+  await importer.import(first, 'user-1');
+  const report = await importer.import(second, 'user-1');
+
+  assert.equal(report.created.length, 0);
+  assert.equal(report.updated.length, 1);
+  assert.equal(await db.collection('books').countDocuments({}), 1);
+});
+
+test('matches a book imported without an ISBN when a later file adds one', async () => {
+  const { db, importer } = createImporter();
+  const first = await tempFile('first.json', JSON.stringify([{ ...validBook, isbn: '' }]));
+  const second = await tempFile('second.json', JSON.stringify([validBook]));
+  const third = await tempFile('third.json', JSON.stringify([{ ...validBook, price: 19.99 }]));
+
+  await importer.import(first, 'user-1');
+  const added = await importer.import(second, 'user-1');
+  const updated = await importer.import(third, 'user-1');
+
+  assert.deepEqual(added.updated[0].changes.isbn, { from: '', to: validBook.isbn });
+  assert.equal(updated.updated.length, 1);
+  assert.equal(await db.collection('books').countDocuments({}), 1);
+});
+
+test('matches on ASIN before title and keeps other editions apart', async () => {
+  const { db, importer } = createImporter();
+  const ebook = { ...validBook, isbn: '', asin: 'b0testasin' };
+  const first = await tempFile('first.json', JSON.stringify([ebook]));
+  const renamed = await tempFile('renamed.json', JSON.stringify([{ ...ebook, title: 'Ethical AI Success' }]));
+  const paperback = await tempFile('paperback.json', JSON.stringify([{ ...validBook, title: 'Ethical AI Success', isbn: '9781861972712' }]));
+
+  const created = await importer.import(first, 'user-1');
+  await db.collection('books').updateOne({}, { $set: { 'kdpSettings.categories': ['Business'] } });
+  const report = await importer.import(renamed, 'user-1');
+
+  assert.equal(created.created[0].key, 'asin:B0TESTASIN');
+  assert.deepEqual(Object.keys(report.updated[0].changes), ['title']);
+  assert.deepEqual((await db.collection('books').findOne({})).kdpSettings, { asin: 'B0TESTASIN', categories: ['Business'] });
+
+  // Same title and author, but an ISBN the ebook record does not have: matched by title, gains the ISBN
+  const matched = await importer.import(paperback, 'user-1');
+  assert.equal(matched.updated.length, 1);
+
+  // A second edition with another ISBN is a new book
+  const edition = await tempFile('edition.json', JSON.stringify([{ ...validBook, title: 'Ethical AI Success' }]));
+  const second = await importer.import(edition, 'user-1');
+  assert.equal(second.created.length, 1);
+  assert.equal(await db.collection('books').countDocuments({}), 2);
+});
+
+test('rejects the second copy of a book within one file', async () => {
+  const { importer } = createImporter();
+  const filePath = await tempFile('dupes.json', JSON.stringify([
+    { ...validBook, isbn: '', title: 'The Book' },
+    { ...validBook, isbn: '', title: 'the book ' }
+  ]));
+
+  const report = await importer.import(filePath, 'user-1');
+
+  assert.equal(report.accepted, 1);
+  assert.deepEqual(report.rejected[0].errors, [{ field: 'title', reason: 'duplicates row 0' }]);
+});
+
+test('dry runs report the diff without writing', async () => {
+  const { db, importer } = createImporter();
+  const filePath = await tempFile('books.json', JSON.stringify([validBook]));
+
+  const report = await importer.import(filePath, 'user-1', { dryRun: true });
+
+  assert.equal(report.dryRun, true);
+  assert.equal(report.created.length, 1);
+  assert.equal(await db.collection('books').countDocuments({}), 0);
+});
+
+test('parses prices with decimal commas and thousands separators', () => {
+  const { importer } = createImporter();
+
+  assert.equal(importer.parseOptionalNumber('12,99'), 12.99);
+  assert.equal(importer.parseOptionalNumber('€ 9,99'), 9.99);
+  assert.equal(importer.parseOptionalNumber('1.299,00'), 1299);
+  assert.equal(importer.parseOptionalNumber('$1,299.00'), 1299);
+  assert.equal(importer.parseOptionalNumber('14.99'), 14.99);
+  assert.equal(importer.parseOptionalNumber(''), null);
+});
+
+test('leaves ambiguous or malformed prices as NaN for validation to reject', () => {
+  const { importer } = createImporter();
+
+  assert.ok(Number.isNaN(importer.parseOptionalNumber('1,299')));
+  assert.ok(Number.isNaN(importer.parseOptionalNumber('12,3,4')));
+  assert.ok(Number.isNaN(importer.parseOptionalNumber('free')));
+});
+
+test('keeps leading zeros of ISBN-10s in CSV files', async () => {
+  const { importer } = createImporter();
+  const filePath = await tempFile('isbn10.csv', [
+    'title,author,isbn,price,launchDate',
+    `${validBook.title},${validBook.author},0306406152,"12,99",2099-12-01`
+  ].join('\n'));
+
+  const report = await importer.import(filePath, 'user-1');
+
+  assert.equal(report.rejected.length, 0);
+  assert.equal(report.created[0].key, 'isbn:0306406152');
+});
+
+test('reads XLSX ISBN cells as text, keeping leading zeros and long numbers', async () => {
+  const XLSX = require('xlsx');
+  const { importer } = createImporter();
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['title', 'author', 'isbn', 'price', 'launchDate'],
+    ['Formatted ISBN-10', validBook.author, 306406152, 9.99, '2099-12-01'],
+    ['General ISBN-10', validBook.author, 306406152, 9.99, '2099-12-01'],
+    ['General ISBN-13', validBook.author, 9780306406157, 9.99, '2099-12-01']
+  ]);
+  sheet.C2.z = '0000000000';
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Books');
+  const filePath = await tempFile('isbn.xlsx', XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+
+  const report = await importer.import(filePath, 'user-1');
+
+  assert.deepEqual(report.created.map(entry => entry.key), ['isbn:0306406152', 'isbn:9780306406157']);
+  assert.deepEqual(report.rejected.map(entry => entry.row), [3]);
+});
+
+const distributorProfile = {
+  distributor: {
+    currency: 'USD',
+    rates: { GBP: 1.25 },
+    columns: {
+      title: 'Product Title',
+      author: ['Contributor 1', 'Author'],
+      price: { column: 'List Price (GBP)', transform: 'currency', from: 'GBP' },
+      keywords: { columns: ['Keywords'], transform: 'split', separator: ';' },
+      launchDate: { column: 'Pub Date', transform: 'date', format: 'DD/MM/YYYY' }
+    }
+  }
+};
+
+test('loads named profiles from the profiles file next to the built-in default', async () => {
+  const { importer } = createImporter();
+  importer.profilesPath = await tempFile('import-profiles.json', JSON.stringify(distributorProfile));
+
+  assert.equal((await importer.loadProfile('distributor')).columns.title, 'Product Title');
+  assert.ok((await importer.loadProfile()).columns.isbn);
+  await assert.rejects(importer.loadProfile('missing'), /Unknown import profile: missing \(available: default, distributor\)/);
+});
+
+test('maps distributor columns with split, date and currency transforms', async () => {
+  const { importer } = createImporter();
+  importer.profilesPath = await tempFile('import-profiles.json', JSON.stringify(distributorProfile));
+  const profile = await importer.loadProfile('distributor');
+
+  const book = importer.mapCSVRowToBook({
+    'Product Title': 'Distributed Book',
+    Author: 'Fallback Author',
+    'List Price (GBP)': '£11.99',
+    Keywords: 'ai; ethics ;',
+    'Pub Date': '01/12/2099'
+  }, 'user-1', profile);
+
+  assert.equal(book.title, 'Distributed Book');
+  assert.equal(book.author, 'Fallback Author');
+  assert.equal(book.price, 14.99);
+  assert.deepEqual(book.keywords, ['ai', 'ethics']);
+  assert.equal(book.launchDate.toISOString(), '2099-12-01T00:00:00.000Z');
+});
+
+test('reports unknown transforms and missing exchange rates', async () => {
+  const { importer } = createImporter();
+  const profile = { name: 'broken', currency: 'USD', columns: { price: { column: 'Price', transform: 'currency', from: 'EUR' } } };
+
+  assert.throws(() => importer.mapCSVRowToBook({ Price: '10' }, 'user-1', profile), /has no exchange rate for EUR -> USD/);
+  profile.columns.price.transform = 'upper';
+  assert.throws(() => importer.mapCSVRowToBook({ Price: '10' }, 'user-1', profile), /Unknown transform "upper" for column Price/);
+});
+
+test('parses dates with two-digit years and single-digit fields', () => {
+  const { importer } = createImporter();
+
+  assert.equal(importer.parseDateWithFormat('3/7/27', 'D/M/YY').toISOString(), '2027-07-03T00:00:00.000Z');
+  assert.ok(Number.isNaN(importer.parseDateWithFormat('2027-07-03', 'DD/MM/YYYY').getTime()));
+});
+
+function onixProduct({ isbn, title, productForm = 'BC' }) {
+  return `
+  <Product>
+    <RecordReference>${isbn}</RecordReference>
+    <ProductIdentifier><ProductIDType>15</ProductIDType><IDValue>${isbn}</IDValue></ProductIdentifier>
+    <DescriptiveDetail>
+      <ProductComposition>00</ProductComposition>
+      <ProductForm>${productForm}</ProductForm>
+      <TitleDetail><TitleType>01</TitleType>${title === undefined ? '' : `<TitleElement><TitleElementLevel>01</TitleElementLevel><TitleText>${title}</TitleText></TitleElement>`}</TitleDetail>
+      <Contributor><SequenceNumber>1</SequenceNumber><ContributorRole>A01</ContributorRole><PersonName>Sotiris Spyrou</PersonName></Contributor>
+      <Subject><MainSubject/><SubjectSchemeIdentifier>10</SubjectSchemeIdentifier><SubjectCode>BUS000000</SubjectCode><SubjectHeadingText>Business</SubjectHeadingText></Subject>
+    </DescriptiveDetail>
+    <PublishingDetail><PublishingDate><PublishingDateRole>01</PublishingDateRole><Date>20991201</Date></PublishingDate></PublishingDetail>
+    <ProductSupply><SupplyDetail><Price><PriceType>01</PriceType><PriceAmount>14.99</PriceAmount><CurrencyCode>GBP</CurrencyCode></Price></SupplyDetail></ProductSupply>
+  </Product>`;
+}
+
+function onixMessage(products) {
+  return `<?xml version="1.0"?><ONIXMessage release="3.0" xmlns="http://ns.editeur.org/onix/3.0/reference"><Header/>${products.join('')}</ONIXMessage>`;
+}
+
+test('maps ONIX products onto the book model', async () => {
+  const { db, importer } = createImporter();
+  const filePath = await tempFile('feed.xml', onixMessage([onixProduct({ isbn: '9780306406157', title: 'ONIX Book' })]));
+
+  const report = await importer.import(filePath, 'user-1');
+  const [book] = await db.collection('books').find({}).toArray();
+
+  assert.equal(report.accepted, 1);
+  assert.equal(book.title, 'ONIX Book');
+  assert.equal(book.author, 'Sotiris Spyrou');
+  assert.equal(book.isbn, '9780306406157');
+  assert.equal(book.genre, 'Business');
+  assert.deepEqual(book.categories, ['BUS000000']);
+  assert.equal(book.price, 14.99);
+  assert.equal(book.currency, 'GBP');
+  assert.equal(book.format, 'paperback');
+  assert.equal(book.launchDate.toISOString(), '2099-12-01T00:00:00.000Z');
+});
+
+test('rejects ONIX products without a title element instead of failing the feed', async () => {
+  const { importer } = createImporter();
+  const filePath = await tempFile('feed.xml', onixMessage([
+    onixProduct({ isbn: '9780306406157', title: undefined }),
+    onixProduct({ isbn: '9780141036144', title: 'Second' })
+  ]));
+
+  const report = await importer.import(filePath, 'user-1');
+
+  assert.equal(report.accepted, 1);
+  assert.deepEqual(report.rejected, [{ row: 1, title: null, errors: [{ field: 'title', reason: 'is required' }] }]);
+});
+
+test('refuses short-tag ONIX and non-ONIX XML', () => {
+  const { importer } = createImporter();
+
+  assert.throws(() => importer.parseONIX('<ONIXmessage><x/></ONIXmessage>'), /Short-tag ONIX is not supported/);
+  assert.throws(() => importer.parseONIX('<catalog/>'), /missing <ONIXMessage> root/);
+});
+
+test('exports ProductForm from the book format and round-trips through import', async () => {
+  const { importer } = createImporter();
+  const books = [
+    { ...validBook, _id: 'b1', format: 'hardcover', currency: 'USD' },
+    { ...validBook, _id: 'b2', isbn: '9780141036144', format: 'ebook', currency: 'USD' },
+    { ...validBook, _id: 'b3', isbn: '' }
+  ];
+
+  const xml = importer.buildONIXMessage(books, { sentAt: new Date('2026-01-01') });
+  const rows = importer.parseONIX(xml).Product.map(product => importer.mapONIXProductToRow(product));
+
+  assert.deepEqual(importer.parseONIX(xml).Product.map(product => product.DescriptiveDetail.ProductForm), ['BB', 'ED', '00']);
+  assert.deepEqual(rows.map(row => row.format), ['hardcover', 'ebook', undefined]);
+  assert.equal(rows[0].title, validBook.title);
+  assert.equal(rows[0].isbn, validBook.isbn);
+  assert.equal(rows[0].price, '14.99');
+});
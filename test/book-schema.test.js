@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BookValidator } = require('../scripts/setup');
+
+const now = new Date('2026-01-01T00:00:00Z');
+const validBook = {
+  title: 'The A-Z Guide to Ethical AI Success',
+  author: 'Sotiris Spyrou',
+  price: 14.99,
+  launchDate: '2026-12-01'
+};
+
+function errorsFor(book, options = {}) {
+  return new BookValidator().validate({ ...validBook, ...book }, { now, ...options });
+}
+
+test('accepts a complete book', () => {
+  assert.deepEqual(errorsFor({}), []);
+});
+
+test('checks ISBN-10 and ISBN-13 check digits', () => {
+  const validator = new BookValidator();
+
+  assert.equal(validator.checkISBN('0306406152'), null);
+  assert.equal(validator.checkISBN('080442957X'), null);
+  assert.equal(validator.checkISBN('9780306406157'), null);
+  assert.equal(validator.checkISBN('0306406153'), 'ISBN-10 checksum does not match');
+  assert.equal(validator.checkISBN('9780306406158'), 'ISBN-13 checksum does not match (expected check digit 7)');
+  assert.equal(validator.checkISBN('12345'), 'must be 10 or 13 digits (got "12345")');
+});
+
+test('names the failing field and the reason', () => {
+  assert.deepEqual(errorsFor({ title: '', isbn: '9780306406158' }), [
+    { field: 'title', reason: 'is required' },
+    { field: 'isbn', reason: 'ISBN-13 checksum does not match (expected check digit 7)' }
+  ]);
+});
+
+test('applies the price range of the book currency', () => {
+  assert.deepEqual(errorsFor({ price: 0.5 }), [{ field: 'price', reason: 'must be between 0.99 and 200 USD (got 0.5)' }]);
+  assert.deepEqual(errorsFor({ price: 99, currency: 'JPY' }), []);
+  assert.deepEqual(errorsFor({ price: 250, currency: 'GBP' }), [{ field: 'price', reason: 'must be between 0.77 and 150 GBP (got 250)' }]);
+  assert.deepEqual(errorsFor({ price: NaN }), [{ field: 'price', reason: 'is not a number (got "NaN")' }]);
+  assert.deepEqual(errorsFor({ currency: 'XYZ' }), [{ field: 'currency', reason: 'must be one of USD, GBP, EUR, CAD, AUD, INR, JPY (got "XYZ")' }]);
+});
+
+test('caps KDP keywords and categories', () => {
+  const keywords = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+  assert.deepEqual(errorsFor({ kdpSettings: { keywords, categories: ['1', '2', '3', '4'] } }), [
+    { field: 'kdpSettings.keywords', reason: 'must have at most 7 entries (got 8)' },
+    { field: 'kdpSettings.categories', reason: 'must have at most 3 entries (got 4)' }
+  ]);
+  assert.deepEqual(errorsFor({ keywords: ['x'.repeat(51)] }), [
+    { field: 'keywords', reason: `entry "${'x'.repeat(51)}" exceeds 50 characters` }
+  ]);
+});
+
+test('requires a future launch date unless past launches are allowed', () => {
+  assert.deepEqual(errorsFor({ launchDate: '2025-06-01' }), [{ field: 'launchDate', reason: 'must be in the future (got 2025-06-01)' }]);
+  assert.deepEqual(errorsFor({ launchDate: '2025-06-01' }, { allowPastLaunch: true }), []);
+  assert.deepEqual(errorsFor({ launchDate: 'soon' }), [{ field: 'launchDate', reason: 'is not a valid date (got "soon")' }]);
+});
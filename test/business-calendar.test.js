@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BusinessCalendar, CampaignGenerator } = require('../scripts/setup');
+
+test('keeps local wall-clock times across daylight saving changes', () => {
+  const london = new BusinessCalendar({ timezone: 'Europe/London' });
+  assert.equal(london.toInstant('2026-03-28', '09:00').toISOString(), '2026-03-28T09:00:00.000Z');
+  assert.equal(london.toInstant('2026-03-30', '09:00').toISOString(), '2026-03-30T08:00:00.000Z');
+  assert.equal(london.toInstant('2026-10-26', '09:00').toISOString(), '2026-10-26T09:00:00.000Z');
+
+  const newYork = new BusinessCalendar({ timezone: 'America/New_York' });
+  assert.equal(newYork.toInstant('2026-03-07').toISOString(), '2026-03-07T05:00:00.000Z');
+  assert.equal(newYork.toInstant('2026-03-09').toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(newYork.toLocalDay('2026-03-09T03:59:00Z'), '2026-03-08');
+});
+
+test('counts calendar days on local dates, not 24-hour steps', () => {
+  const london = new BusinessCalendar({ timezone: 'Europe/London' });
+  assert.equal(london.addDays('2026-03-28', 1), '2026-03-29');
+  assert.equal(london.addDays('2026-03-29', 1), '2026-03-30');
+  assert.equal(london.addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('adds business days over weekends and holidays in both directions', () => {
+  const calendar = new BusinessCalendar({ holidays: ['2026-12-25', '2026-12-28'] });
+
+  // Thursday 24th + 2 skips Christmas, the weekend and the 28th
+  assert.equal(calendar.addBusinessDays('2026-12-24', 2), '2026-12-30');
+  assert.equal(calendar.addBusinessDays('2026-12-30', -2), '2026-12-24');
+  assert.equal(calendar.addBusinessDays('2026-12-21', 0), '2026-12-21');
+  assert.equal(calendar.isWorkingDay('2026-12-25'), false);
+  assert.equal(calendar.isWorkingDay('2026-12-24'), true);
+});
+
+test('moves non-working days by the configured rule', () => {
+  const calendar = new BusinessCalendar();
+
+  // 2026-12-05 is a Saturday
+  assert.equal(calendar.adjust('2026-12-05'), '2026-12-07');
+  assert.equal(calendar.adjust('2026-12-05', 'previous'), '2026-12-04');
+  assert.equal(calendar.adjust('2026-12-05', 'nearest'), '2026-12-04');
+  assert.equal(calendar.adjust('2026-12-06', 'nearest'), '2026-12-07');
+  assert.equal(calendar.adjust('2026-12-05', 'none'), '2026-12-05');
+  assert.equal(calendar.adjust('2026-12-04'), '2026-12-04');
+});
+
+test('rejects unknown timezones, rules and empty working weeks', () => {
+  assert.throws(() => new BusinessCalendar({ timezone: 'Mars/Olympus' }), /Unknown timezone: Mars\/Olympus/);
+  assert.throws(() => new BusinessCalendar({ adjustment: 'skip' }), /Unknown non-working day rule: skip/);
+  assert.throws(() => new BusinessCalendar({ workingDays: [] }), /at least one working day/);
+
+  const mondays = Array.from({ length: 60 }, (_, week) => new BusinessCalendar().addDays('2026-12-07', (week - 5) * 7));
+  const closed = new BusinessCalendar({ workingDays: [1], holidays: mondays });
+  assert.throws(() => closed.adjust('2026-12-05'), /No working day within a year of 2026-12-05/);
+});
+
+test('schedules milestones in the campaign timezone and records moved days', async () => {
+  const generator = new CampaignGenerator(null, null);
+  const calendar = new BusinessCalendar({ timezone: 'Europe/London' });
+  const plan = generator.resolvePhaseTemplate('thought_leadership');
+
+  // Saturday launch: the launch milestone stays put, the rest move to Monday
+  const schedule = await generator.generateCampaignSchedule({ launchDate: '2026-10-24' }, null, plan, calendar);
+  const [live, social, press] = schedule.phases.launch.milestones;
+
+  assert.equal(schedule.timezone, 'Europe/London');
+  assert.equal(live.localDate, '2026-10-24');
+  assert.equal(live.date.toISOString(), '2026-10-23T23:00:00.000Z');
+  assert.equal(social.localDate, '2026-10-26');
+  assert.equal(social.movedFrom, '2026-10-25');
+  assert.equal(press.localDate, '2026-10-27');
+  assert.equal(press.allDay, false);
+  assert.equal(press.date.toISOString(), '2026-10-27T09:00:00.000Z');
+});
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CampaignGenerator, TemplateAIProvider } = require('../scripts/setup');
+require('./helpers/quiet-console');
+
+const book = {
+  _id: 'book-1',
+  userId: 'user-1',
+  title: 'The A-Z Guide to Ethical AI Success',
+  author: 'Sotiris Spyrou',
+  genre: 'Business',
+  targetAudience: 'managers',
+  description: 'A practical guide.',
+  keywords: ['ai', 'ethics'],
+  price: 14.99,
+  launchDate: '2099-12-01'
+};
+
+function createDatabase() {
+  const campaigns = new Map();
+  return {
+    campaigns,
+    getBook: async id => (id === book._id ? book : null),
+    getCampaign: async id => campaigns.get(id) || null,
+    saveCampaign: async campaign => {
+      const saved = { _id: `campaign-${campaigns.size + 1}`, ...campaign };
+      campaigns.set(saved._id, saved);
+      return saved;
+    },
+    updateCampaign: async (id, update) => {
+      const updated = { ...campaigns.get(id), ...update };
+      campaigns.set(id, updated);
+      return updated;
+    }
+  };
+}
+
+// Fails the listed types a given number of times before answering from templates
+function flakyProvider(failures = {}) {
+  const templates = new TemplateAIProvider();
+  const calls = {};
+  return {
+    calls,
+    async generateContent(userId, bookId, type, parameters) {
+      calls[type] = (calls[type] || 0) + 1;
+      if ((failures[type] || 0) >= calls[type]) throw new Error(`${type} unavailable`);
+      return templates.generateContent(userId, bookId, type, parameters);
+    }
+  };
+}
+
+test('retries failed content types and records a status per item', async () => {
+  const ai = flakyProvider({ press_release: 1, speaker_bio: 5 });
+  const generator = new CampaignGenerator(ai, createDatabase(), { retries: 2, retryDelay: 1 });
+
+  const content = await generator.generateCampaignContent(book, { types: ['press_release', 'speaker_bio', 'amazon_description'] });
+
+  assert.equal(content.press_release.status, 'generated');
+  assert.equal(content.press_release.attempts, 2);
+  assert.match(content.press_release.value, /FOR IMMEDIATE RELEASE/);
+  assert.equal(content.amazon_description.attempts, 1);
+  assert.equal(content.speaker_bio.status, 'failed');
+  assert.equal(content.speaker_bio.attempts, 3);
+  assert.equal(content.speaker_bio.error, 'speaker_bio unavailable');
+  assert.equal(content.speaker_bio.value, null);
+});
+
+test('treats output that breaks the content schema as a failed attempt', async () => {
+  const ai = { generateContent: async () => 'x'.repeat(1501) };
+  const generator = new CampaignGenerator(ai, createDatabase(), { retries: 0, retryDelay: 1 });
+
+  const content = await generator.generateCampaignContent(book, { types: ['speaker_bio'] });
+
+  assert.equal(content.speaker_bio.status, 'failed');
+  assert.match(content.speaker_bio.error, /speaker_bio must be at most 1500 characters/);
+});
+
+test('generates at most `concurrency` items at a time', async () => {
+  let running = 0;
+  let peak = 0;
+  const ai = {
+    async generateContent() {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return 'Short enough';
+    }
+  };
+  const generator = new CampaignGenerator(ai, createDatabase(), { concurrency: 2 });
+
+  await generator.generateCampaignContent(book, { types: ['amazon_description', 'press_release', 'speaker_bio'] });
+
+  assert.equal(peak, 2);
+});
+
+test('regenerateContent fills only the failed items of a saved campaign', async () => {
+  const db = createDatabase();
+  const ai = flakyProvider({ speaker_bio: 3 });
+  const generator = new CampaignGenerator(ai, db, { retries: 2, retryDelay: 1 });
+  const saved = await generator.generateFullCampaign(book._id, { contentTypes: ['press_release', 'speaker_bio'] });
+  assert.equal(saved.content.speaker_bio.status, 'failed');
+
+  const updated = await generator.regenerateContent(saved._id);
+
+  assert.equal(updated.content.speaker_bio.status, 'generated');
+  assert.equal(ai.calls.press_release, 1);
+  assert.equal(ai.calls.speaker_bio, 4);
+  assert.equal(db.campaigns.size, 1);
+});
+
+test('regenerateContent rejects an unknown type before generating anything', async () => {
+  const db = createDatabase();
+  const ai = flakyProvider({});
+  const generator = new CampaignGenerator(ai, db, { retries: 0, retryDelay: 1 });
+  const saved = await generator.generateFullCampaign(book._id, { contentTypes: ['press_release'] });
+
+  await assert.rejects(generator.regenerateContent(saved._id, ['press_release', 'haiku']), /Unknown content type: haiku/);
+
+  assert.equal(ai.calls.press_release, 1);
+  assert.equal(db.campaigns.get(saved._id).content.press_release.versions.length, 1);
+});
@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CampaignMetricsTracker, CampaignGenerator, MetricsStore } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+const DAY = 24 * 60 * 60 * 1000;
+const launch = new Date('2099-12-01T00:00:00Z');
+const generator = new CampaignGenerator(null, null);
+
+async function createCampaign(overrides = {}) {
+  const plan = generator.resolvePhaseTemplate('thought_leadership');
+  return {
+    _id: 'campaign-1',
+    bookId: 'book-1',
+    schedule: await generator.generateCampaignSchedule({}, '2099-12-01', plan),
+    metrics: generator.initializeCampaignMetrics(),
+    ...overrides
+  };
+}
+
+function createDatabase(campaign) {
+  const memory = new MemoryDb();
+  const campaigns = new Map([[campaign._id, campaign]]);
+  return {
+    campaigns,
+    collection: name => memory.collection(name),
+    getCampaign: async id => campaigns.get(id) || null,
+    updateCampaign: async (id, update) => campaigns.set(id, { ...campaigns.get(id), ...update })
+  };
+}
+
+const snapshot = { sales: { totals: { units: 9000, revenue: 90000 } }, reviews: { count: 3 } };
+
+// Daily sales as a connector would record them, at 10 per unit
+async function sell(db, units, date = '2099-12-05') {
+  await new MetricsStore(db).recordPoints('book-1', 'kdp', [
+    { metric: 'units', date, value: units },
+    { metric: 'revenue', date, value: units * 10 }
+  ]);
+}
+
+test('rolls up synced metrics and paces sales from launch', async () => {
+  const db = createDatabase(await createCampaign());
+  const tracker = new CampaignMetricsTracker(db);
+  await sell(db, 400);
+  await sell(db, 50, '2100-01-12');
+
+  // Day 42 of the 84-day window since launch: half of the 1000-unit goal is expected
+  const { metrics } = await tracker.rollUp('campaign-1', snapshot, { now: new Date(launch.getTime() + 42 * DAY) });
+
+  assert.equal(metrics.actual.bookSales, 450);
+  assert.equal(metrics.progress.bookSales.expected, 500);
+  assert.equal(metrics.progress.bookSales.status, 'on_track');
+  assert.deepEqual(metrics.sales, { units: 450, revenue: 4500, since: '2099-12-01', until: '2100-01-12', syncedAt: metrics.updatedAt });
+  assert.deepEqual(db.campaigns.get('campaign-1').metrics, metrics);
+});
+
+test('counts only sales made during the campaign, not the book\'s backlist sales', async () => {
+  const db = createDatabase(await createCampaign());
+  const tracker = new CampaignMetricsTracker(db);
+  await sell(db, 5000, '2099-06-01');
+  await sell(db, 30, '2099-11-30');
+  await sell(db, 20, '2099-12-01');
+  await sell(db, 70, '2100-03-01');
+
+  const { metrics } = await tracker.rollUp('campaign-1', snapshot, { now: new Date('2100-06-01T00:00:00Z') });
+
+  // Launch to the end of the 84-day post-launch window
+  assert.equal(metrics.actual.bookSales, 20);
+  assert.deepEqual([metrics.sales.revenue, metrics.sales.since, metrics.sales.until], [200, '2099-12-01', '2100-02-22']);
+  assert.equal(metrics.progress.bookSales.progress, 0.02);
+});
+
+test('alerts once a day when a metric falls behind', async () => {
+  const db = createDatabase(await createCampaign());
+  const tracker = new CampaignMetricsTracker(db);
+  const notified = [];
+  tracker.notifier = { notifyPacingAlert: async alert => notified.push(alert) };
+  const now = new Date(launch.getTime() + 42 * DAY);
+
+  await sell(db, 100);
+
+  const first = await tracker.rollUp('campaign-1', snapshot, { now });
+  const second = await tracker.rollUp('campaign-1', snapshot, { now: new Date(now.getTime() + 60 * 60 * 1000) });
+
+  assert.deepEqual(first.alerts.map(alert => alert.metric), ['bookSales']);
+  assert.match(first.alerts[0].message, /bookSales is 80% behind/);
+  assert.deepEqual(second.alerts, []);
+  assert.equal(notified.length, 1);
+});
+
+test('does not pace hand-entered goals until a value is recorded', async () => {
+  const db = createDatabase(await createCampaign());
+  const tracker = new CampaignMetricsTracker(db);
+  const now = new Date(launch.getTime() + 42 * DAY);
+  await sell(db, 600);
+
+  const before = await tracker.rollUp('campaign-1', snapshot, { now });
+  for (const metric of ['emailSignups', 'socialFollowers', 'speakingGigs', 'mediaFeatures']) {
+    assert.equal(before.metrics.progress[metric].status, 'awaiting_entry');
+  }
+  assert.deepEqual(before.alerts, []);
+
+  await tracker.recordManualMetric('campaign-1', 'speakingGigs', 0, { now });
+  const after = await tracker.rollUp('campaign-1', snapshot, { now: new Date(now.getTime() + DAY) });
+
+  assert.equal(after.metrics.actual.speakingGigs, 0);
+  assert.equal(after.metrics.progress.speakingGigs.status, 'behind');
+  assert.deepEqual(after.alerts.map(alert => alert.metric), ['speakingGigs']);
+});
+
+test('rejects manual entries for synced metrics, unknown goals and bad values', async () => {
+  const tracker = new CampaignMetricsTracker(createDatabase(await createCampaign()));
+
+  await assert.rejects(tracker.recordManualMetric('campaign-1', 'bookSales', 10), /rolled up from analytics sync/);
+  await assert.rejects(tracker.recordManualMetric('campaign-1', 'podcasts', 1), /has no podcasts goal/);
+  await assert.rejects(tracker.recordManualMetric('campaign-1', 'mediaFeatures', -1), /non-negative number/);
+  await assert.rejects(tracker.recordManualMetric('missing', 'mediaFeatures', 1), /Campaign not found: missing/);
+});
+
+test('records actuals without pacing when the campaign has no schedule', async () => {
+  const db = createDatabase(await createCampaign({ schedule: undefined, createdAt: new Date('2099-12-02T10:00:00Z') }));
+  const tracker = new CampaignMetricsTracker(db);
+  await sell(db, 500, '2099-12-01');
+  await sell(db, 20, '2099-12-03');
+
+  const { metrics, alerts } = await tracker.rollUp('campaign-1', snapshot, { now: new Date('2099-12-10T00:00:00Z') });
+
+  assert.equal(metrics.actual.bookSales, 20);
+  assert.equal(metrics.progress, null);
+  assert.deepEqual(alerts, []);
+});
+
+test('front-loaded curves expect more progress early in the window', async () => {
+  const campaign = await createCampaign();
+  campaign.metrics.pacing = { bookSales: { from: 'launch', curve: 'front_loaded' } };
+  const tracker = new CampaignMetricsTracker(null);
+
+  const progress = tracker.computePacing(campaign, new Date(launch.getTime() + 21 * DAY));
+
+  assert.equal(progress.bookSales.expected, 500);
+  assert.equal(progress.bookSales.from, 'launch');
+  assert.equal(tracker.computePacing(campaign, new Date(launch.getTime() - DAY)).bookSales.status, 'not_started');
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CampaignGenerator, BusinessCalendar } = require('../scripts/setup');
+
+const book = { _id: 'book-1', title: 'Test Book', launchDate: '2099-12-01' };
+// Every day a working day, so no milestone moves and offsets read as calendar days
+const everyDay = new BusinessCalendar({ workingDays: [0, 1, 2, 3, 4, 5, 6] });
+
+function daysFromLaunch(date) {
+  return (new Date(date) - new Date('2099-12-01T00:00:00Z')) / (24 * 60 * 60 * 1000);
+}
+
+test('the default template reproduces the original launch schedule', async () => {
+  const generator = new CampaignGenerator(null, null);
+  const plan = generator.resolvePhaseTemplate('thought_leadership');
+  const schedule = await generator.generateCampaignSchedule(book, null, plan, everyDay);
+
+  const bounds = Object.fromEntries(Object.entries(schedule.phases)
+    .map(([key, phase]) => [key, [daysFromLaunch(phase.start), daysFromLaunch(phase.end)]]));
+  assert.deepEqual(bounds, { prelaunch: [-28, 0], launch: [0, 7], postlaunch: [7, 84] });
+
+  const offsets = key => schedule.phases[key].milestones.map(m => Math.floor(daysFromLaunch(m.date)));
+  assert.deepEqual(offsets('prelaunch'), [-28, -21, -14, -7]);
+  assert.deepEqual(offsets('launch'), [0, 1, 2, 7]);
+  assert.deepEqual(offsets('postlaunch'), [14, 30, 60, 84]);
+
+  const phases = await generator.generateCampaignPhases(book, plan);
+  assert.deepEqual(phases.map(phase => phase.duration), ['4 weeks', '1 week', '11 weeks']);
+});
+
+test('every template labels phases by their length and keeps milestones inside them', async () => {
+  const generator = new CampaignGenerator(null, null);
+
+  for (const strategy of Object.keys(generator.phaseTemplates)) {
+    const plan = generator.resolvePhaseTemplate(strategy);
+    const schedule = await generator.generateCampaignSchedule(book, null, plan, everyDay);
+
+    const phases = await generator.generateCampaignPhases(book, plan);
+    assert.deepEqual(phases.map(phase => phase.duration), plan.map(phase => generator.formatDuration(phase.durationDays)), strategy);
+
+    for (const [key, phase] of Object.entries(schedule.phases)) {
+      for (const milestone of phase.milestones) {
+        assert.ok(
+          new Date(milestone.date) >= new Date(phase.start) && daysFromLaunch(milestone.localDate) <= daysFromLaunch(phase.end),
+          `${strategy} ${key}: "${milestone.task}" on ${milestone.localDate} falls outside the phase`
+        );
+      }
+    }
+  }
+});
+
+test('phase overrides replace template fields and relabel changed durations', async () => {
+  const generator = new CampaignGenerator(null, null);
+  const plan = generator.resolvePhaseTemplate('thought_leadership', {
+    prelaunch: { durationDays: 42 },
+    postlaunch: { durationDays: 30 }
+  });
+  const schedule = await generator.generateCampaignSchedule(book, '2099-12-01', plan, everyDay);
+
+  assert.equal(daysFromLaunch(schedule.phases.prelaunch.start), -42);
+  assert.equal(daysFromLaunch(schedule.phases.postlaunch.end), 37);
+
+  const phases = await generator.generateCampaignPhases(book, plan);
+  assert.deepEqual(phases.map(phase => phase.duration), ['6 weeks', '1 week', '30 days']);
+});
+
+test('earlier phases end on the launch date for other strategies', async () => {
+  const generator = new CampaignGenerator(null, null);
+  const plan = generator.resolvePhaseTemplate('preorder_90_day');
+  const schedule = await generator.generateCampaignSchedule(book, null, plan, everyDay);
+
+  assert.equal(daysFromLaunch(schedule.phases.preorder.start), -90);
+  assert.equal(daysFromLaunch(schedule.phases.preorder.end), 0);
+  assert.equal(daysFromLaunch(schedule.phases.launch.start), 0);
+});
+
+test('rejects unknown strategies, unknown phase overrides and templates without a launch phase', () => {
+  const generator = new CampaignGenerator(null, null);
+
+  assert.throws(() => generator.resolvePhaseTemplate('viral'), /Unknown campaign strategy: viral/);
+  assert.throws(
+    () => generator.resolvePhaseTemplate('thought_leadership', { teaser: { durationDays: 3 } }),
+    /unknown phases in thought_leadership: teaser/
+  );
+
+  generator.phaseTemplates = { ...generator.phaseTemplates, flat: { phases: [{ key: 'only', durationDays: 7 }] } };
+  assert.throws(() => generator.resolvePhaseTemplate('flat'), /exactly one phase as startsAtLaunch/);
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CampaignGenerator, ContentApprovalWorkflow, TemplateAIProvider } = require('../scripts/setup');
+require('./helpers/quiet-console');
+
+const book = { _id: 'book-1', userId: 'user-1', title: 'T', author: 'A', genre: 'Business', targetAudience: 'managers', price: 9.99, launchDate: '2099-12-01' };
+
+function createDatabase() {
+  const campaigns = new Map();
+  return {
+    getBook: async id => (id === book._id ? book : null),
+    getCampaign: async id => structuredClone(campaigns.get(id)) || null,
+    saveCampaign: async campaign => {
+      const saved = { _id: `campaign-${campaigns.size + 1}`, ...campaign };
+      campaigns.set(saved._id, saved);
+      return saved;
+    },
+    updateCampaign: async (id, update) => {
+      campaigns.set(id, { ...campaigns.get(id), ...update });
+      return structuredClone(campaigns.get(id));
+    }
+  };
+}
+
+async function createCampaign(options = {}) {
+  const db = createDatabase();
+  const generator = new CampaignGenerator(new TemplateAIProvider(), db, { retryDelay: 1 });
+  const campaign = await generator.generateFullCampaign(book._id, { contentTypes: ['press_release', 'speaker_bio'], ...options });
+  return { db, generator, workflow: new ContentApprovalWorkflow(db), campaignId: campaign._id };
+}
+
+test('moves generated content through review to approval', async () => {
+  const { workflow, campaignId } = await createCampaign();
+
+  await workflow.submitForReview(campaignId, 'speaker_bio', { submittedBy: 'writer' });
+  const approved = await workflow.approve(campaignId, 'speaker_bio', { reviewer: 'editor', comment: 'Good' });
+
+  const item = approved.content.speaker_bio;
+  assert.equal(item.status, 'approved');
+  assert.equal(item.approvedBy, 'editor');
+  assert.deepEqual(item.comments.map(entry => [entry.action, entry.reviewer, entry.comment]), [['approve', 'editor', 'Good']]);
+});
+
+test('enforces the transition rules', async () => {
+  const { workflow, campaignId } = await createCampaign();
+
+  await assert.rejects(workflow.approve(campaignId, 'speaker_bio', { reviewer: 'editor' }),
+    /Cannot approve speaker_bio: status is generated \(expected in_review\)/);
+  await workflow.submitForReview(campaignId, 'speaker_bio');
+  await assert.rejects(workflow.approve(campaignId, 'speaker_bio'), /a reviewer is required/);
+  await assert.rejects(workflow.reject(campaignId, 'speaker_bio', { reviewer: 'editor' }), /a comment explaining the rejection is required/);
+
+  const rejected = await workflow.reject(campaignId, 'speaker_bio', { reviewer: 'editor', comment: 'Too long' });
+  assert.equal(rejected.content.speaker_bio.status, 'rejected');
+});
+
+test('revisions start a new draft version and can be diffed', async () => {
+  const { workflow, campaignId } = await createCampaign();
+
+  const revised = await workflow.reviseContent(campaignId, 'speaker_bio', 'A is the author of T.\nA speaks on AI.', { editor: 'editor' });
+  const diff = await workflow.diffVersions(campaignId, 'speaker_bio', 1);
+
+  assert.equal(revised.content.speaker_bio.status, 'draft');
+  assert.equal(revised.content.speaker_bio.version, 2);
+  assert.deepEqual(diff.changes, [
+    { op: '-', line: 'A is the author of T, a Business book.' },
+    { op: '+', line: 'A is the author of T.' },
+    { op: '+', line: 'A speaks on AI.' }
+  ]);
+  await assert.rejects(workflow.diffVersions(campaignId, 'speaker_bio', 7), /speaker_bio has no version 7/);
+});
+
+test('diffs lines by longest common subsequence', () => {
+  const workflow = new ContentApprovalWorkflow(createDatabase());
+
+  assert.deepEqual(workflow.diffLines(['a', 'b', 'c'], ['a', 'c', 'd']), [
+    { op: ' ', line: 'a' },
+    { op: '-', line: 'b' },
+    { op: ' ', line: 'c' },
+    { op: '+', line: 'd' }
+  ]);
+});
+
+test('refuses activation until every required item, and the press release, is approved', async () => {
+  const { workflow, campaignId } = await createCampaign({ requiredApprovals: ['speaker_bio'] });
+
+  await workflow.submitForReview(campaignId, 'speaker_bio');
+  await workflow.approve(campaignId, 'speaker_bio', { reviewer: 'editor' });
+  await assert.rejects(workflow.activateCampaign(campaignId), error => {
+    assert.deepEqual(error.unapproved, [{ type: 'press_release', status: 'generated' }]);
+    return true;
+  });
+
+  await workflow.submitForReview(campaignId, 'press_release');
+  await workflow.approve(campaignId, 'press_release', { reviewer: 'legal' });
+  assert.equal((await workflow.activateCampaign(campaignId)).status, 'active');
+});
+
+test('regenerateContent leaves content under review alone and records regenerating rejected content', async () => {
+  const { db, generator, workflow, campaignId } = await createCampaign();
+  await workflow.submitForReview(campaignId, 'speaker_bio');
+  await workflow.submitForReview(campaignId, 'press_release');
+  await workflow.reject(campaignId, 'press_release', { reviewer: 'legal', comment: 'Missing quote' });
+
+  await generator.regenerateContent(campaignId, ['speaker_bio', 'press_release']);
+  const { content } = await db.getCampaign(campaignId);
+
+  assert.equal(content.speaker_bio.status, 'in_review');
+  assert.equal(content.speaker_bio.version, 1);
+  assert.equal(content.press_release.status, 'generated');
+  assert.equal(content.press_release.version, 2);
+  assert.deepEqual(content.press_release.comments.map(entry => [entry.version, entry.action]), [[1, 'reject'], [1, 'regenerate']]);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ContentTypeRegistry } = require('../scripts/setup');
+
+test('selects explicit types, else every type serving a requested channel', () => {
+  const registry = new ContentTypeRegistry();
+
+  assert.deepEqual(registry.select({ types: ['speaker_bio'] }).map(type => type.name), ['speaker_bio']);
+  assert.deepEqual(registry.select({ channels: ['email', 'media'] }).map(type => type.name), ['email_sequences', 'press_release']);
+  assert.equal(registry.select().length, 6);
+  assert.throws(() => registry.select({ types: ['podcast_pitch'] }), /Unknown content type: podcast_pitch/);
+});
+
+test('registers new types without touching the defaults', () => {
+  const registry = new ContentTypeRegistry().register({
+    name: 'podcast_pitch',
+    fields: ['title', 'author'],
+    output: { type: 'text', maxLength: 800 },
+    channels: ['podcasts']
+  });
+
+  assert.deepEqual(registry.select({ channels: ['podcasts'] }).map(type => type.name), ['speaker_bio', 'podcast_pitch']);
+  assert.throws(() => registry.register({ name: 'broken', fields: [] }), /must declare name, fields, output and channels/);
+});
+
+test('passes only the declared book fields plus the output schema', () => {
+  const registry = new ContentTypeRegistry();
+  const definition = registry.get('speaker_bio');
+
+  const parameters = registry.buildParameters(definition, { title: 'T', author: 'A', price: 9.99, genre: 'Business' });
+
+  assert.deepEqual(parameters, { author: 'A', title: 'T', genre: 'Business', outputSchema: definition.output });
+});
+
+test('validates output against nested length and item limits', () => {
+  const registry = new ContentTypeRegistry();
+
+  assert.deepEqual(registry.validateOutput(registry.get('email_sequences'), [{ subject: 'Hi', body: 'Body' }]), []);
+  assert.deepEqual(registry.validateOutput(registry.get('email_sequences'), [{ subject: 'x'.repeat(151) }]), [
+    { field: 'email_sequences[0].subject', reason: 'must be at most 150 characters (got 151)' },
+    { field: 'email_sequences[0].body', reason: 'is missing' }
+  ]);
+  assert.deepEqual(registry.validateOutput(registry.get('social_media_posts'), 'not a list'), [
+    { field: 'social_media_posts', reason: 'must be a list' }
+  ]);
+  assert.deepEqual(registry.validateOutput(registry.get('social_media_posts'), Array(15).fill('post')), [
+    { field: 'social_media_posts', reason: 'must have at most 14 entries (got 15)' }
+  ]);
+});
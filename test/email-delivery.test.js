@@ -0,0 +1,145 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EmailDeliveryEngine, EmailTransport, MailchimpTransport, LaunchDatabase } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+// Plays back a list of outcomes per address: 'ok', 'soft', 'hard' or 'error'
+class ScriptedTransport extends EmailTransport {
+  constructor(script) {
+    super('scripted');
+    this.script = script;
+    this.sent = [];
+  }
+
+  async send(message) {
+    const outcome = (this.script[message.to] || []).shift() || 'ok';
+    if (outcome === 'ok') {
+      this.sent.push(message);
+      return { messageId: `m${this.sent.length}` };
+    }
+    const error = new Error(`${outcome} failure for ${message.to}`);
+    if (outcome !== 'error') error.bounce = outcome;
+    throw error;
+  }
+}
+
+async function setUp(script, options = {}) {
+  const database = new LaunchDatabase(new MemoryDb());
+  const campaign = await database.saveCampaign({
+    bookId: 'b1',
+    schedule: {
+      phases: {
+        launch: {
+          start: new Date('2099-03-01'),
+          end: new Date('2099-03-08'),
+          milestones: [{ date: new Date('2099-03-01'), localDate: '2099-03-01', allDay: true, task: 'Book goes live', type: 'launch' }]
+        }
+      }
+    },
+    content: { email_sequences: { status: 'approved', value: [{ subject: 'It is out', body: 'The book is live.' }] } }
+  });
+
+  const transport = new ScriptedTransport(script);
+  const engine = new EmailDeliveryEngine(database, { transport, ...options });
+  await engine.addSubscribers('readers', [{ email: 'ok@example.com' }, { email: 'full@example.com' }, { email: 'gone@example.com' }]);
+  await engine.scheduleCampaign(campaign._id, {
+    segment: { list: 'readers' },
+    sends: [{ milestone: 'launch:Book goes live:1', email: 0 }]
+  });
+
+  return { database, engine, transport, campaignId: campaign._id };
+}
+
+const status = async (database, email) => (await database.collection('email_subscribers').findOne({ email })).status;
+
+test('retries a soft bounce on the next run without suppressing the address', async () => {
+  const { database, engine, transport, campaignId } = await setUp({ 'full@example.com': ['soft'] });
+
+  const [first] = await engine.runDue({ now: new Date('2099-03-01T10:00:00Z') });
+  assert.deepEqual([first.sent, first.deferred, first.bounced], [2, 1, 0]);
+  assert.equal(await status(database, 'full@example.com'), 'subscribed');
+
+  const [second] = await engine.runDue({ now: new Date('2099-03-02T10:00:00Z') });
+  assert.deepEqual([second.sent, second.skipped, second.deferred], [1, 2, 0]);
+  assert.deepEqual(transport.sent.map(message => message.to).sort(), ['full@example.com', 'gone@example.com', 'ok@example.com']);
+
+  assert.deepEqual(await engine.runDue({ now: new Date('2099-03-03T10:00:00Z') }), []);
+  const [stats] = Object.values(await engine.getDeliveryStats(campaignId));
+  assert.deepEqual(stats, { sent: 3, bounced: 0, deferred: 1, suppressed: 0, failed: 0 });
+});
+
+test('gives up on a soft-bouncing address after softBounceLimit attempts', async () => {
+  const { database, engine } = await setUp({ 'full@example.com': ['soft', 'soft', 'soft'] }, { softBounceLimit: 2 });
+
+  const [first] = await engine.runDue({ now: new Date('2099-03-01T10:00:00Z') });
+  const [second] = await engine.runDue({ now: new Date('2099-03-02T10:00:00Z') });
+
+  assert.equal(first.deferred, 1);
+  assert.deepEqual([second.deferred, second.bounced], [0, 1]);
+  assert.deepEqual(await engine.runDue({ now: new Date('2099-03-03T10:00:00Z') }), []);
+
+  const subscriber = await database.collection('email_subscribers').findOne({ email: 'full@example.com' });
+  assert.equal(subscriber.status, 'subscribed');
+  assert.equal(subscriber.softBounces, 2);
+});
+
+test('retries other transport errors up to failureLimit attempts, then marks the delivery failed', async () => {
+  const { database, engine, transport, campaignId } = await setUp({
+    'ok@example.com': ['error'],
+    'full@example.com': ['error', 'error', 'error']
+  }, { failureLimit: 2 });
+
+  const [first] = await engine.runDue({ now: new Date('2099-03-01T10:00:00Z') });
+  const [second] = await engine.runDue({ now: new Date('2099-03-02T10:00:00Z') });
+
+  assert.deepEqual([first.sent, first.deferred, first.failed], [1, 2, 0]);
+  assert.deepEqual([second.sent, second.skipped, second.deferred, second.failed], [1, 1, 0, 1]);
+  assert.deepEqual(await engine.runDue({ now: new Date('2099-03-03T10:00:00Z') }), []);
+
+  assert.equal((await database.collection('email_schedule').findOne({ campaignId })).status, 'sent');
+  assert.deepEqual(transport.sent.map(message => message.to).sort(), ['gone@example.com', 'ok@example.com']);
+  assert.equal(await status(database, 'full@example.com'), 'subscribed');
+  const [stats] = Object.values(await engine.getDeliveryStats(campaignId));
+  assert.deepEqual(stats, { sent: 2, bounced: 0, deferred: 2, suppressed: 0, failed: 1 });
+});
+
+test('suppresses an address on a hard bounce only', async () => {
+  const { database, engine } = await setUp({ 'gone@example.com': ['hard'] });
+
+  const [report] = await engine.runDue({ now: new Date('2099-03-01T10:00:00Z') });
+
+  assert.deepEqual([report.sent, report.bounced, report.deferred], [2, 1, 0]);
+  assert.equal(await status(database, 'gone@example.com'), 'bounced');
+  assert.deepEqual((await engine.getSegment({ list: 'readers' })).map(subscriber => subscriber.email), ['ok@example.com', 'full@example.com']);
+
+  await engine.handleMailchimpEvents([{ event: 'soft_bounce', msg: { email: 'ok@example.com' } }]);
+  assert.equal(await status(database, 'ok@example.com'), 'subscribed');
+});
+
+const realFetch = global.fetch;
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+function respondWith(status, body) {
+  global.fetch = async () => new Response(typeof body === 'string' ? body : JSON.stringify(body), { status });
+}
+
+test('reads Mailchimp errors before parsing a body that may not be JSON', async () => {
+  const transport = new MailchimpTransport({ apiKey: 'test-key', endpoint: 'https://mandrill.test' });
+  const message = { from: 'Author <author@example.com>', to: 'reader@example.com', subject: 'Hi', text: 'Hello' };
+
+  respondWith(502, '<html>Bad Gateway</html>');
+  await assert.rejects(transport.send(message), /Mailchimp Transactional error: <html>Bad Gateway<\/html>/);
+
+  respondWith(500, { status: 'error', message: 'Invalid API key' });
+  await assert.rejects(transport.send(message), /Mailchimp Transactional error: Invalid API key/);
+
+  respondWith(200, [{ status: 'rejected', reject_reason: 'soft-bounce' }]);
+  await assert.rejects(transport.send(message), error => error.bounce === 'soft');
+
+  respondWith(200, [{ status: 'sent', _id: 'abc123' }]);
+  assert.deepEqual(await transport.send(message), { messageId: 'abc123' });
+});
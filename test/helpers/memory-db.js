@@ -0,0 +1,203 @@
+// In-memory stand-in for the parts of a MongoDB `Db` the scripts use:
+// collection() with find/findOne/insert/update/delete/bulkWrite, the common
+// query operators and upserts. Documents are cloned in and out like a driver.
+
+let nextId = 1;
+
+function getPath(doc, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, field, value) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => obj[key] || (obj[key] = {}), doc);
+  if (value === undefined) delete target[last];
+  else target[last] = value;
+}
+
+function same(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function matchesValue(value, condition) {
+  const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !Array.isArray(condition) && Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (!isOperator) {
+    if (Array.isArray(value) && !Array.isArray(condition)) return value.some(item => same(item, condition));
+    if (condition === null) return value === null || value === undefined;
+    return same(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return matchesValue(value, operand);
+      case '$ne': return !matchesValue(value, operand);
+      case '$gt': return value !== undefined && value !== null && value > operand;
+      case '$gte': return value !== undefined && value !== null && value >= operand;
+      case '$lt': return value !== undefined && value !== null && value < operand;
+      case '$lte': return value !== undefined && value !== null && value <= operand;
+      case '$in': return operand.some(item => matchesValue(value, item));
+      case '$nin': return !operand.some(item => matchesValue(value, item));
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      default: throw new Error(`memory-db does not support ${operator}`);
+    }
+  });
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') return condition.some(branch => matches(doc, branch));
+    if (field === '$and') return condition.every(branch => matches(doc, branch));
+    return matchesValue(getPath(doc, field), condition);
+  });
+}
+
+function duplicateKeyError(id) {
+  const error = new Error(`E11000 duplicate key error dup key: { _id: ${JSON.stringify(id)} }`);
+  error.code = 11000;
+  return error;
+}
+
+class MemoryCursor {
+  constructor(docs) {
+    this.docs = docs;
+  }
+
+  sort(spec) {
+    const fields = Object.entries(spec);
+    this.docs.sort((a, b) => {
+      for (const [field, direction] of fields) {
+        const x = getPath(a, field);
+        const y = getPath(b, field);
+        if (x < y) return -direction;
+        if (x > y) return direction;
+      }
+      return 0;
+    });
+    return this;
+  }
+
+  limit(count) {
+    if (count > 0) this.docs = this.docs.slice(0, count);
+    return this;
+  }
+
+  async toArray() {
+    return this.docs.map(doc => structuredClone(doc));
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+  }
+
+  find(query = {}) {
+    return new MemoryCursor(this.docs.filter(doc => matches(doc, query)));
+  }
+
+  async findOne(query = {}) {
+    const doc = this.docs.find(entry => matches(entry, query));
+    return doc ? structuredClone(doc) : null;
+  }
+
+  async countDocuments(query = {}) {
+    return this.docs.filter(doc => matches(doc, query)).length;
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = `id${nextId++}`;
+    if (this.docs.some(entry => same(entry._id, doc._id))) throw duplicateKeyError(doc._id);
+    this.docs.push(structuredClone(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = [];
+    for (const doc of docs) insertedIds.push((await this.insertOne(doc)).insertedId);
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  applyUpdate(doc, update, inserting) {
+    for (const [field, value] of Object.entries(update.$set || {})) setPath(doc, field, structuredClone(value));
+    if (inserting) {
+      for (const [field, value] of Object.entries(update.$setOnInsert || {})) setPath(doc, field, structuredClone(value));
+    }
+    for (const field of Object.keys(update.$unset || {})) setPath(doc, field, undefined);
+    for (const [field, amount] of Object.entries(update.$inc || {})) setPath(doc, field, (getPath(doc, field) || 0) + amount);
+    for (const [field, value] of Object.entries(update.$push || {})) {
+      const list = getPath(doc, field) || [];
+      list.push(structuredClone(value));
+      setPath(doc, field, list);
+    }
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const doc = this.docs.find(entry => matches(entry, filter));
+    if (doc) {
+      this.applyUpdate(doc, update, false);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+    if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+
+    const created = {};
+    for (const [field, condition] of Object.entries(filter)) {
+      const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+        Object.keys(condition).some(key => key.startsWith('$'));
+      if (!field.startsWith('$') && !isOperator) setPath(created, field, structuredClone(condition));
+    }
+    this.applyUpdate(created, update, true);
+    await this.insertOne(created);
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.docs.filter(entry => matches(entry, filter));
+    docs.forEach(doc => this.applyUpdate(doc, update, false));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex(entry => matches(entry, filter));
+    if (index >= 0) this.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: index >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(entry => !matches(entry, filter));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  async bulkWrite(operations) {
+    for (const operation of operations) {
+      if (operation.insertOne) await this.insertOne(operation.insertOne.document);
+      if (operation.updateOne) await this.updateOne(operation.updateOne.filter, operation.updateOne.update, operation.updateOne);
+      if (operation.updateMany) await this.updateMany(operation.updateMany.filter, operation.updateMany.update);
+      if (operation.deleteOne) await this.deleteOne(operation.deleteOne.filter);
+    }
+    return { acknowledged: true };
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name));
+    return this.collections.get(name);
+  }
+}
+
+module.exports = { MemoryDb, MemoryCollection };
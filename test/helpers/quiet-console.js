@@ -0,0 +1,6 @@
+// The scripts narrate their work on the console. Tests keep output to the
+// runner's report; Node 20's runner also fails to parse emoji-heavy output
+// split across chunks ("Unable to deserialize cloned data").
+for (const method of ['log', 'info', 'warn', 'error']) {
+  console[method] = () => {};
+}
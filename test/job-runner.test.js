@@ -0,0 +1,104 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { JobRunner, LaunchDatabase } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function writeCron(schedule) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-runner-'));
+  tempDirs.push(dir);
+  const cronPath = path.join(dir, 'cron.json');
+  await fs.writeFile(cronPath, JSON.stringify(schedule));
+  return cronPath;
+}
+
+async function loadJobs(schedule, options = {}) {
+  const handlers = Object.fromEntries(Object.values(schedule).map(task => [task, async () => null]));
+  const runner = new JobRunner(new LaunchDatabase(new MemoryDb()), { handlers, cronPath: await writeCron(schedule), ...options });
+  const jobs = await runner.loadSchedule();
+  return { runner, cron: task => jobs.find(job => job.task === task).cron };
+}
+
+test('parses lists, ranges, steps and Sunday as 0 or 7', async () => {
+  const { cron } = await loadJobs({
+    '*/15 9-17 * * 1-5': 'work-hours',
+    '0 0 1,15 * *': 'twice-monthly',
+    '30 6 * 1-12/3 7': 'quarterly-sundays',
+    '5/20 * * * *': 'from-five'
+  });
+
+  assert.deepEqual([...cron('work-hours').minute.values], [0, 15, 30, 45]);
+  assert.deepEqual([...cron('work-hours').hour.values], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.equal(cron('work-hours').dayOfMonth.restricted, false);
+  assert.deepEqual([...cron('twice-monthly').dayOfMonth.values], [1, 15]);
+  assert.deepEqual([...cron('quarterly-sundays').month.values], [1, 4, 7, 10]);
+  assert.deepEqual([...cron('quarterly-sundays').dayOfWeek.values], [0]);
+  assert.deepEqual([...cron('from-five').minute.values], [5, 25, 45]);
+});
+
+test('rejects malformed cron expressions', async () => {
+  for (const [expression, message] of [
+    ['0 9 * *', /needs 5 fields/],
+    ['60 * * * *', /Invalid minute "60"/],
+    ['0 9-5 * * *', /Invalid hour "9-5"/],
+    ['*/0 * * * *', /Invalid minute "\*\/0"/],
+    ['0 9 * * mon', /Invalid dayOfWeek "mon"/]
+  ]) {
+    await assert.rejects(loadJobs({ [expression]: 'task' }), message);
+  }
+});
+
+test('matches in the runner timezone, with day-of-month or day-of-week when both are set', async () => {
+  const { runner, cron } = await loadJobs({
+    '0 9 * * 1': 'monday-nine',
+    '0 0 13 * 5': 'thirteenth-or-friday'
+  }, { timezone: 'America/New_York' });
+
+  // 09:00 in New York is 14:00 UTC in winter and 13:00 UTC in summer
+  assert.equal(runner.matches(cron('monday-nine'), new Date('2099-01-05T14:00:00Z')), true);
+  assert.equal(runner.matches(cron('monday-nine'), new Date('2099-01-05T09:00:00Z')), false);
+  assert.equal(runner.matches(cron('monday-nine'), new Date('2099-07-06T13:00:00Z')), true);
+  assert.equal(runner.matches(cron('monday-nine'), new Date('2099-01-06T14:00:00Z')), false);
+
+  // 2099-03-06 is a Friday, 2099-04-13 a Monday; midnight is 04:00 UTC in EDT
+  assert.equal(runner.matches(cron('thirteenth-or-friday'), new Date('2099-03-06T05:00:00Z')), true);
+  assert.equal(runner.matches(cron('thirteenth-or-friday'), new Date('2099-04-13T04:00:00Z')), true);
+  assert.equal(runner.matches(cron('thirteenth-or-friday'), new Date('2099-04-14T04:00:00Z')), false);
+});
+
+test('skips a task that is already running and takes over an expired lock', async () => {
+  const database = new LaunchDatabase(new MemoryDb());
+  let release;
+  const handlers = {
+    'analytics:sync': () => new Promise(resolve => { release = resolve; }),
+    'cleanup:temp-files': async () => ({ removed: 0 })
+  };
+  const runner = new JobRunner(database, { handlers, lockTtlMs: 60000 });
+  const other = new JobRunner(database, { handlers });
+
+  const first = runner.run('analytics:sync');
+  await new Promise(resolve => setImmediate(resolve));
+  const second = await other.run('analytics:sync');
+  assert.equal(second.status, 'skipped');
+  assert.equal((await other.run('cleanup:temp-files')).status, 'success');
+
+  release({ success: 1, failed: 0 });
+  assert.equal((await first).status, 'success');
+  assert.equal(await database.collection('job_locks').countDocuments(), 0);
+
+  // A crashed run leaves its lock behind until it expires
+  await database.collection('job_locks').insertOne({ _id: 'cleanup:temp-files', runId: 'crashed', lockedUntil: new Date('2099-01-01T00:00:00Z') });
+  assert.equal((await runner.run('cleanup:temp-files', { now: new Date('2098-12-31T23:00:00Z') })).status, 'skipped');
+  assert.equal((await runner.run('cleanup:temp-files', { now: new Date('2099-01-01T00:00:00Z') })).status, 'success');
+
+  const history = await runner.getHistory('analytics:sync');
+  assert.deepEqual(history.map(run => run.status).sort(), ['skipped', 'success']);
+  await assert.rejects(runner.run('missing'), /Unknown job: missing \(available: analytics:sync, cleanup:temp-files\)/);
+});
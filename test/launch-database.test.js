@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LaunchDatabase } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+
+test('saves, loads and updates campaigns by id', async () => {
+  const database = new LaunchDatabase(new MemoryDb());
+
+  const saved = await database.saveCampaign({ bookId: 'book-1', status: 'draft', createdAt: new Date('2099-01-02') });
+  await database.saveCampaign({ bookId: 'book-1', status: 'completed', createdAt: new Date('2099-01-01') });
+  await database.saveCampaign({ bookId: 'book-2', status: 'draft', createdAt: new Date('2099-01-03') });
+
+  assert.ok(saved._id);
+  assert.equal((await database.getCampaign(saved._id)).status, 'draft');
+  assert.equal(await database.getCampaign('missing'), null);
+
+  const updated = await database.updateCampaign(saved._id, { status: 'active' });
+  assert.equal(updated.status, 'active');
+  assert.equal(updated.bookId, 'book-1');
+
+  const forBook = await database.getCampaignsByBook('book-1');
+  assert.deepEqual(forBook.map(campaign => campaign.status), ['completed', 'active']);
+});
+
+test('lists active books and books per user', async () => {
+  const db = new MemoryDb();
+  await db.collection('books').insertMany([
+    { _id: 'b1', userId: 'user-1', title: 'Draft', status: 'draft' },
+    { _id: 'b2', userId: 'user-1', title: 'Archived', status: 'archived' },
+    { _id: 'b3', userId: 'user-2', title: 'No status' }
+  ]);
+  const database = new LaunchDatabase(db);
+
+  assert.deepEqual((await database.getAllActiveBooks()).map(book => book._id), ['b1', 'b3']);
+  assert.deepEqual((await database.getBooksByUser('user-1')).map(book => book._id), ['b1', 'b2']);
+  assert.equal((await database.getBook('b3')).title, 'No status');
+});
+
+test('stores ledger entries and sync snapshots and passes collections through', async () => {
+  const db = new MemoryDb();
+  const database = new LaunchDatabase(db);
+
+  await database.saveLedgerEntry({ campaignId: 'c1', bookId: 'b1', kind: 'spend', amount: 5, date: new Date('2099-01-02') });
+  await database.saveLedgerEntry({ campaignId: 'c2', bookId: 'b1', kind: 'spend', amount: 7, date: new Date('2099-01-01') });
+  assert.deepEqual((await database.getLedgerEntries({ bookId: 'b1' })).map(entry => entry.amount), [7, 5]);
+  assert.deepEqual((await database.getLedgerEntries({ campaignId: 'c1' })).map(entry => entry.amount), [5]);
+
+  const metrics = await database.saveMetrics({ bookId: 'b1', timestamp: new Date() });
+  assert.ok(metrics._id);
+  assert.equal(await db.collection('metrics').countDocuments({ bookId: 'b1' }), 1);
+  assert.equal(database.collection('job_runs'), db.collection('job_runs'));
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LaunchPlanner, CampaignGenerator, BusinessCalendar, LaunchDatabase } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+
+const generator = new CampaignGenerator(null, null);
+const calendar = new BusinessCalendar();
+
+async function createCampaign(_id, bookId, launchDate, extra = {}, strategy = 'thought_leadership') {
+  const plan = generator.resolvePhaseTemplate(strategy);
+  return {
+    _id,
+    bookId,
+    status: 'draft',
+    calendar: calendar.toConfig(),
+    schedule: await generator.generateCampaignSchedule({}, launchDate, plan, calendar),
+    ...extra
+  };
+}
+
+function createDatabase(books, campaigns) {
+  return {
+    getBooksByUser: async userId => books.filter(book => book.userId === userId),
+    getBooksByAuthors: async authors => books.filter(book => authors.includes(book.author)),
+    getCampaignsByBook: async bookId => campaigns.filter(campaign => campaign.bookId === bookId)
+  };
+}
+
+const first = { _id: 'book-1', userId: 'user-1', title: 'First Book', author: 'A. Author' };
+const second = { _id: 'book-2', userId: 'user-1', title: 'Second Book', author: 'A. Author' };
+
+test('flags overlapping launches and press releases and suggests a clash-free date', async () => {
+  const campaigns = [
+    await createCampaign('c1', 'book-1', '2099-12-01'),
+    await createCampaign('c2', 'book-2', '2099-12-02')
+  ];
+  const planner = new LaunchPlanner(createDatabase([first, second], campaigns));
+
+  const plan = await planner.planAccount('user-1');
+
+  assert.deepEqual(plan.conflicts.map(conflict => conflict.type).sort(), ['launch_overlap', 'press_release']);
+  assert.deepEqual(plan.conflicts[0].campaigns, ['c1', 'c2']);
+  assert.equal(plan.suggestions.length, 1);
+  assert.equal(plan.suggestions[0].campaignId, 'c2');
+  assert.equal(plan.suggestions[0].currentLaunch, '2099-12-02');
+  assert.ok(plan.suggestions[0].shiftDays >= 5);
+});
+
+test('does not report a regenerated campaign as clashing with its own book', async () => {
+  const previous = await createCampaign('c1', 'book-1', '2099-12-01');
+  const planner = new LaunchPlanner(createDatabase([first], [previous]));
+
+  const regenerated = await createCampaign(undefined, 'book-1', '2099-12-02');
+  const result = await planner.checkCampaign(regenerated, first);
+
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(result.suggestions, []);
+});
+
+test('checks a saved campaign against the others without comparing it to itself', async () => {
+  const campaigns = [
+    await createCampaign('c1', 'book-1', '2099-12-01'),
+    await createCampaign('c2', 'book-2', '2100-03-01')
+  ];
+  const planner = new LaunchPlanner(createDatabase([first, second], campaigns));
+
+  const result = await planner.checkCampaign(campaigns[1], second);
+  assert.deepEqual(result.conflicts, []);
+});
+
+test('lists campaigns without a schedule instead of failing the plan', async () => {
+  const campaigns = [
+    await createCampaign('c1', 'book-1', '2099-12-01'),
+    { _id: 'c2', bookId: 'book-2', status: 'draft' }
+  ];
+  const planner = new LaunchPlanner(createDatabase([first, second], campaigns));
+
+  const plan = await planner.planAccount('user-1');
+
+  assert.equal(plan.entries.length, 1);
+  assert.deepEqual(plan.unscheduled, [{ campaignId: 'c2', bookId: 'book-2', title: 'Second Book' }]);
+  assert.deepEqual(plan.conflicts, []);
+});
+
+test('only compares email sends that share a list and ignores unrelated authors', async () => {
+  const planner = new LaunchPlanner(null);
+  const entry = (id, book, emailList) => planner.describe({
+    campaign: {
+      _id: id,
+      calendar: calendar.toConfig(),
+      emailList,
+      schedule: {
+        phases: {
+          launch: {
+            start: new Date('2099-12-01T00:00:00Z'),
+            end: new Date('2099-12-02T00:00:00Z'),
+            milestones: [{ date: new Date('2099-12-01T00:00:00Z'), localDate: '2099-12-01', task: 'Launch announcement', type: 'email' }]
+          }
+        }
+      }
+    },
+    book
+  });
+  const stranger = { _id: 'book-3', userId: 'user-2', title: 'Other', author: 'B. Writer' };
+
+  const shared = planner.findConflicts(entry('c1', first, 'list-a'), entry('c2', second, 'list-a'), 1);
+  assert.deepEqual(shared.map(conflict => conflict.type), ['email_blast']);
+
+  const separate = planner.findConflicts(entry('c1', first, 'list-a'), entry('c2', second, 'list-b'), 1);
+  assert.deepEqual(separate, []);
+
+  assert.equal(planner.isRelated(entry('c1', first), entry('c3', stranger)), false);
+});
+
+test('counts email milestones as sends, not tasks that only mention email', async () => {
+  const campaigns = [
+    await createCampaign('c1', 'book-1', '2099-12-01', {}, 'fiction_rapid_release'),
+    await createCampaign('c2', 'book-2', '2099-12-02', {}, 'fiction_rapid_release')
+  ];
+  const planner = new LaunchPlanner(createDatabase([first, second], campaigns));
+
+  const plan = await planner.planAccount('user-1');
+
+  // The release-day newsletters clash; "Launch email list building" is not a send
+  const emailBlasts = plan.conflicts.filter(conflict => conflict.type === 'email_blast');
+  assert.deepEqual(emailBlasts.map(conflict => conflict.dates), [['2099-12-01', '2099-12-02']]);
+  const listBuilding = await createCampaign('c3', 'book-1', '2099-12-01');
+  assert.deepEqual(planner.describe({ campaign: listBuilding, book: first }).emailDates, []);
+});
+
+test('plans books by the same author on another account alongside the account\'s own', async () => {
+  const database = new LaunchDatabase(new MemoryDb());
+  const imprint = { _id: 'book-4', userId: 'publisher-1', title: 'Imprint Edition', author: 'A. Author' };
+  await database.collection('books').insertMany([first, imprint, { _id: 'book-5', userId: 'publisher-1', title: 'Someone Else', author: 'B. Writer' }]);
+  await database.collection('campaigns').insertMany([
+    await createCampaign('c1', 'book-1', '2099-12-01'),
+    await createCampaign('c4', 'book-4', '2099-12-02'),
+    await createCampaign('c5', 'book-5', '2099-12-01')
+  ]);
+  const planner = new LaunchPlanner(database);
+
+  const plan = await planner.planAccount('user-1');
+
+  assert.deepEqual(plan.entries.map(entry => entry.campaignId).sort(), ['c1', 'c4']);
+  assert.ok(plan.conflicts.some(conflict => conflict.type === 'launch_overlap' && conflict.campaigns.join() === 'c1,c4'));
+
+  // A new campaign is checked against the author's books on other accounts too
+  const candidate = await createCampaign(undefined, 'book-6', '2099-12-03');
+  const result = await planner.checkCampaign(candidate, { _id: 'book-6', userId: 'user-9', title: 'Debut Elsewhere', author: 'A. Author' });
+  assert.ok(result.conflicts.some(conflict => conflict.type === 'launch_overlap'));
+});
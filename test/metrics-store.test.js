@@ -0,0 +1,117 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { MetricsStore, AnalyticsSync, LaunchDatabase, KdpReportConnector } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('upserts points per source, day and period', async () => {
+  const store = new MetricsStore(new MemoryDb());
+
+  await store.recordPoints('b1', 'kdp', [{ metric: 'units', date: '2099-03-01', value: 2 }]);
+  await store.recordPoints('b1', 'kdp', [{ metric: 'units', date: '2099-03-01', value: 3 }]);
+  await store.recordPoints('b1', 'ingram', [{ metric: 'units', date: '2099-03-01', value: 4 }]);
+  await store.recordPoints('b1', 'ingram', [{ metric: 'units', date: '2099-02-01', period: 'month', value: 10 }]);
+
+  assert.deepEqual(await store.getTotals('b1', ['units']), { units: 17 });
+  assert.deepEqual(await store.getSeries('b1', 'units', { since: '2099-02-28', until: '2099-03-02' }), [
+    { date: '2099-02-28', value: 0 },
+    { date: '2099-03-01', value: 7 },
+    { date: '2099-03-02', value: 0 }
+  ]);
+});
+
+test('keeps monthly totals apart from daily points and drops them once days arrive', async () => {
+  const store = new MetricsStore(new MemoryDb());
+
+  await store.recordPoints('b1', 'kdp', [{ metric: 'units', date: '2099-03-01', period: 'month', value: 30 }]);
+  assert.deepEqual(await store.getTotals('b1', ['units']), { units: 30 });
+
+  // Daily points for March replace the monthly total rather than adding to it
+  await store.recordPoints('b1', 'kdp', [
+    { metric: 'units', date: '2099-03-02', period: 'day', value: 5 },
+    { metric: 'units', date: '2099-03-03', period: 'day', value: 4 }
+  ]);
+  assert.deepEqual(await store.getTotals('b1', ['units']), { units: 9 });
+
+  // Re-running a backfill of the monthly report leaves the 1st's daily point alone
+  await store.recordPoints('b1', 'kdp', [{ metric: 'units', date: '2099-03-01', period: 'day', value: 2 }]);
+  await store.recordPoints('b1', 'kdp', [{ metric: 'units', date: '2099-03-01', period: 'month', value: 30 }]);
+  assert.deepEqual(await store.getTotals('b1', ['units']), { units: 11 });
+  assert.deepEqual(await store.getSeries('b1', 'units', { since: '2099-03-01', until: '2099-03-01' }), [{ date: '2099-03-01', value: 2 }]);
+
+  // Another source's monthly total for the same month still counts
+  await store.recordPoints('b1', 'ingram', [{ metric: 'units', date: '2099-03-01', period: 'month', value: 6 }]);
+  assert.deepEqual(await store.getTotals('b1', ['units']), { units: 17 });
+});
+
+test('moves watermarks forward only', async () => {
+  const store = new MetricsStore(new MemoryDb());
+
+  assert.equal(await store.getWatermark('b1', 'kdp'), null);
+  assert.equal(await store.advanceWatermark('b1', 'kdp', '2099-03-05'), '2099-03-05');
+  assert.equal(await store.advanceWatermark('b1', 'kdp', '2099-02-01'), '2099-03-05');
+  assert.equal(await store.advanceWatermark('b1', 'kdp', null), '2099-03-05');
+  assert.equal(await store.getWatermark('b1', 'kdp'), '2099-03-05');
+});
+
+test('reports velocity, rank and week-over-week trends', async () => {
+  const store = new MetricsStore(new MemoryDb());
+  const days = Array.from({ length: 14 }, (_, i) => store.addDays('2099-03-01', i));
+
+  await store.recordPoints('b1', 'kdp', days.map((date, i) => ({ metric: 'units', date, value: i < 7 ? 1 : 3 })));
+  await store.recordPoints('b1', 'snapshot', [
+    { metric: 'rank', date: '2099-03-07', value: 900 },
+    { metric: 'rank', date: '2099-03-14', value: 300 }
+  ]);
+
+  const velocity = await store.salesVelocity('b1', { until: '2099-03-14', windowDays: 7, days: 2 });
+  assert.equal(velocity.current, 3);
+  assert.deepEqual(velocity.series.map(point => point.date), ['2099-03-13', '2099-03-14']);
+
+  assert.deepEqual(await store.rankOverTime('b1'), [{ date: '2099-03-07', value: 900 }, { date: '2099-03-14', value: 300 }]);
+
+  const units = await store.weekOverWeek('b1', 'units', { until: '2099-03-14' });
+  assert.deepEqual([units.thisWeek, units.lastWeek, units.change, units.changePct], [21, 7, 14, 2]);
+
+  const rank = await store.weekOverWeek('b1', 'rank', { until: '2099-03-14' });
+  assert.deepEqual([rank.thisWeek, rank.lastWeek, rank.change], [300, 900, -600]);
+});
+
+test('syncs incrementally through the service layer without double-counting a backfilled month', async () => {
+  const reportsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'metrics-store-'));
+  tempDirs.push(reportsDir);
+  await fs.writeFile(path.join(reportsDir, 'kdp-monthly.csv'), [
+    'Date,ASIN,Marketplace,Units Sold,Royalty,Currency',
+    '2099-02,B0TESTASIN,Amazon.com,20,70.00,USD',
+    '2099-03,B0TESTASIN,Amazon.com,9,31.50,USD'
+  ].join('\n'));
+
+  const db = new MemoryDb();
+  const book = { _id: 'b1', title: 'Test Book', kdpSettings: { asin: 'B0TESTASIN' } };
+  const sync = new AnalyticsSync({
+    database: new LaunchDatabase(db),
+    salesConnectors: [new KdpReportConnector({ reportsDir })],
+    staleAfterDays: 100000
+  });
+
+  await sync.backfill(book, { since: '2099-02-01', until: '2099-03-31' });
+
+  await fs.writeFile(path.join(reportsDir, 'kdp-daily.csv'), [
+    'Date,ASIN,Marketplace,Units Sold,Royalty,Currency',
+    '2099-03-01,B0TESTASIN,Amazon.com,4,14.00,USD',
+    '2099-03-02,B0TESTASIN,Amazon.com,5,17.50,USD'
+  ].join('\n'));
+  const metrics = await sync.syncBookMetrics(book);
+
+  assert.deepEqual(metrics.sales.totals, { units: 29, revenue: 101.5, kuPages: 0 });
+  assert.equal(metrics.sources['sales:kdp'].status, 'ok');
+  assert.equal(await db.collection('metrics').countDocuments({ bookId: 'b1' }), 1);
+  assert.equal(await sync.metricsStore.getWatermark('b1', 'kdp'), '2099-03-02');
+});
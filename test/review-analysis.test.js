@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ReviewAnalyzer, AnalyticsSync, LaunchDatabase } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+const analyzer = new ReviewAnalyzer();
+
+test('scores text from the lexicon with phrases, intensifiers and a but-pivot', () => {
+  assert.ok(analyzer.scoreText('A brilliant, practical guide').score > 0.7);
+  assert.ok(analyzer.scoreText('Boring and repetitive').score < -0.7);
+  assert.deepEqual(analyzer.scoreText('It arrived on Tuesday'), { score: null, terms: 0 });
+
+  // "page turner" is one term, not "page" + "turner"
+  assert.equal(analyzer.scoreText('a real page turner').terms, 1);
+  assert.ok(analyzer.scoreText('very good').score > analyzer.scoreText('good').score);
+  assert.ok(analyzer.scoreText('slightly good').score < analyzer.scoreText('good').score);
+
+  // The clause after "but" outweighs the one before it
+  assert.ok(analyzer.scoreText('Great idea but boring').score < 0);
+  assert.ok(analyzer.scoreText('Boring start but great').score > 0);
+});
+
+test('flips words within three tokens of a negation', () => {
+  assert.ok(analyzer.scoreText('not good').score < 0);
+  assert.ok(analyzer.scoreText("wasn't boring at all").score > 0);
+  assert.ok(analyzer.scoreText('It wasn’t very good').score < 0);
+  assert.ok(analyzer.scoreText('I couldn’t say it was good').score > 0);
+  assert.ok(analyzer.scoreText('no, the author and the publisher did a good job').score > 0);
+  assert.equal(analyzer.scoreText("couldn't put it down").terms, 1);
+  assert.ok(analyzer.scoreText("couldn't put it down").score > 0);
+});
+
+test('falls back to the star rating and labels the result', () => {
+  const fromText = analyzer.scoreReview({ rating: 1, text: 'Wonderful and inspiring' });
+  assert.equal(fromText.basis, 'text');
+  assert.equal(fromText.label, 'positive');
+
+  const fromRating = analyzer.scoreReview({ rating: 1, text: 'Read it on holiday' });
+  assert.equal(fromRating.basis, 'rating');
+  assert.equal(fromRating.score, -1);
+  assert.equal(fromRating.label, 'negative');
+
+  assert.equal(analyzer.scoreReview({}).basis, 'none');
+  assert.equal(analyzer.scoreReview({}).label, 'neutral');
+  assert.equal(analyzer.scoreReview({ id: 42 }).id, '42');
+  assert.equal(analyzer.scoreReview({ text: 'x' }).id, analyzer.scoreReview({ text: 'x' }).id);
+});
+
+test('extracts themes once per review and summarizes them', () => {
+  assert.deepEqual(analyzer.extractThemes('Too long. It drags and repeats itself, too long!'), ['too_long', 'repetitive']);
+  assert.deepEqual(analyzer.extractThemes('Great examples and step-by-step, practical advice'), ['great_examples', 'actionable_advice']);
+
+  const analysis = analyzer.analyze([
+    { rating: 2, text: 'Too long and full of typos' },
+    { rating: 1, text: 'Way too long' },
+    { rating: 5, text: 'Great examples throughout' }
+  ]);
+
+  assert.equal(analysis.count, 3);
+  assert.deepEqual(analysis.themes.map(theme => [theme.key, theme.count]), [['too_long', 2], ['editing_errors', 1], ['great_examples', 1]]);
+  assert.equal(analysis.themes[0].share, 0.667);
+  assert.equal(analysis.themes[0].averageRating, 1.5);
+});
+
+test('averages sentiment per week starting Monday and per month', () => {
+  const scored = [
+    { date: '2099-03-02', rating: 5, text: 'excellent' },
+    { date: '2099-03-08', rating: 3, text: 'meh' },
+    { date: '2099-03-09', rating: 1, text: 'awful' }
+  ].map(review => analyzer.scoreReview(review));
+
+  assert.deepEqual(analyzer.trend(scored).map(entry => [entry.period, entry.count, entry.averageRating]), [
+    ['2099-03-02', 2, 4],
+    ['2099-03-09', 1, 1]
+  ]);
+  assert.deepEqual(analyzer.trend(scored, { bucket: 'month' }).map(entry => entry.count), [3]);
+});
+
+test('alerts on a low-star cluster once and stores the alert through the service layer', async () => {
+  const db = new MemoryDb();
+  const notified = [];
+  const reviews = [
+    { id: 'r1', rating: 1, date: new Date(Date.now() - 1 * 86400000), text: 'Too long and boring' },
+    { id: 'r2', rating: 2, date: new Date(Date.now() - 2 * 86400000), text: 'Way too long' },
+    { id: 'r3', rating: 1, date: new Date(Date.now() - 3 * 86400000), text: 'Full of typos' },
+    { id: 'r4', rating: 5, date: new Date(Date.now() - 3 * 86400000), text: 'Excellent' },
+    { id: 'r5', rating: 1, date: new Date(Date.now() - 30 * 86400000), text: 'Old complaint' }
+  ];
+  const sync = new AnalyticsSync({
+    kdp: { getReviews: async () => reviews },
+    database: new LaunchDatabase(db),
+    notifier: { notifyReviewAlert: async alert => notified.push(alert) }
+  });
+  const book = { _id: 'b1', title: 'Test Book', kdpSettings: { asin: 'B0TEST' } };
+
+  const first = await sync.getReviewData(book);
+  assert.equal(first.alerts.length, 1);
+  assert.deepEqual(first.alerts[0].reviewIds.sort(), ['r1', 'r2', 'r3']);
+  assert.deepEqual(first.alerts[0].themes.slice(0, 1), ['too_long']);
+  assert.equal(notified.length, 1);
+
+  const second = await sync.getReviewData(book);
+  assert.deepEqual(second.alerts, []);
+
+  const stored = await sync.database.getReviewAlerts('b1');
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].type, 'low_star_cluster');
+  assert.deepEqual(await sync.database.getReviewAlerts('b1', { since: new Date(Date.now() + 86400000) }), []);
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { ReviewSolicitationScheduler, LaunchDatabase } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+// A pre-order campaign: the pre-order going live is also a "launch" milestone,
+// and ARCs go out as a "reviews" milestone before the book is out
+async function createDatabase() {
+  const db = new MemoryDb();
+  await db.collection('campaigns').insertOne({
+    _id: 'c1',
+    bookId: 'b1',
+    schedule: {
+      phases: {
+        preorder: { start: new Date('2099-01-01'), milestones: [{ date: new Date('2099-01-01'), task: 'Pre-order goes live', type: 'launch' }] },
+        prelaunch: { start: new Date('2099-02-01'), milestones: [{ date: new Date('2099-02-20'), task: 'Send ARCs', type: 'reviews' }] },
+        launch: { start: new Date('2099-03-01'), milestones: [{ date: new Date('2099-03-01'), task: 'Book goes live', type: 'launch' }] },
+        postlaunch: { start: new Date('2099-03-08'), milestones: [{ date: new Date('2099-03-08'), task: 'Begin review solicitation', type: 'reviews' }] }
+      }
+    }
+  });
+  await db.collection('books').insertOne({
+    _id: 'b1',
+    title: 'Five Stars of Leadership',
+    activeCampaign: 'c1',
+    kdpSettings: { asin: 'B0TEST' }
+  });
+  return { db, database: new LaunchDatabase(db) };
+}
+
+function createScheduler(database, sent = []) {
+  return new ReviewSolicitationScheduler(database, {
+    sender: { send: async message => sent.push(message) },
+    optOutBaseUrl: 'https://example.com/unsubscribe'
+  });
+}
+
+const reader = { email: 'Reader@Example.com', name: 'Ada', audience: 'verified_purchaser', verified: true, purchasedAt: '2099-02-20', consent: true };
+
+test('waits for the first review milestone after launch rather than after the pre-order', async () => {
+  const { database } = await createDatabase();
+  const sent = [];
+  const scheduler = createScheduler(database, sent);
+  await scheduler.importReaders('b1', [reader], { now: new Date('2099-02-21') });
+
+  assert.deepEqual(await scheduler.getStartDate(await database.getBook('b1')), new Date('2099-03-08'));
+
+  const early = await scheduler.run('b1', { now: new Date('2099-03-05') });
+  assert.deepEqual(early.skipped, [{ email: null, reason: 'review solicitation starts 2099-03-08' }]);
+  assert.equal(sent.length, 0);
+
+  const due = await scheduler.run('b1', { now: new Date('2099-03-09') });
+  assert.deepEqual(due.sent.map(entry => [entry.email, entry.step]), [['reader@example.com', 1]]);
+  assert.equal(sent.length, 1);
+});
+
+test('finds the launch in the phase the schedule marks as starting at launch', async () => {
+  const { db, database } = await createDatabase();
+  await db.collection('campaigns').updateOne({ _id: 'c1' }, {
+    $set: {
+      schedule: {
+        launchPhase: 'release',
+        phases: {
+          preorder: { start: new Date('2099-01-01'), milestones: [{ date: new Date('2099-01-01'), task: 'Pre-order goes live', type: 'launch' }] },
+          warmup: { start: new Date('2099-02-01'), milestones: [{ date: new Date('2099-02-20'), task: 'Send ARCs', type: 'reviews' }] },
+          release: { start: new Date('2099-03-01'), milestones: [{ date: new Date('2099-03-01'), task: 'Book goes live', type: 'launch' }] },
+          after: { start: new Date('2099-03-08'), milestones: [{ date: new Date('2099-03-15'), task: 'Begin review solicitation', type: 'reviews' }] }
+        }
+      }
+    }
+  });
+
+  const scheduler = createScheduler(database);
+
+  assert.deepEqual(await scheduler.getStartDate(await database.getBook('b1')), new Date('2099-03-15'));
+});
+
+test('checks the template wording, not the book title filled into it', async () => {
+  const { database } = await createDatabase();
+  const sent = [];
+  const scheduler = createScheduler(database, sent);
+  await scheduler.importReaders('b1', [reader]);
+
+  const report = await scheduler.run('b1', { now: new Date('2099-03-09') });
+
+  assert.equal(report.sent.length, 1);
+  assert.equal(sent[0].subject, 'How are you finding Five Stars of Leadership?');
+  assert.throws(
+    () => new ReviewSolicitationScheduler(database, {
+      template: { subject: 'Leave a 5-star review for {{title}}', text: 'Thanks! {{optOutUrl}}' }
+    }),
+    /asks for a specific star rating/
+  );
+});
+
+test('opts out with a random stored token only', async () => {
+  const { db, database } = await createDatabase();
+  const sent = [];
+  const scheduler = createScheduler(database, sent);
+  await scheduler.importReaders('b1', [reader]);
+
+  const stored = await db.collection('review_readers').findOne({ email: 'reader@example.com' });
+  const guessed = crypto.createHash('sha256').update('b1|reader@example.com').digest('hex').slice(0, 24);
+  assert.match(stored.optOutToken, /^[0-9a-f]{48}$/);
+  await assert.rejects(scheduler.optOutByToken(guessed), /Unknown opt-out token/);
+  await assert.rejects(scheduler.optOutByToken(undefined), /Unknown opt-out token/);
+
+  // Re-importing keeps the token already in sent links working
+  await scheduler.importReaders('b1', [reader]);
+  await scheduler.run('b1', { now: new Date('2099-03-09') });
+  assert.ok(sent[0].text.includes(`?token=${stored.optOutToken}`));
+
+  assert.equal(await scheduler.optOutByToken(stored.optOutToken), 1);
+  const after = await scheduler.run('b1', { now: new Date('2099-03-23') });
+  assert.deepEqual(after.skipped.map(entry => entry.reason), ['opted out']);
+});
+
+test('changes consent only when an imported row says so', async () => {
+  const { database } = await createDatabase();
+  const scheduler = createScheduler(database);
+  await scheduler.importReaders('b1', [reader]);
+
+  const withoutConsent = { ...reader, name: 'Ada L.' };
+  delete withoutConsent.consent;
+  await scheduler.importReaders('b1', [withoutConsent]);
+  const kept = await scheduler.run('b1', { now: new Date('2099-03-09'), dryRun: true });
+  assert.equal(kept.sent.length, 1);
+
+  await scheduler.importReaders('b1', [{ ...reader, consent: false }]);
+  const report = await scheduler.run('b1', { now: new Date('2099-03-09'), dryRun: true });
+  assert.deepEqual(report.skipped.map(entry => entry.reason), ['no consent']);
+
+  const actions = (await scheduler.getAuditLog({ bookId: 'b1' })).map(entry => entry.action);
+  assert.deepEqual(actions, ['consent_granted', 'consent_withdrawn']);
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RoiLedger, MetricsStore, CampaignGenerator } = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+
+function createDatabase(campaigns) {
+  const memory = new MemoryDb();
+  const ledger = [];
+  const byId = new Map(campaigns.map(campaign => [campaign._id, campaign]));
+  return {
+    ledger,
+    collection: name => memory.collection(name),
+    getCampaign: async id => byId.get(id) || null,
+    getCampaignsByBook: async bookId => campaigns.filter(campaign => campaign.bookId === bookId),
+    getLedgerEntries: async query => ledger.filter(entry => Object.entries(query).every(([key, value]) => entry[key] === value)),
+    saveLedgerEntry: async entry => {
+      ledger.push(entry);
+      return entry;
+    },
+    updateCampaign: async (id, update) => byId.set(id, { ...byId.get(id), ...update })
+  };
+}
+
+function createCampaign(_id, extra = {}) {
+  return {
+    _id,
+    bookId: 'book-1',
+    createdAt: new Date('2099-01-01T00:00:00Z'),
+    budget: { total: 1000, currency: 'USD', allocation: {} },
+    metrics: {},
+    ...extra
+  };
+}
+
+// Daily sales as a connector would record them, at 10 per unit
+async function sell(db, units, date) {
+  await new MetricsStore(db).recordPoints('book-1', 'kdp', [
+    { metric: 'units', date, value: units },
+    { metric: 'revenue', date, value: units * 10 }
+  ]);
+}
+
+const now = new Date('2099-06-01T00:00:00Z');
+
+test('computes ROI, ROAS and cost per reader per channel', async () => {
+  const db = createDatabase([createCampaign('c1')]);
+  const ledger = new RoiLedger(db);
+  await sell(db, 100, '2099-02-01');
+
+  await ledger.recordSpend('c1', { channel: 'Facebook Ads', amount: 200 });
+  await ledger.recordSpend('c1', { channel: 'newsletter', amount: 50 });
+  await ledger.recordAttributedRevenue('c1', { channel: 'facebook-ads', amount: 400, units: 40 });
+  await ledger.recordTime('c1', { milestoneId: 'launch:Press release distribution:1', minutes: 90 });
+
+  const roi = await ledger.computeCampaignRoi('c1', { now });
+
+  assert.equal(roi.invested, 250);
+  assert.equal(roi.earned, 1000);
+  assert.equal(roi.readers, 100);
+  assert.equal(roi.roi, 3);
+  assert.equal(roi.timeSpent, 1.5);
+  // 600 unattributed revenue is split 200:50 by spend on top of the 400 attributed
+  assert.equal(roi.byChannel.facebook_ads.revenue, 880);
+  assert.equal(roi.byChannel.newsletter.revenue, 120);
+  assert.equal(roi.byChannel.facebook_ads.costPerReader, 200 / 88);
+  assert.deepEqual(roi.byMilestone, { 'launch:Press release distribution:1': { minutes: 90 } });
+});
+
+test('splits unattributed sales by budget allocation and tracks remaining budget', async () => {
+  const campaign = createCampaign('c1', {
+    budget: { total: 1000, currency: 'USD', allocation: { ads: 75, email: 25 } }
+  });
+  const db = createDatabase([campaign]);
+  const ledger = new RoiLedger(db);
+  await sell(db, 50, '2099-02-01');
+
+  await ledger.recordSpend('c1', { channel: 'ads', amount: 300 });
+
+  const roi = await ledger.computeCampaignRoi('c1', { now });
+  assert.equal(roi.byChannel.ads.revenue, 375);
+  assert.equal(roi.byChannel.email.revenue, 125);
+  assert.equal(roi.byChannel.ads.budget, 750);
+  assert.equal(roi.byChannel.ads.remaining, 450);
+});
+
+test('books only the sales inside the campaign window as campaign revenue', async () => {
+  const generator = new CampaignGenerator(null, null);
+  const schedule = await generator.generateCampaignSchedule({}, '2099-03-01', generator.resolvePhaseTemplate('thought_leadership'));
+  const db = createDatabase([createCampaign('c1', { schedule })]);
+  const ledger = new RoiLedger(db);
+  await sell(db, 5000, '2098-06-01');
+  await sell(db, 40, '2099-03-02');
+  await sell(db, 300, '2099-09-01');
+
+  await ledger.recordSpend('c1', { channel: 'ads', amount: 100 });
+  const roi = await ledger.computeCampaignRoi('c1', { now: new Date('2099-12-01T00:00:00Z') });
+
+  assert.equal(roi.earned, 400);
+  assert.equal(roi.readers, 40);
+  assert.equal(roi.roi, 3);
+});
+
+test('counts book sales once however many campaign windows cover them', async () => {
+  const db = createDatabase([
+    createCampaign('c1'),
+    createCampaign('c2', { createdAt: new Date('2099-02-01T00:00:00Z') }),
+    createCampaign('c3', { createdAt: undefined })
+  ]);
+  const ledger = new RoiLedger(db);
+  await sell(db, 5000, '2098-12-01');
+  await sell(db, 80, '2099-01-15');
+  await sell(db, 20, '2099-02-10');
+
+  await ledger.recordSpend('c1', { channel: 'ads', amount: 100 });
+  await ledger.recordSpend('c2', { channel: 'ads', amount: 100 });
+  await ledger.recordSpend('c2', { channel: 'email', amount: 50 });
+
+  const roi = await ledger.computeBookRoi('book-1', { now });
+
+  assert.equal(roi.campaigns, 3);
+  assert.equal(roi.invested, 250);
+  assert.equal(roi.earned, 1000);
+  assert.equal(roi.readers, 100);
+  assert.equal(roi.roas, 4);
+  assert.equal(roi.byChannel.ads.revenue, 800);
+  assert.equal(roi.byChannel.email.revenue, 200);
+});
+
+test('rejects entries in another currency, without amounts or with unknown kinds', async () => {
+  const ledger = new RoiLedger(createDatabase([createCampaign('c1')]));
+
+  await assert.rejects(ledger.recordSpend('c1', { channel: 'ads', amount: 10, currency: 'EUR' }), /must be in USD \(got EUR\)/);
+  await assert.rejects(ledger.recordSpend('c1', { channel: 'ads', amount: 0 }), /positive amount/);
+  await assert.rejects(ledger.recordTime('c1', { minutes: 30 }), /need the milestoneId/);
+  await assert.rejects(ledger.record('c1', 'refund', {}), /Unknown ledger entry kind: refund/);
+  await assert.rejects(ledger.recordSpend('c1', { channel: 'ads', amount: 5, date: 'soon' }), /not a valid date: soon/);
+});
@@ -0,0 +1,188 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const {
+  KdpReportConnector,
+  Draft2DigitalReportConnector,
+  IngramSparkReportConnector,
+  AnalyticsSync,
+  MetricsStore
+} = require('../scripts/setup');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+const book = { _id: 'book-1', title: 'Test Book', isbn: '9780306406157', kdpSettings: { asin: 'B0TESTASIN' } };
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function writeReports(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sales-reports-'));
+  tempDirs.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test('reads report dates from their parts in any timezone', () => {
+  const connector = new KdpReportConnector({ reportsDir: '.' });
+
+  assert.deepEqual(connector.parseReportDate('2024-03-15'), { date: '2024-03-15', period: 'day' });
+  assert.deepEqual(connector.parseReportDate('2024-03-15T23:30:00-08:00'), { date: '2024-03-15', period: 'day' });
+  assert.deepEqual(connector.parseReportDate('2024/3/5'), { date: '2024-03-05', period: 'day' });
+  assert.deepEqual(connector.parseReportDate('03/15/2024'), { date: '2024-03-15', period: 'day' });
+  assert.deepEqual(connector.parseReportDate('Mar 15, 2024'), { date: '2024-03-15', period: 'day' });
+  assert.deepEqual(connector.parseReportDate('15 March 2024'), { date: '2024-03-15', period: 'day' });
+  assert.deepEqual(connector.parseReportDate('2024-03'), { date: '2024-03', period: 'month' });
+  assert.deepEqual(connector.parseReportDate('March 2024'), { date: '2024-03', period: 'month' });
+  assert.deepEqual(connector.parseReportDate(new Date(2024, 2, 15)), { date: '2024-03-15', period: 'day' });
+
+  assert.equal(connector.parseReportDate('2024-02-30'), null);
+  assert.equal(connector.parseReportDate('2024-13'), null);
+  assert.equal(connector.parseReportDate('Smarch 2024'), null);
+  assert.equal(connector.parseReportDate(''), null);
+
+  const dayFirst = new KdpReportConnector({ reportsDir: '.', dateOrder: 'dmy' });
+  assert.deepEqual(dayFirst.parseReportDate('15/03/2024'), { date: '2024-03-15', period: 'day' });
+  assert.equal(connector.parseReportDate('15/03/2024'), null);
+  assert.throws(() => new KdpReportConnector({ reportsDir: '.', dateOrder: 'ymd' }), /Unknown date order for kdp reports: ymd/);
+});
+
+test('matches KDP paperback rows by the ISBN in the ASIN/ISBN column', async () => {
+  const reportsDir = await writeReports({
+    'kdp-ebook.csv': [
+      'Royalty Date,ASIN/ISBN,Marketplace,Net Units Sold,Royalty,Currency',
+      '2024-03-15,B0TESTASIN,Amazon.com,3,10.50,USD',
+      '2024-03-15,B0OTHERBOOK,Amazon.com,9,30.00,USD'
+    ].join('\n'),
+    'kdp-paperback.csv': [
+      'Royalty Date,ASIN/ISBN,Marketplace,Format,Net Units Sold,Royalty,Currency',
+      '2024-03-16,978-0-306-40615-7,Amazon.co.uk,Paperback,2,6.00,GBP'
+    ].join('\n')
+  });
+  const connector = new KdpReportConnector({ reportsDir });
+
+  const records = await connector.fetchSales(book);
+
+  assert.equal(records.length, 2);
+  const paperback = records.find(record => record.format === 'print');
+  assert.equal(paperback.asin, null);
+  assert.equal(paperback.isbn, '9780306406157');
+  assert.equal(paperback.country, 'GB');
+  assert.equal(records.find(record => record.format === 'ebook').asin, 'B0TESTASIN');
+});
+
+test('lets daily KDP rows supersede the monthly report and filters by range', async () => {
+  const reportsDir = await writeReports({
+    'kdp-daily.csv': [
+      'Date,ASIN,Marketplace,Units Sold,Royalty',
+      '03/01/2024,B0TESTASIN,Amazon.com,1,3.50',
+      '03/02/2024,B0TESTASIN,Amazon.com,2,7.00'
+    ].join('\n'),
+    'kdp-monthly.csv': [
+      'Date,ASIN,Marketplace,Units Sold,Royalty',
+      '2024-03,B0TESTASIN,Amazon.com,3,10.50',
+      '2024-02,B0TESTASIN,Amazon.com,5,17.50'
+    ].join('\n'),
+    'kdp-kenp.csv': [
+      'Date,ASIN,Marketplace,KENP Read',
+      '2024-03-02,B0TESTASIN,Amazon.de,400'
+    ].join('\n')
+  });
+  const connector = new KdpReportConnector({ reportsDir });
+
+  const all = await connector.fetchSales(book);
+  assert.deepEqual(all.map(record => `${record.date}:${record.format}`).sort(), [
+    '2024-02:ebook', '2024-03-01:ebook', '2024-03-02:ebook', '2024-03-02:ku_pages'
+  ]);
+  assert.equal(all.find(record => record.format === 'ku_pages').kuPages, 400);
+
+  const march = await connector.fetchSales(book, { since: '2024-03-02' });
+  assert.deepEqual(march.map(record => record.date).sort(), ['2024-03-02', '2024-03-02']);
+});
+
+test('maps Draft2Digital and IngramSpark rows by ISBN', async () => {
+  const d2dDir = await writeReports({
+    'd2d.csv': [
+      'Sale Date,ISBN,Vendor,Country,Units,Your Earnings,Currency',
+      '2024-03-15,9780306406157,Kobo,ca,4,8.00,CAD'
+    ].join('\n')
+  });
+  const ingramDir = await writeReports({
+    'ingram.csv': [
+      'Reporting Period,ISBN,Sales Market,Net Qty,Publisher Compensation,Currency,Binding',
+      'March 2024,9780306406157,GC,7,21.00,USD,Paperback',
+      'March 2024,9780306406157,US,2,6.00,USD,EPUB'
+    ].join('\n')
+  });
+
+  const [d2d] = await new Draft2DigitalReportConnector({ reportsDir: d2dDir }).fetchSales(book);
+  assert.equal(d2d.marketplace, 'kobo');
+  assert.equal(d2d.country, 'CA');
+  assert.equal(d2d.units, 4);
+
+  const ingram = await new IngramSparkReportConnector({ reportsDir: ingramDir }).fetchSales(book);
+  assert.deepEqual(ingram.map(record => [record.date, record.period, record.marketplace, record.country, record.format]), [
+    ['2024-03', 'month', 'ingram.gc', null, 'print'],
+    ['2024-03', 'month', 'ingram.us', 'US', 'ebook']
+  ]);
+});
+
+test('reads amounts with the connector\'s decimal separator', async () => {
+  const reportsDir = await writeReports({
+    'kdp.csv': [
+      'Royalty Date,ASIN,Marketplace,Net Units Sold,Royalty,Currency',
+      '2024-03-15,B0TESTASIN,Amazon.de,"1.204","1.234,56",EUR'
+    ].join('\n')
+  });
+
+  const [european] = await new KdpReportConnector({ reportsDir, decimalSeparator: ',' }).fetchSales(book);
+  assert.deepEqual([european.units, european.revenue], [1204, 1234.56]);
+
+  const connector = new KdpReportConnector({ reportsDir: '.' });
+  assert.equal(connector.number('$1,234.56'), 1234.56);
+  assert.equal(connector.number('-12.50'), -12.5);
+  assert.throws(() => new KdpReportConnector({ reportsDir: '.', decimalSeparator: ';' }), /Unknown decimal separator for kdp reports: ;/);
+});
+
+test('reads the best-seller rank from a report rank column, not from KDP', async () => {
+  const reportsDir = await writeReports({
+    'kdp.csv': [
+      'Royalty Date,ASIN,Marketplace,Net Units Sold,Royalty,Currency,Format,Sales Rank',
+      '2024-03-14,B0TESTASIN,Amazon.com,3,6.00,USD,eBook,"#2,100"',
+      '2024-03-15,B0TESTASIN,Amazon.com,5,10.00,USD,eBook,"#1,234"',
+      '2024-03-15,B0TESTASIN,Amazon.com,1,4.00,USD,Paperback,"#80,000"'
+    ].join('\n')
+  });
+  const ranked = new AnalyticsSync({
+    database: {},
+    salesConnectors: [new KdpReportConnector({ reportsDir, columns: { rank: 'Sales Rank' } })],
+    metricsStore: new MetricsStore(new MemoryDb()),
+    retryDelay: 1
+  });
+
+  const sources = {};
+  const sales = await ranked.getSalesData(book, sources);
+  assert.equal(sales.rank, 1234);
+  assert.equal(sources.rank.status, 'ok');
+  assert.deepEqual(await ranked.metricsStore.rankOverTime(book._id), [
+    { date: '2024-03-14', value: 2100 },
+    { date: '2024-03-15', value: 1234 }
+  ]);
+
+  // Without a rank column there is no rank source, whatever KDP integration is set up
+  const unranked = new AnalyticsSync({
+    kdp: { getReviews: async () => [] },
+    database: {},
+    salesConnectors: [new KdpReportConnector({ reportsDir })],
+    metricsStore: new MetricsStore(new MemoryDb()),
+    retryDelay: 1
+  });
+  const noRank = {};
+  assert.equal((await unranked.getSalesData(book, noRank)).rank, null);
+  assert.equal(noRank.rank.status, 'not_configured');
+});
@@ -0,0 +1,133 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Papa = require('papaparse');
+
+const { ScheduleExporter } = require('../scripts/setup');
+require('./helpers/quiet-console');
+
+function createCampaign(pressReleaseDate = '2099-12-03T09:00:00.000Z') {
+  return {
+    _id: 'campaign-1',
+    name: 'Launch, part one',
+    strategy: 'thought_leadership',
+    schedule: {
+      timezone: 'UTC',
+      phases: {
+        launch: {
+          name: 'Launch Week',
+          start: new Date('2099-12-01T00:00:00Z'),
+          end: new Date('2099-12-08T00:00:00Z'),
+          milestones: [
+            { date: new Date('2099-12-01T00:00:00Z'), localDate: '2099-12-01', allDay: true, task: 'Book goes live', type: 'launch' },
+            { date: new Date(pressReleaseDate), localDate: pressReleaseDate.slice(0, 10), allDay: false, task: 'Press release distribution', type: 'media' },
+            { date: new Date('2099-12-08T00:00:00Z'), localDate: '2099-12-08', allDay: true, task: 'Launch week review', type: 'analysis' }
+          ]
+        }
+      }
+    }
+  };
+}
+
+function events(ics) {
+  return ics.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1);
+}
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('folds long ICS lines at 75 octets without splitting multi-byte characters', () => {
+  const exporter = new ScheduleExporter(null);
+
+  const ascii = exporter.foldICSLine(`SUMMARY:${'a'.repeat(150)}`);
+  const lines = ascii.split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.equal(Buffer.byteLength(lines[0]), 75);
+  assert.ok(lines.slice(1).every(line => line.startsWith(' ') && Buffer.byteLength(line) <= 75));
+  assert.equal(ascii.replace(/\r\n /g, ''), `SUMMARY:${'a'.repeat(150)}`);
+
+  const accented = `SUMMARY:${'é'.repeat(60)}`;
+  const folded = exporter.foldICSLine(accented).split('\r\n');
+  assert.ok(folded.every(line => Buffer.byteLength(line) <= 75));
+  assert.equal(exporter.foldICSLine(accented).replace(/\r\n /g, ''), accented);
+});
+
+test('writes all-day milestones as dates and timed ones with a start time', () => {
+  const exporter = new ScheduleExporter(null);
+  const ics = exporter.toICS(createCampaign(), { now: new Date('2099-01-01T12:00:00Z') });
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.match(ics, /X-WR-CALNAME:Launch\\, part one/);
+
+  const [live, press] = events(ics);
+  assert.match(live, /DTSTART;VALUE=DATE:20991201\r\nDTEND;VALUE=DATE:20991202/);
+  assert.match(press, /DTSTART:20991203T090000Z\r\nDURATION:PT1H/);
+  assert.match(press, /DTSTAMP:20990101T120000Z/);
+});
+
+test('keeps event UIDs stable when a milestone moves', () => {
+  const exporter = new ScheduleExporter(null);
+  const uids = ics => events(ics).map(event => event.match(/UID:(\S+)/)[1]);
+
+  const original = uids(exporter.toICS(createCampaign()));
+  const moved = uids(exporter.toICS(createCampaign('2099-12-04T09:00:00.000Z')));
+
+  assert.equal(new Set(original).size, 3);
+  assert.deepEqual(moved, original);
+});
+
+test('treats UTC-midnight instants from older schedules as all-day', () => {
+  const exporter = new ScheduleExporter(null);
+  const campaign = createCampaign();
+  for (const milestone of campaign.schedule.phases.launch.milestones) {
+    delete milestone.localDate;
+    delete milestone.allDay;
+  }
+
+  const rows = exporter.listMilestones(campaign);
+  assert.deepEqual(rows.map(row => row.allDay), [true, false, true]);
+  assert.equal(rows[0].localDate, '2099-12-01');
+});
+
+test('exports CSV rows and Gantt JSON tasks in date order', () => {
+  const exporter = new ScheduleExporter(null);
+  const campaign = createCampaign();
+
+  const csv = Papa.parse(exporter.toCSV(campaign), { header: true }).data;
+  assert.deepEqual(csv.map(row => row.Milestone), ['Book goes live', 'Press release distribution', 'Launch week review']);
+  assert.equal(csv[1].Date, '2099-12-03T09:00:00.000Z');
+  assert.equal(csv[1]['Phase End'], '2099-12-08T00:00:00.000Z');
+
+  const gantt = JSON.parse(exporter.toGanttJSON(campaign));
+  assert.equal(gantt.campaignId, 'campaign-1');
+  assert.deepEqual(gantt.tasks[0], {
+    id: 'launch',
+    name: 'Launch Week',
+    kind: 'phase',
+    start: '2099-12-01T00:00:00.000Z',
+    end: '2099-12-08T00:00:00.000Z',
+    dependencies: []
+  });
+  assert.deepEqual(gantt.tasks.slice(1).map(task => task.id), [
+    'launch:Book goes live:1',
+    'launch:Press release distribution:1',
+    'launch:Launch week review:1'
+  ]);
+  assert.ok(gantt.tasks.slice(1).every(task => task.dependencies[0] === 'launch'));
+});
+
+test('writes the export file and rejects unknown formats', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schedule-export-'));
+  tempDirs.push(outputDir);
+  const exporter = new ScheduleExporter({ getCampaign: async id => (id === 'campaign-1' ? createCampaign() : null) }, { outputDir });
+
+  const filePath = await exporter.exportSchedule('campaign-1', 'json');
+  assert.equal(filePath, path.join(outputDir, 'campaign-campaign-1-schedule.json'));
+  assert.equal(JSON.parse(await fs.readFile(filePath, 'utf8')).tasks.length, 4);
+
+  await assert.rejects(exporter.exportSchedule('campaign-1', 'pdf'), /Unsupported schedule export format: pdf/);
+  await assert.rejects(exporter.exportSchedule('missing', 'ics'), /Campaign not found: missing/);
+});
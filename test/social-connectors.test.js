@@ -0,0 +1,130 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const XLSX = require('xlsx');
+
+const { LinkedInAnalyticsConnector, XAnalyticsConnector } = require('../scripts/setup');
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function writeExports(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'social-exports-'));
+  tempDirs.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+const ethics = { _id: 'b1', title: 'Ethical AI', socialSettings: { hashtags: ['#EthicalAI'] } };
+const leadership = { _id: 'b2', title: 'Quiet Leadership' };
+
+async function linkedInExports() {
+  return writeExports({
+    'linkedin-posts.csv': [
+      'Page analytics export for Author Page',
+      'Post title,Post link,Created date,Impressions,Clicks,Reactions,Comments,Reposts',
+      'Out now: Ethical AI #EthicalAI,https://lnkd.in/p1,2099-03-01,100,5,10,2,1',
+      'Quiet Leadership cover reveal,https://lnkd.in/p2,2099-03-02,80,4,6,1,0'
+    ].join('\n'),
+    'linkedin-posts-later.csv': [
+      'Post title,Post link,Created date,Impressions,Clicks,Reactions,Comments,Reposts',
+      'Out now: Ethical AI #EthicalAI,https://lnkd.in/p1,2099-03-01,150,6,12,3,2'
+    ].join('\n'),
+    'linkedin-metrics.csv': [
+      'Date,Impressions (total),Clicks (total),Reactions (total),Comments (total),Reposts (total)',
+      '2099-03-01,400,20,30,5,3',
+      '2099-03-02,300,10,20,2,1',
+      '2099-03-03,200,8,10,1,0'
+    ].join('\n')
+  });
+}
+
+test('matches posts by title or hashtag and keeps the fullest reading of each post', async () => {
+  const connector = new LinkedInAnalyticsConnector({ reportsDir: await linkedInExports() });
+
+  const records = await connector.fetchMetrics(ethics);
+
+  assert.deepEqual(records.map(record => record.postId), ['https://lnkd.in/p1']);
+  assert.equal(records[0].reach, 150);
+  assert.equal(records[0].engagement, 6 + 12 + 3 + 2);
+  assert.equal(records[0].mentions, 1);
+});
+
+test('leaves account-level rows out unless they are turned on', async () => {
+  const reportsDir = await linkedInExports();
+
+  const withoutTotals = await new LinkedInAnalyticsConnector({ reportsDir }).fetchMetrics(leadership);
+  assert.deepEqual(withoutTotals.map(record => record.postId), ['https://lnkd.in/p2']);
+
+  const perBook = await new LinkedInAnalyticsConnector({ reportsDir })
+    .fetchMetrics({ ...leadership, socialSettings: { includeAccountTotals: true } });
+  assert.equal(perBook.filter(record => !record.postId).length, 2);
+});
+
+test('drops account rows only on days with the book\'s own posts', async () => {
+  const connector = new LinkedInAnalyticsConnector({ reportsDir: await linkedInExports(), includeAccountTotals: true });
+
+  // 2099-03-02 has a post for the other book only, so its account total stays
+  const records = await connector.fetchMetrics(ethics);
+  assert.deepEqual(records.map(record => [record.date, record.postId]), [
+    ['2099-03-01', 'https://lnkd.in/p1'],
+    ['2099-03-02', null],
+    ['2099-03-03', null]
+  ]);
+
+  const march3 = await connector.fetchMetrics(ethics, { since: '2099-03-03' });
+  assert.deepEqual(march3.map(record => record.reach), [200]);
+});
+
+test('aligns X timestamps to the connector timezone and reads both header styles', async () => {
+  const reportsDir = await writeExports({
+    'tweet_activity.csv': [
+      'Tweet id,Tweet text,time,impressions,engagements,retweets',
+      '111,Ethical AI launches today,2099-03-01 23:30 +0000,500,40,6'
+    ].join('\n'),
+    'post_activity.csv': [
+      'Post id,Post text,Date,Impressions,Likes,Replies,Reposts',
+      '222,More on #EthicalAI,"Mon, Mar 02, 2099",300,20,5,3',
+      '333,Unrelated thread,03/02/2099,90,1,0,0'
+    ].join('\n')
+  });
+  const connector = new XAnalyticsConnector({ reportsDir, timezone: 'Asia/Tokyo' });
+
+  const records = await connector.fetchMetrics(ethics);
+
+  assert.deepEqual(records.map(record => [record.postId, record.date, record.engagement]), [
+    ['222', '2099-03-02', 28],
+    ['111', '2099-03-02', 40]
+  ]);
+});
+
+test('reads spreadsheet date cells as the local day east of UTC', async () => {
+  const reportsDir = await writeExports({});
+  // Date cells hold a day serial, which xlsx turns into local midnight on read
+  const daySerial = day => (Date.parse(day) - Date.UTC(1899, 11, 30)) / (24 * 60 * 60 * 1000);
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Post title', 'Post link', 'Created date', 'Impressions', 'Clicks', 'Reactions', 'Comments', 'Reposts'],
+    ['Out now: Ethical AI #EthicalAI', 'https://lnkd.in/p1', daySerial('2099-03-01'), 100, 5, 10, 2, 1]
+  ]);
+  sheet.C2.z = 'yyyy-mm-dd';
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Posts');
+  XLSX.writeFile(workbook, path.join(reportsDir, 'linkedin-posts.xlsx'));
+
+  // The timezone is read once per process, so the connector runs in a child with TZ set
+  const script = `
+    const { LinkedInAnalyticsConnector } = require(${JSON.stringify(path.join(__dirname, '../scripts/setup'))});
+    new LinkedInAnalyticsConnector({ reportsDir: ${JSON.stringify(reportsDir)} })
+      .fetchMetrics(${JSON.stringify(ethics)})
+      .then(records => console.log(JSON.stringify(records.map(record => record.date))));
+  `;
+  const { stdout } = await promisify(execFile)(process.execPath, ['-e', script], { env: { ...process.env, TZ: 'Asia/Tokyo' } });
+
+  assert.deepEqual(JSON.parse(stdout.trim().split('\n').pop()), ['2099-03-01']);
+});
@@ -0,0 +1,135 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { WeeklyReportGenerator, AnalyticsSync, LaunchDatabase, SalesConnector } = require('../scripts/setup');
+const { ObjectId } = require('mongodb');
+const { MemoryDb } = require('./helpers/memory-db');
+require('./helpers/quiet-console');
+
+// A sales report with a best-seller rank column, read today
+class RankedSalesConnector extends SalesConnector {
+  constructor(rank) {
+    super('kdp');
+    this.rank = rank;
+  }
+
+  reportsRank() {
+    return true;
+  }
+
+  async fetchSales(book) {
+    return [{ source: 'kdp', asin: book.kdpSettings.asin, date: today, period: 'day', format: 'ebook', units: 0, kuPages: 0, revenue: 0, currency: 'USD', rank: this.rank }];
+  }
+}
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+const now = new Date();
+const today = now.toISOString().slice(0, 10);
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+const day = days => daysAgo(days).toISOString().slice(0, 10);
+
+async function setUp() {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'weekly-report-'));
+  tempDirs.push(outputDir);
+
+  const database = new LaunchDatabase(new MemoryDb());
+  await database.collection('books').insertOne({
+    _id: 'b1',
+    title: 'Test Book',
+    author: 'A. Author',
+    status: 'published',
+    activeCampaign: 'c1',
+    kdpSettings: { asin: 'B0TEST' }
+  });
+  await database.collection('campaigns').insertOne({
+    _id: 'c1',
+    bookId: 'b1',
+    name: 'Launch',
+    status: 'active',
+    metrics: { goals: {}, actual: {}, alerts: [] },
+    schedule: {
+      phases: {
+        launch: {
+          start: daysAgo(3),
+          end: daysAgo(-4),
+          milestones: [
+            { date: new Date(`${day(3)}T00:00:00Z`), task: 'Book goes live', type: 'launch' },
+            { date: new Date(`${day(-3)}T00:00:00Z`), task: 'Podcast tour', type: 'content' }
+          ]
+        }
+      }
+    }
+  });
+  await database.saveReviewAlert({ bookId: 'b1', type: 'low_star_cluster', message: '3 low-star reviews in 7 days', detectedAt: daysAgo(2) });
+  await database.saveReviewAlert({ bookId: 'b1', type: 'low_star_cluster', message: 'An old cluster', detectedAt: daysAgo(30) });
+  await database.saveReviewAlert({ bookId: 'b2', type: 'low_star_cluster', message: 'Another book', detectedAt: daysAgo(1) });
+  await database.collection('email_deliveries').insertMany([
+    { campaignId: 'c1', email: 'a@example.com', status: 'sent', at: daysAgo(1) },
+    { campaignId: 'c1', email: 'b@example.com', status: 'deferred', at: daysAgo(1) },
+    { campaignId: 'c1', email: 'c@example.com', status: 'sent', at: daysAgo(20) }
+  ]);
+
+  const analyticsSync = new AnalyticsSync({
+    database,
+    kdp: { getReviews: async () => [] },
+    salesConnectors: [new RankedSalesConnector(1200)]
+  });
+  const generator = new WeeklyReportGenerator(database, { outputDir, analyticsSync });
+  return { database, analyticsSync, generator, outputDir };
+}
+
+test('reads this week\'s review alerts for the book through the service layer', async () => {
+  const { generator, database } = await setUp();
+
+  const report = await generator.buildReport(await database.getBook('b1'), { now, until: today });
+
+  assert.deepEqual(report.reviews.alerts.map(alert => alert.message), ['3 low-star reviews in 7 days']);
+  assert.deepEqual(report.campaigns[0].email.deliveries, { sent: 1, bounced: 0, deferred: 1, suppressed: 0, failed: 0 });
+  assert.deepEqual(report.campaigns[0].milestones.missed.map(m => m.task), ['Book goes live']);
+  assert.deepEqual(report.campaigns[0].milestones.upcoming.map(m => m.task), ['Podcast tour']);
+});
+
+test('fills the rank row from the best-seller rank synced from sales reports', async () => {
+  const { generator, analyticsSync, database } = await setUp();
+  await analyticsSync.metricsStore.recordPoints('b1', 'snapshot', [{ metric: 'rank', date: day(8), value: 3000 }]);
+
+  await analyticsSync.syncBookMetrics(await database.getBook('b1'));
+  const report = await generator.buildReport(await database.getBook('b1'), { now, until: today });
+
+  assert.deepEqual(report.sales.rank, { thisWeek: 1200, lastWeek: 3000, change: -1800, changePct: -0.6 });
+  assert.ok(generator.toMarkdown(report).includes('| Best-seller rank | 1,200 | 3,000 | −1,800 (−60%) |'));
+});
+
+test('writes Markdown and HTML for every active book', async () => {
+  const { generator, outputDir } = await setUp();
+
+  const { written, failed } = await generator.generateAll({ now, until: today });
+
+  assert.deepEqual(failed, []);
+  assert.deepEqual(written.map(entry => path.basename(entry.markdown)), [`weekly-report-b1-${today}.md`]);
+  const html = await fs.readFile(path.join(outputDir, `weekly-report-b1-${today}.html`), 'utf8');
+  assert.ok(html.includes('<li>Alert: 3 low-star reviews in 7 days</li>'));
+  assert.ok(html.includes('Sent this week: 1 delivered, 0 bounced, 1 deferred, 0 suppressed, 0 failed'));
+});
+
+test('finds deliveries and completions stored under the string form of an ObjectId campaign id', async () => {
+  const { generator, database } = await setUp();
+  const campaign = await database.getCampaign('c1');
+  const campaignId = new ObjectId();
+  database.getCampaignsByBook = async () => [{ ...campaign, _id: campaignId }];
+  await database.collection('email_deliveries').updateMany({ campaignId: 'c1' }, { $set: { campaignId: String(campaignId) } });
+  await database.collection('campaign_milestones').insertOne({
+    campaignId: String(campaignId), milestoneId: 'launch:Book goes live:1', completedAt: daysAgo(2)
+  });
+
+  const report = await generator.buildReport({ ...(await database.getBook('b1')), activeCampaign: String(campaignId) }, { now, until: today });
+
+  assert.deepEqual(report.campaigns[0].email.deliveries, { sent: 1, bounced: 0, deferred: 1, suppressed: 0, failed: 0 });
+  assert.deepEqual(report.campaigns[0].milestones.hit.map(m => m.task), ['Book goes live']);
+  assert.deepEqual(report.campaigns[0].milestones.missed, []);
+});